@@ -0,0 +1,534 @@
+/**
+ * AsyncLocalTable: The `LocalTable` API over an asynchronous backend.
+ *
+ * @module localtable/async
+ */
+"use strict";
+
+import { LocalTable } from "./table.js";
+import { MemoryStorage } from "./backends/memory.js";
+import { isQuotaError } from "./transaction.js";
+import { storedSize } from "./keys.js";
+import { StorageFullError } from "./errors.js";
+import { EncryptedBackend } from "./backends/encrypted.js";
+
+/**
+ * A `MemoryStorage` which remembers the changes made to it, so they can be
+ * saved to the backend.
+ */
+class TrackedStorage extends MemoryStorage {
+    constructor(entries) {
+        super(entries);
+        this._changes = new Map();
+    };
+
+    setItem(key, value) {
+        super.setItem(key, value);
+        this._changes.set(String(key), String(value));
+    };
+
+    removeItem(key) {
+        super.removeItem(key);
+        this._changes.set(String(key), null);
+    };
+
+    clear() {
+        for(const [key] of this.entries()) {
+            this._changes.set(key, null);
+        }
+
+        super.clear();
+    };
+
+    takeChanges() {
+        const changes = [...this._changes.entries()];
+        this._changes.clear();
+        return changes;
+    };
+
+    reset(entries) {
+        super.clear();
+        this._changes.clear();
+
+        for(const [key, value] of entries) {
+            super.setItem(key, value);
+        }
+    };
+}
+
+/**
+ * A class providing a `Promise`-returning version of the `LocalTable` API,
+ * for asynchronous backends like `IndexedDBBackend`.
+ *
+ * The table's data is loaded into memory when opened. Reads come from there,
+ * & each write is saved to the backend before its `Promise` resolves. Writes
+ * run one at a time, each waiting for the one before to be saved. Should
+ * saving fail, the table is reloaded from the backend & the error re-thrown
+ * (as a `StorageFullError` if the backend is out of space), before the next
+ * write runs.
+ */
+class AsyncLocalTable {
+    /**
+     * Creates a new `AsyncLocalTable` instance. Use `AsyncLocalTable.open`
+     * instead, which loads the data first.
+     * @param {object} backend - The asynchronous backend
+     * @param {LocalTable} table - The table, over the in-memory copy
+     * @param {TrackedStorage} storage - The in-memory copy of the data
+     */
+    constructor(backend, table, storage) {
+        this.backend = backend;
+        /** The underlying (synchronous) `LocalTable`, over the in-memory copy */
+        this.table = table;
+        this.storage = storage;
+        this._writing = Promise.resolve();
+    };
+
+    /**
+     * Opens a table, loading its data from the backend.
+     * @param {object} backend - The asynchronous backend. It must provide
+     *     `load(prefix)` & `write(changes)`. See `IndexedDBBackend`.
+     * @param {string} tableName - The name of the table.
+     * @param {object} options - The options for the table, as accepted by
+     *     `LocalTable`. With `encryption`, the backend is wrapped in an
+     *     `EncryptedBackend`.
+     * @throws If loading fails, or the table fails to set up (such as a
+     *     failing migration)
+     * @return {Promise} Resolves with the `AsyncLocalTable`
+     */
+    static async open(backend, tableName, options) {
+        const keyPrefix = options["keyPrefix"] || tableName;
+
+        if(options["encryption"]) {
+            const encryption = options["encryption"];
+            backend = new EncryptedBackend(backend, encryption["key"], Object.assign({}, encryption, {"keyPrefix": keyPrefix}));
+            options = Object.assign({}, options, {"encryption": null});
+        }
+
+        const storage = new TrackedStorage(await backend.load(`${keyPrefix}_`));
+        const table = new LocalTable(storage, tableName, options);
+        const asyncTable = new AsyncLocalTable(backend, table, storage);
+
+        // Save anything set up by creating (or migrating) the table.
+        await asyncTable._flush();
+        return asyncTable;
+    };
+
+    async _flush() {
+        const changes = this.storage.takeChanges();
+
+        if(changes.length === 0) {
+            return;
+        }
+
+        try {
+            await this.backend.write(changes);
+        } catch (err) {
+            await this.reload();
+
+            if(isQuotaError(err)) {
+                const bytes = changes.reduce((total, [key, value]) => total + storedSize(key, value), 0);
+                throw new StorageFullError([this.table.tableName], bytes, err);
+            }
+
+            throw err;
+        }
+    };
+
+    _queue(fn) {
+        // Wait for the write before to be saved (or undone), so its changes
+        // can't be saved as part of this one.
+        const running = this._writing.then(fn);
+        this._writing = running.catch(() => null);
+        return running;
+    };
+
+    _run(fn) {
+        return this._queue(async () => {
+            let result;
+
+            try {
+                result = fn(this.table);
+            } finally {
+                // Even failed calls may have changed something.
+                await this._flush();
+            }
+
+            return result;
+        });
+    };
+
+    /**
+     * Reloads the table's data from the backend, throwing away anything not
+     * yet saved.
+     * @throws If loading fails
+     * @return {Promise} Resolves once reloaded
+     */
+    async reload() {
+        const entries = await this.backend.load(`${this.table._keyPrefix}_`);
+        this.storage.reset(entries);
+        this.table._resetCaches();
+    };
+
+    /**
+     * Fetches a row. See `table.get`.
+     * @param {any} id - The identifier of the row
+     * @return {Promise} Resolves with the row, or rejects if not present
+     */
+    get(id) {
+        // Saves the row being marked as used, for `"lru"` eviction.
+        return this._run((table) => table.get(id));
+    };
+
+    /**
+     * Checks if a row is in the table. See `table.exists`.
+     * @param {any} id - The identifier of the row
+     * @return {Promise} Resolves with True if present, else False
+     */
+    async exists(id) {
+        return this.table.exists(id);
+    };
+
+    /**
+     * Counts the rows. See `table.count`.
+     * @return {Promise} Resolves with how many rows are in the table
+     */
+    async count() {
+        return this.table.count();
+    };
+
+    /**
+     * Fetches all the rows. See `table.all`.
+     * @return {Promise} Resolves with an array of the rows
+     */
+    async all() {
+        return this.table.all();
+    };
+
+    /**
+     * Fetches the matching rows. See `table.filter`.
+     * @param {object|function} filterBy - The filters, or a function
+     * @return {Promise} Resolves with an array of the matching rows
+     */
+    async filter(filterBy) {
+        return this.table.filter(filterBy);
+    };
+
+    /**
+     * Starts a query. See `table.query`. Since the data is in memory, the
+     * query itself is synchronous.
+     * @return {Query} The query
+     */
+    query() {
+        return this.table.query();
+    };
+
+    /**
+     * Inserts a row. See `table.insert`.
+     * @param {any} id - The identifier of the row, or the data if generated
+     * @param {object} [data] - The field data for the row
+     * @param {object} [options] - The `actor` making the change
+     * @return {Promise} Resolves with the row's id once saved
+     */
+    insert(id, data, options) {
+        return this._run((table) => table.insert(id, data, options));
+    };
+
+    /**
+     * Updates (or inserts) a row. See `table.update`.
+     * @param {any} id - The identifier of the row
+     * @param {object} newData - The changed field data
+     * @param {object} [options] - The `expectedRevision` of the row & the
+     *     `actor` making the change
+     * @return {Promise} Resolves once saved
+     */
+    update(id, newData, options = {}) {
+        return this._run((table) => table.update(id, newData, options));
+    };
+
+    /**
+     * Deletes a row. See `table.delete`.
+     * @param {any} id - The identifier of the row
+     * @param {object} [options] - The `actor` making the change
+     * @return {Promise} Resolves once saved
+     */
+    delete(id, options = {}) {
+        return this._run((table) => table.delete(id, options));
+    };
+
+    /**
+     * Deletes a row for good. See `table.forceDelete`.
+     * @param {any} id - The identifier of the row
+     * @return {Promise} Resolves once saved
+     */
+    forceDelete(id) {
+        return this._run((table) => table.forceDelete(id));
+    };
+
+    /**
+     * Lists the rows in the trash. See `table.trashed`.
+     * @param {object|function} [filterBy] - The filters, or a function
+     * @return {Promise} Resolves with an array of the trashed rows
+     */
+    async trashed(filterBy) {
+        return this.table.trashed(filterBy);
+    };
+
+    /**
+     * Takes a row back out of the trash. See `table.restore`.
+     * @param {any} id - The identifier of the row
+     * @return {Promise} Resolves once saved
+     */
+    restore(id) {
+        return this._run((table) => table.restore(id));
+    };
+
+    /**
+     * Deletes the rows in the trash for good. See `table.emptyTrash`.
+     * @param {object} [options] - Only deletes rows trashed `olderThan`
+     *     this many milliseconds ago
+     * @return {Promise} Resolves with how many rows were deleted once saved
+     */
+    emptyTrash(options = {}) {
+        return this._run((table) => table.emptyTrash(options));
+    };
+
+    /**
+     * Lists a row's previous versions. See `table.history`.
+     * @param {any} id - The identifier of the row
+     * @return {Promise} Resolves with the history entries
+     */
+    async history(id) {
+        return this.table.history(id);
+    };
+
+    /**
+     * Puts a row back the way it was at a version. See `table.revertTo`.
+     * @param {any} id - The identifier of the row
+     * @param {integer} version - The version to go back to
+     * @return {Promise} Resolves once saved
+     */
+    revertTo(id, version) {
+        return this._run((table) => table.revertTo(id, version));
+    };
+
+    /**
+     * Deletes a row's history. See `table.clearHistory`.
+     * @param {any} [id] - The identifier of the row
+     * @return {Promise} Resolves once saved
+     */
+    clearHistory(id) {
+        return this._run((table) => table.clearHistory(id));
+    };
+
+    /**
+     * Inserts many rows. See `table.insertMany`.
+     * @param {array} rows - The rows, including their ids
+     * @return {Promise} Resolves with the summary once saved
+     */
+    insertMany(rows) {
+        return this._run((table) => table.insertMany(rows));
+    };
+
+    /**
+     * Inserts or updates many rows. See `table.upsertMany`.
+     * @param {array} rows - The rows, including their ids
+     * @return {Promise} Resolves with the summary once saved
+     */
+    upsertMany(rows) {
+        return this._run((table) => table.upsertMany(rows));
+    };
+
+    /**
+     * Updates the matching rows. See `table.updateWhere`.
+     * @param {object|function} filterBy - The filters, or a function
+     * @param {object} patch - The changes to make
+     * @return {Promise} Resolves with the summary once saved
+     */
+    updateWhere(filterBy, patch) {
+        return this._run((table) => table.updateWhere(filterBy, patch));
+    };
+
+    /**
+     * Deletes the matching rows. See `table.deleteWhere`.
+     * @param {object|function} filterBy - The filters, or a function
+     * @return {Promise} Resolves with the summary once saved
+     */
+    deleteWhere(filterBy) {
+        return this._run((table) => table.deleteWhere(filterBy));
+    };
+
+    /**
+     * Deletes the expired rows. See `table.purgeExpired`.
+     * @return {Promise} Resolves with how many rows were purged once saved
+     */
+    purgeExpired() {
+        return this._run((table) => table.purgeExpired());
+    };
+
+    /**
+     * Drops the table. See `table.drop`.
+     * @return {Promise} Resolves once saved
+     */
+    drop() {
+        return this._run((table) => table.drop());
+    };
+
+    /**
+     * Rebuilds the indexes. See `table.reindex`.
+     * @return {Promise} Resolves once saved
+     */
+    reindex() {
+        return this._run((table) => table.reindex());
+    };
+
+    /**
+     * Rewrites the stored rows with the current `compression`. See
+     * `table.compressAll`.
+     * @return {Promise} Resolves once saved
+     */
+    compressAll() {
+        return this._run((table) => table.compressAll());
+    };
+
+    /**
+     * Makes several writes at once. See `table.transaction`.
+     * @param {function} fn - The function making the writes. It's passed
+     *     the underlying `LocalTable` & must be synchronous.
+     * @return {Promise} Resolves with whatever the function returned once
+     *     saved
+     */
+    transaction(fn) {
+        return this._run((table) => table.transaction(fn));
+    };
+
+    /**
+     * Imports a snapshot. See `LocalTable.import`.
+     * @param {string|object} snapshot - The JSON or NDJSON snapshot
+     * @param {object} [options] - The `mode` for the import
+     * @return {Promise} Resolves with the summary once saved
+     */
+    import(snapshot, options = {}) {
+        return this._run((table) => {
+            return LocalTable.import(null, snapshot, Object.assign({}, options, {"table": table}));
+        });
+    };
+
+    /**
+     * Exports a snapshot. See `table.export`.
+     * @param {object} [options] - The `format` for the export
+     * @return {Promise} Resolves with the snapshot
+     */
+    async export(options = {}) {
+        return this.table.export(options);
+    };
+
+    /**
+     * Exports the rows as CSV. See `table.toCSV`.
+     * @param {object} [options] - The `fields` to include & the `delimiter`
+     * @return {Promise} Resolves with the CSV text
+     */
+    async toCSV(options = {}) {
+        return this.table.toCSV(options);
+    };
+
+    /**
+     * Imports rows from CSV. See `table.fromCSV`.
+     * @param {string} text - The CSV text
+     * @param {object} [options] - The `delimiter` & the `mode` for the
+     *     import
+     * @return {Promise} Resolves with the summary once saved
+     */
+    fromCSV(text, options = {}) {
+        return this._run((table) => table.fromCSV(text, options));
+    };
+
+    /**
+     * Estimates the table's size. See `table.usage`.
+     * @return {Promise} Resolves with the number of bytes used
+     */
+    async usage() {
+        return this.table.usage();
+    };
+
+    /**
+     * Summarizes the table's size. See `table.stats`.
+     * @param {object} [options] - How many of the `largest` rows to list
+     * @return {Promise} Resolves with the stats
+     */
+    async stats(options = {}) {
+        return this.table.stats(options);
+    };
+
+    /**
+     * Registers a handler for changes. See `table.on`.
+     * @param {string} eventType - The type of change
+     * @param {function} handler - Called with each change
+     * @return {function} Call this to unregister the handler
+     */
+    on(eventType, handler) {
+        return this.table.on(eventType, handler);
+    };
+
+    /**
+     * Unregisters a handler. See `table.off`.
+     * @param {string} eventType - The type of change
+     * @param {function} handler - The previously registered handler
+     * @return {null}
+     */
+    off(eventType, handler) {
+        this.table.off(eventType, handler);
+    };
+
+    /**
+     * Watches a live query. See `table.watch`.
+     * @param {object|function} filterBy - The filters, or a function
+     * @param {function} callback - Called with the matching rows & the
+     *     event that caused the change
+     * @return {function} Call this to stop watching
+     */
+    watch(filterBy, callback) {
+        return this.table.watch(filterBy, callback);
+    };
+
+    /**
+     * Waits for every pending write to be saved.
+     * @return {Promise} Resolves once saved
+     */
+    async settle() {
+        await this._writing;
+    };
+
+    /**
+     * Closes the table (see `table.close`) & the backend, if it can be,
+     * once every pending write is saved.
+     * @return {Promise} Resolves once closed
+     */
+    async close() {
+        await this.settle();
+        this.table.close();
+
+        if(typeof this.backend.close === "function") {
+            await this.backend.close();
+        }
+    };
+
+    /**
+     * Re-encrypts the table's data under a new key, once every pending
+     * write is saved. See `backend.rotateKey`.
+     * @param {CryptoKey} newKey - The new AES-GCM key
+     * @throws If the table isn't encrypted, or a `DecryptionError` if any
+     *     value fails to decrypt with the current key
+     * @return {Promise} Resolves once everything is saved under the new key
+     */
+    async rotateKey(newKey) {
+        if(! (this.backend instanceof EncryptedBackend)) {
+            throw new Error(`The '${this.table.tableName}' table isn't encrypted!`);
+        }
+
+        await this._queue(() => this.backend.rotateKey(newKey, `${this.table._keyPrefix}_`));
+    };
+}
+
+export {
+    AsyncLocalTable,
+};
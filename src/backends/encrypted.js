@@ -0,0 +1,184 @@
+/**
+ * EncryptedBackend: Encrypts the values an asynchronous backend stores.
+ *
+ * @module localtable/backends/encrypted
+ */
+"use strict";
+
+import { toBase64, fromBase64 } from "../types.js";
+import { parseKey } from "../keys.js";
+import { DecryptionError } from "../errors.js";
+
+const marker = "~aes-gcm~";
+// The recommended size for AES-GCM's initialization vector.
+const ivLength = 12;
+
+/**
+ * A class wrapping another asynchronous backend (like `IndexedDBBackend` or
+ * `StorageBackend`), encrypting the values with AES-GCM before they're saved
+ * & decrypting them when loaded. Use it through `AsyncLocalTable`, usually
+ * by way of the table's `encryption` option.
+ *
+ * Each value gets a fresh random IV, & is bound to its key, so values can't
+ * be swapped between keys unnoticed. The keys themselves (which include the
+ * table's name, the rows' ids & the indexed fields' names) aren't encrypted.
+ *
+ * Every value is encrypted, unless the table's `keyPrefix` is given. Then the
+ * keys are matched against the table's layout, so the id list & the indexes
+ * can be left unencrypted.
+ *
+ * Values that should be encrypted but aren't are rejected, so encrypted
+ * values can't be swapped for plaintext ones unnoticed. To read existing
+ * data & encrypt it in place with `rotateKey`, pass `allowPlaintext`.
+ */
+class EncryptedBackend {
+    /**
+     * Creates a new `EncryptedBackend` instance.
+     * @param {object} backend - The asynchronous backend to wrap
+     * @param {CryptoKey} key - The AES-GCM key, allowing both `encrypt` &
+     *     `decrypt`.
+     * @param {object} [options] - The options for the backend.
+     * @param {string} [options.keyPrefix] - The key prefix of the table
+     *     being stored, which `encryptIds` & `plaintextIndexes` apply to.
+     * @param {boolean} [options.encryptIds] - Also encrypts the table's id
+     *     list. Defaults to `false`.
+     * @param {boolean} [options.plaintextIndexes] - Leaves the indexes &
+     *     unique constraint lookups unencrypted, which exposes the indexed
+     *     fields' values. Defaults to `false`.
+     * @param {boolean} [options.allowPlaintext] - Loads values that aren't
+     *     encrypted as they are, for migrating existing data. Defaults to
+     *     `false`.
+     * @param {Crypto} [options.crypto] - The WebCrypto implementation.
+     *     Defaults to the global `crypto`.
+     */
+    constructor(backend, key, options = {}) {
+        this.backend = backend;
+        this.key = key;
+        this.keyPrefix = options["keyPrefix"] || null;
+        this.encryptIds = options["encryptIds"] === true;
+        this.plaintextIndexes = options["plaintextIndexes"] === true;
+        this.allowPlaintext = options["allowPlaintext"] === true;
+        this._crypto = options["crypto"] || globalThis.crypto;
+    };
+
+    _shouldEncrypt(key) {
+        const parsed = (this.keyPrefix === null) ? null : parseKey(this.keyPrefix, key);
+
+        // Anything not known to be safe to leave readable is encrypted.
+        if(parsed === null) {
+            return true;
+        }
+
+        switch(parsed["kind"]) {
+            case "list":
+                return this.encryptIds;
+            case "index":
+            case "unique":
+                return ! this.plaintextIndexes;
+            default:
+                return true;
+        }
+    };
+
+    async _encrypt(cryptoKey, key, value) {
+        const iv = this._crypto.getRandomValues(new Uint8Array(ivLength));
+        const encrypted = await this._crypto.subtle.encrypt(
+            {"name": "AES-GCM", "iv": iv, "additionalData": new TextEncoder().encode(key)},
+            cryptoKey,
+            new TextEncoder().encode(value)
+        );
+        const combined = new Uint8Array(ivLength + encrypted.byteLength);
+        combined.set(iv);
+        combined.set(new Uint8Array(encrypted), ivLength);
+        return marker + toBase64(combined);
+    };
+
+    async _decrypt(cryptoKey, key, stored) {
+        if(! stored.startsWith(marker)) {
+            if(this.allowPlaintext || ! this._shouldEncrypt(key)) {
+                return stored;
+            }
+
+            throw new DecryptionError(key, new Error("The value isn't encrypted."));
+        }
+
+        try {
+            const combined = fromBase64(stored.slice(marker.length));
+            const decrypted = await this._crypto.subtle.decrypt(
+                {"name": "AES-GCM", "iv": combined.subarray(0, ivLength), "additionalData": new TextEncoder().encode(key)},
+                cryptoKey,
+                combined.subarray(ivLength)
+            );
+            return new TextDecoder().decode(decrypted);
+        } catch (err) {
+            throw new DecryptionError(key, err);
+        }
+    };
+
+    async _decryptAll(cryptoKey, entries) {
+        return Promise.all(entries.map(async ([key, value]) => {
+            return [key, await this._decrypt(cryptoKey, key, value)];
+        }));
+    };
+
+    async _encryptAll(cryptoKey, changes) {
+        return Promise.all(changes.map(async ([key, value]) => {
+            if(value === null || ! this._shouldEncrypt(key)) {
+                return [key, value];
+            }
+
+            return [key, await this._encrypt(cryptoKey, key, value)];
+        }));
+    };
+
+    /**
+     * Loads & decrypts the stored keys & values.
+     * @param {string} [prefix] - Only loads keys starting with this.
+     * @throws A `DecryptionError` if any value fails to decrypt, or isn't
+     *     encrypted when it should be (unless `allowPlaintext` is set)
+     * @return {Promise} Resolves with an array of `[key, value]` pairs
+     */
+    async load(prefix = "") {
+        return this._decryptAll(this.key, await this.backend.load(prefix));
+    };
+
+    /**
+     * Encrypts & saves changes.
+     * @param {array} changes - The `[key, value]` pairs. A `null` value
+     *     removes the key.
+     * @return {Promise} Resolves once saved
+     */
+    async write(changes) {
+        return this.backend.write(await this._encryptAll(this.key, changes));
+    };
+
+    /**
+     * Re-encrypts every stored value under a new key (encrypting any that
+     * weren't yet, with `allowPlaintext`), all in a single write. Wait for any pending writes to
+     * finish first (see `asyncTable.settle`).
+     * @param {CryptoKey} newKey - The new AES-GCM key
+     * @param {string} [prefix] - Only re-encrypts keys starting with this.
+     * @throws A `DecryptionError` if any value fails to decrypt with the
+     *     current key, in which case nothing is changed
+     * @return {Promise} Resolves once everything is saved under the new key
+     */
+    async rotateKey(newKey, prefix = "") {
+        const entries = await this.load(prefix);
+        await this.backend.write(await this._encryptAll(newKey, entries));
+        this.key = newKey;
+    };
+
+    /**
+     * Closes the wrapped backend, if it can be.
+     * @return {Promise} Resolves once closed
+     */
+    async close() {
+        if(typeof this.backend.close === "function") {
+            await this.backend.close();
+        }
+    };
+}
+
+export {
+    EncryptedBackend,
+};
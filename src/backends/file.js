@@ -0,0 +1,108 @@
+/**
+ * FileStorage: A `Storage`-like object kept in a JSON file, for Node.
+ *
+ * @module localtable/backends/file
+ */
+"use strict";
+
+import fs from "node:fs";
+
+import { MemoryStorage } from "./memory.js";
+
+/**
+ * A class providing the `Storage` API over a JSON file on disk.
+ *
+ * Everything is loaded into memory when created. By default, each change
+ * rewrites the file, via a temporary file & a rename so a crash can't leave
+ * it half-written. For bulk work, turn off `autoFlush` & call `flush()` when
+ * done.
+ */
+class FileStorage extends MemoryStorage {
+    /**
+     * Creates a new `FileStorage` instance.
+     * @param {string} path - The JSON file to use. It's created if missing.
+     * @param {object} [options] - The options for the storage.
+     * @param {boolean} [options.autoFlush] - If `false`, changes are only
+     *     written by `flush()`. Defaults to `true`.
+     * @throws If the file isn't a JSON object of strings
+     */
+    constructor(path, options = {}) {
+        super();
+        this.path = path;
+        this.autoFlush = options["autoFlush"] !== false;
+        this._dirty = false;
+
+        if(fs.existsSync(path)) {
+            const data = JSON.parse(fs.readFileSync(path, "utf8"));
+
+            if(data === null || typeof data !== "object" || Array.isArray(data)) {
+                throw new Error(`'${path}' doesn't hold a JSON object!`);
+            }
+
+            for(const [key, value] of Object.entries(data)) {
+                super.setItem(key, value);
+            }
+        }
+    };
+
+    _changed() {
+        this._dirty = true;
+
+        if(this.autoFlush) {
+            this.flush();
+        }
+    };
+
+    /**
+     * Sets a value.
+     * @param {string} key - The key to set
+     * @param {string} value - The value to store
+     * @throws If the file can't be written
+     * @return {null}
+     */
+    setItem(key, value) {
+        super.setItem(key, value);
+        this._changed();
+    };
+
+    /**
+     * Removes a value.
+     * @param {string} key - The key to remove
+     * @throws If the file can't be written
+     * @return {null}
+     */
+    removeItem(key) {
+        super.removeItem(key);
+        this._changed();
+    };
+
+    /**
+     * Removes every value.
+     * @throws If the file can't be written
+     * @return {null}
+     */
+    clear() {
+        super.clear();
+        this._changed();
+    };
+
+    /**
+     * Writes any changes out to the file.
+     * @throws If the file can't be written
+     * @return {null}
+     */
+    flush() {
+        if(! this._dirty) {
+            return;
+        }
+
+        const tempPath = `${this.path}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.entries())));
+        fs.renameSync(tempPath, this.path);
+        this._dirty = false;
+    };
+}
+
+export {
+    FileStorage,
+};
@@ -0,0 +1,136 @@
+/**
+ * IndexedDBBackend: An asynchronous backend using the browser's IndexedDB.
+ *
+ * @module localtable/backends/indexeddb
+ */
+"use strict";
+
+/**
+ * Wraps an `IDBRequest` (or `IDBTransaction`) in a `Promise`.
+ * @param {IDBRequest} request - The request
+ * @param {string} [successEvent] - The event signalling success. Defaults
+ *     to `"success"`.
+ * @return {Promise} Resolves with the request's result
+ */
+const promised = function(request, successEvent = "success") {
+    return new Promise((resolve, reject) => {
+        request[`on${successEvent}`] = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+
+        if(successEvent === "complete") {
+            request.onabort = () => reject(request.error || new Error("The transaction was aborted!"));
+        }
+    });
+};
+
+/**
+ * A class storing keys & values in an IndexedDB object store.
+ *
+ * IndexedDB has a far larger quota than `localStorage`, but is asynchronous,
+ * so it's used through `AsyncLocalTable`. Like every asynchronous backend, it
+ * provides:
+ *
+ * * `load(prefix)` - Resolves with the `[key, value]` pairs whose keys start
+ *   with the prefix.
+ * * `write(changes)` - Takes `[key, value]` pairs (with a `null` value to
+ *   remove the key) & resolves once they're all saved, or rejects without
+ *   saving any.
+ */
+class IndexedDBBackend {
+    /**
+     * Creates a new `IndexedDBBackend` instance.
+     * @param {string} [databaseName] - The name of the IndexedDB database.
+     *     Defaults to `"localtable"`.
+     * @param {object} [options] - The options for the backend.
+     * @param {string} [options.storeName] - The name of the object store.
+     *     Defaults to `"keyvalue"`.
+     * @param {IDBFactory} [options.indexedDB] - The IndexedDB implementation.
+     *     Defaults to the global `indexedDB`.
+     * @param {function} [options.IDBKeyRange] - The matching `IDBKeyRange`.
+     *     Defaults to the global one.
+     */
+    constructor(databaseName = "localtable", options = {}) {
+        this.databaseName = databaseName;
+        this.storeName = options["storeName"] || "keyvalue";
+        this._factory = options["indexedDB"] || globalThis.indexedDB;
+        this._keyRange = options["IDBKeyRange"] || globalThis.IDBKeyRange;
+        this._connection = null;
+    };
+
+    _open() {
+        if(this._connection === null) {
+            const request = this._factory.open(this.databaseName, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+
+            this._connection = promised(request).catch((err) => {
+                // Let a later call try again.
+                this._connection = null;
+                throw err;
+            });
+        }
+
+        return this._connection;
+    };
+
+    /**
+     * Loads the stored keys & values.
+     * @param {string} [prefix] - Only loads keys starting with this.
+     * @return {Promise} Resolves with an array of `[key, value]` pairs
+     */
+    async load(prefix = "") {
+        const db = await this._open();
+        const store = db.transaction(this.storeName, "readonly").objectStore(this.storeName);
+        // Every key starting with the prefix sorts between these.
+        const range = prefix ? this._keyRange.bound(prefix, prefix + "\uffff") : undefined;
+        const [keys, values] = await Promise.all([
+            promised(store.getAllKeys(range)),
+            promised(store.getAll(range)),
+        ]);
+
+        return keys.map((key, offset) => [key, values[offset]]);
+    };
+
+    /**
+     * Saves changes, all in a single IndexedDB transaction.
+     * @param {array} changes - The `[key, value]` pairs. A `null` value
+     *     removes the key.
+     * @return {Promise} Resolves once saved
+     */
+    async write(changes) {
+        const db = await this._open();
+        const transaction = db.transaction(this.storeName, "readwrite");
+        const store = transaction.objectStore(this.storeName);
+        const done = promised(transaction, "complete");
+
+        for(const [key, value] of changes) {
+            if(value === null) {
+                store.delete(key);
+            } else {
+                store.put(value, key);
+            }
+        }
+
+        return done;
+    };
+
+    /**
+     * Closes the connection to the database.
+     * @return {Promise} Resolves once closed
+     */
+    async close() {
+        if(this._connection === null) {
+            return;
+        }
+
+        const db = await this._connection;
+        db.close();
+        this._connection = null;
+    };
+}
+
+export {
+    IndexedDBBackend,
+};
@@ -0,0 +1,111 @@
+/**
+ * MemoryStorage: A `Storage`-like object keeping everything in memory.
+ *
+ * @module localtable/backends/memory
+ */
+"use strict";
+
+/**
+ * A class providing the `Storage` API over a `Map`.
+ *
+ * Handy for tests, Node tooling, or data that shouldn't outlive the page.
+ * It has no size limit.
+ */
+class MemoryStorage {
+    /**
+     * Creates a new `MemoryStorage` instance.
+     * @param {iterable} [entries] - The `[key, value]` pairs to start with.
+     */
+    constructor(entries = []) {
+        this._data = new Map();
+        // The keys in order, built when first listed.
+        this._keys = null;
+
+        // Directly, so subclasses don't see these as changes.
+        for(const [key, value] of entries) {
+            this._data.set(String(key), String(value));
+        }
+    };
+
+    /**
+     * The number of keys stored.
+     * @type {integer}
+     */
+    get length() {
+        return this._data.size;
+    };
+
+    /**
+     * Fetches the key at a position, for listing all the keys.
+     * @param {integer} index - The position of the key
+     * @return {string|null} The key, or `null` if out of range
+     */
+    key(index) {
+        if(index < 0 || index >= this._data.size) {
+            return null;
+        }
+
+        if(this._keys === null) {
+            this._keys = [...this._data.keys()];
+        }
+
+        return this._keys[index];
+    };
+
+    /**
+     * Fetches a value.
+     * @param {string} key - The key to fetch
+     * @return {string|null} The value, or `null` if not present
+     */
+    getItem(key) {
+        const value = this._data.get(String(key));
+        return (value === undefined) ? null : value;
+    };
+
+    /**
+     * Sets a value.
+     * @param {string} key - The key to set
+     * @param {string} value - The value to store
+     * @return {null}
+     */
+    setItem(key, value) {
+        // Replacing a value leaves the key where it was.
+        if(! this._data.has(String(key))) {
+            this._keys = null;
+        }
+
+        this._data.set(String(key), String(value));
+    };
+
+    /**
+     * Removes a value.
+     * @param {string} key - The key to remove
+     * @return {null}
+     */
+    removeItem(key) {
+        if(this._data.delete(String(key))) {
+            this._keys = null;
+        }
+    };
+
+    /**
+     * Removes every value.
+     * @return {null}
+     */
+    clear() {
+        this._data.clear();
+        this._keys = null;
+    };
+
+    /**
+     * Lists everything stored.
+     * @return {array} The `[key, value]` pairs
+     */
+    entries() {
+        return [...this._data.entries()];
+    };
+}
+
+export {
+    MemoryStorage,
+};
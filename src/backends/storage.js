@@ -0,0 +1,62 @@
+/**
+ * StorageBackend: An asynchronous backend over a `Storage`-like object.
+ *
+ * @module localtable/backends/storage
+ */
+"use strict";
+
+import { storageKeys } from "../keys.js";
+import { Transaction } from "../transaction.js";
+
+/**
+ * A class adapting a synchronous `Storage` (like `localStorage`) into an
+ * asynchronous backend, for use with `AsyncLocalTable`. On its own, that's
+ * no better than a plain `LocalTable`, but it lets asynchronous wrappers
+ * (such as `EncryptedBackend`) work with `localStorage`.
+ */
+class StorageBackend {
+    /**
+     * Creates a new `StorageBackend` instance.
+     * @param {Storage} storage - The storage, which must support listing its
+     *     keys.
+     */
+    constructor(storage) {
+        this.storage = storage;
+    };
+
+    /**
+     * Loads the stored keys & values.
+     * @param {string} [prefix] - Only loads keys starting with this.
+     * @return {Promise} Resolves with an array of `[key, value]` pairs
+     */
+    async load(prefix = "") {
+        return storageKeys(this.storage)
+            .filter((key) => key.startsWith(prefix))
+            .map((key) => [key, this.storage.getItem(key)]);
+    };
+
+    /**
+     * Saves changes. If any fail (such as from a full storage), the ones
+     * already made are undone.
+     * @param {array} changes - The `[key, value]` pairs. A `null` value
+     *     removes the key.
+     * @return {Promise} Resolves once saved
+     */
+    async write(changes) {
+        const txn = new Transaction(this.storage);
+
+        for(const [key, value] of changes) {
+            if(value === null) {
+                txn.removeItem(key);
+            } else {
+                txn.setItem(key, value);
+            }
+        }
+
+        txn.commit();
+    };
+}
+
+export {
+    StorageBackend,
+};
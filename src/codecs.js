@@ -0,0 +1,330 @@
+/**
+ * Codecs: Compressing the values a table stores.
+ *
+ * A codec is an object with `compress` & `decompress` functions, each taking
+ * & returning a string. Compressed values are stored as `~name~data`, so
+ * they're told apart from plain JSON (which never starts with a `~`) & can
+ * be read whatever the table's current `compression` is.
+ *
+ * @module localtable/codecs
+ */
+"use strict";
+
+import { isString, isFunction } from "./validation.js";
+
+const marker = "~";
+
+/**
+ * Compresses text with LZ-string's algorithm, packing 15 bits into each
+ * character. The characters all fall below the surrogate range, so the
+ * result is valid UTF-16 & safe to keep in `localStorage`.
+ * @function
+ * @param {string} text - The text to compress
+ * @return {string} The compressed text
+ */
+const compressLZ = function(text) {
+    const dictionary = new Map();
+    // Characters added to the dictionary, but not yet written out.
+    const unwritten = new Set();
+    const output = [];
+    let buffer = 0;
+    let position = 0;
+    let dictSize = 3;
+    let numBits = 2;
+    let enlargeIn = 2;
+
+    // Bits are written lowest first.
+    const writeBits = (count, value) => {
+        for(let offset = 0; offset < count; offset++) {
+            buffer = (buffer << 1) | (value & 1);
+            value >>= 1;
+
+            if(position === 14) {
+                output.push(String.fromCharCode(buffer + 32));
+                buffer = 0;
+                position = 0;
+            } else {
+                position++;
+            }
+        }
+    };
+
+    const grow = () => {
+        enlargeIn--;
+
+        if(enlargeIn === 0) {
+            enlargeIn = 2 ** numBits;
+            numBits++;
+        }
+    };
+
+    const writePhrase = (phrase) => {
+        if(unwritten.has(phrase)) {
+            const code = phrase.charCodeAt(0);
+
+            // 0 & 1 flag a new 8 or 16-bit character.
+            if(code < 256) {
+                writeBits(numBits, 0);
+                writeBits(8, code);
+            } else {
+                writeBits(numBits, 1);
+                writeBits(16, code);
+            }
+
+            grow();
+            unwritten.delete(phrase);
+        } else {
+            writeBits(numBits, dictionary.get(phrase));
+        }
+
+        grow();
+    };
+
+    let phrase = "";
+
+    for(let offset = 0; offset < text.length; offset++) {
+        const char = text.charAt(offset);
+
+        if(! dictionary.has(char)) {
+            dictionary.set(char, dictSize++);
+            unwritten.add(char);
+        }
+
+        if(dictionary.has(phrase + char)) {
+            phrase += char;
+            continue;
+        }
+
+        writePhrase(phrase);
+        dictionary.set(phrase + char, dictSize++);
+        phrase = char;
+    }
+
+    if(phrase !== "") {
+        writePhrase(phrase);
+    }
+
+    // 2 marks the end, then pad out the last character.
+    writeBits(numBits, 2);
+
+    while(position !== 0) {
+        writeBits(1, 0);
+    }
+
+    return output.join("") + " ";
+};
+
+/**
+ * Decompresses text made by `compressLZ`.
+ * @function
+ * @param {string} compressed - The compressed text
+ * @throws If the text is corrupt
+ * @return {string} The original text
+ */
+const decompressLZ = function(compressed) {
+    let value = compressed.charCodeAt(0) - 32;
+    let position = 1 << 14;
+    let index = 1;
+
+    const readBits = (count) => {
+        let bits = 0;
+
+        for(let offset = 0; offset < count; offset++) {
+            if(value & position) {
+                bits |= 1 << offset;
+            }
+
+            position >>= 1;
+
+            if(position === 0) {
+                position = 1 << 14;
+                value = compressed.charCodeAt(index++) - 32;
+            }
+        }
+
+        return bits;
+    };
+
+    // The first three codes are reserved for flags.
+    const dictionary = [null, null, null];
+    let dictSize = 4;
+    let numBits = 3;
+    let enlargeIn = 4;
+
+    const grow = () => {
+        enlargeIn--;
+
+        if(enlargeIn === 0) {
+            enlargeIn = 2 ** numBits;
+            numBits++;
+        }
+    };
+
+    let previous;
+
+    switch(readBits(2)) {
+        case 0:
+            previous = String.fromCharCode(readBits(8));
+            break;
+        case 1:
+            previous = String.fromCharCode(readBits(16));
+            break;
+        default:
+            return "";
+    }
+
+    dictionary[3] = previous;
+    const result = [previous];
+
+    while(true) {
+        if(index > compressed.length) {
+            throw new Error("Compressed data ended unexpectedly!");
+        }
+
+        let code = readBits(numBits);
+
+        if(code === 2) {
+            return result.join("");
+        }
+
+        if(code < 2) {
+            dictionary[dictSize] = String.fromCharCode(readBits((code === 0) ? 8 : 16));
+            code = dictSize++;
+            grow();
+        }
+
+        let entry;
+
+        if(code < dictSize) {
+            entry = dictionary[code];
+        } else if(code === dictSize) {
+            entry = previous + previous.charAt(0);
+        } else {
+            throw new Error("Compressed data is corrupt!");
+        }
+
+        result.push(entry);
+        dictionary[dictSize++] = previous + entry.charAt(0);
+        grow();
+        previous = entry;
+    }
+};
+
+const builtinCodecs = {
+    "lz-string": {"compress": compressLZ, "decompress": decompressLZ},
+};
+
+const registeredCodecs = {};
+
+/**
+ * Checks a codec has everything it needs.
+ * @function
+ * @param {string} codecName - The name of the codec
+ * @param {object} codec - The codec
+ * @throws If the name or codec is invalid
+ * @return {null}
+ */
+const checkCodec = function(codecName, codec) {
+    if(! isString(codecName) || codecName === "" || codecName.includes(marker)) {
+        throw new Error(`Invalid codec name '${codecName}'! It can't be empty or contain '${marker}'.`);
+    }
+
+    if(! codec || ! isFunction(codec["compress"]) || ! isFunction(codec["decompress"])) {
+        throw new Error(`Codec '${codecName}' needs 'compress' & 'decompress' functions!`);
+    }
+};
+
+/**
+ * Registers a custom codec, for use by every table.
+ * @function
+ * @param {string} codecName - The name tables will use as their
+ *     `compression`
+ * @param {object} codec - The codec. See the module docs.
+ * @throws If the name is a built-in codec, or the codec is invalid
+ * @return {null}
+ */
+const registerCodec = function(codecName, codec) {
+    if(builtinCodecs.hasOwnProperty(codecName)) {
+        throw new Error(`Can't replace the built-in codec '${codecName}'!`);
+    }
+
+    checkCodec(codecName, codec);
+    registeredCodecs[codecName] = codec;
+};
+
+/**
+ * Fetches a built-in or registered codec.
+ * @function
+ * @param {string} codecName - The name of the codec
+ * @return {object|null} The codec, or `null` if unknown
+ */
+const getCodec = function(codecName) {
+    if(builtinCodecs.hasOwnProperty(codecName)) {
+        return builtinCodecs[codecName];
+    }
+
+    if(registeredCodecs.hasOwnProperty(codecName)) {
+        return registeredCodecs[codecName];
+    }
+
+    return null;
+};
+
+/**
+ * Compresses a value for storing, if that makes it smaller.
+ * @function
+ * @param {string|null} codecName - The codec to use. `null` leaves the
+ *     value as it is.
+ * @param {string} text - The value (typically JSON)
+ * @throws If the codec is unknown
+ * @return {string} The value to store
+ */
+const encodeValue = function(codecName, text) {
+    if(codecName === null) {
+        return text;
+    }
+
+    const codec = getCodec(codecName);
+
+    if(codec === null) {
+        throw new Error(`Unknown codec '${codecName}'!`);
+    }
+
+    const encoded = `${marker}${codecName}${marker}${codec["compress"](text)}`;
+
+    // Short values can come out larger.
+    return (encoded.length < text.length) ? encoded : text;
+};
+
+/**
+ * Decompresses a stored value, if it was compressed.
+ * @function
+ * @param {string} stored - The stored value
+ * @throws If the value uses an unknown codec
+ * @return {string} The original value
+ */
+const decodeValue = function(stored) {
+    if(! stored.startsWith(marker)) {
+        return stored;
+    }
+
+    const end = stored.indexOf(marker, marker.length);
+    const codecName = stored.slice(marker.length, end);
+    const codec = (end < 0) ? null : getCodec(codecName);
+
+    if(codec === null) {
+        throw new Error(`Unknown codec '${codecName}'! Was it registered with 'LocalTable.registerCodec'?`);
+    }
+
+    return codec["decompress"](stored.slice(end + marker.length));
+};
+
+export {
+    compressLZ,
+    decompressLZ,
+    checkCodec,
+    registerCodec,
+    getCodec,
+    encodeValue,
+    decodeValue,
+};
@@ -0,0 +1,147 @@
+/**
+ * CSV: Reading & writing comma-separated values, as spreadsheets use.
+ *
+ * Follows RFC 4180: fields containing the delimiter, quotes or line breaks
+ * are wrapped in double quotes, with any quotes inside doubled up.
+ *
+ * @module localtable/csv
+ */
+"use strict";
+
+/**
+ * Formats a single CSV field, quoting it if needed.
+ * @function
+ * @param {string} value - The field's text
+ * @param {string} delimiter - The character separating fields
+ * @return {string} The field, ready to join into a record
+ */
+const formatField = function(value, delimiter) {
+    const needsQuotes = value.includes(delimiter) ||
+        value.includes("\"") ||
+        value.includes("\r") ||
+        value.includes("\n");
+
+    if(! needsQuotes) {
+        return value;
+    }
+
+    return `"${value.replace(/"/g, "\"\"")}"`;
+};
+
+/**
+ * Builds CSV text from records.
+ * @function
+ * @param {array} records - An array of records, each an array of strings
+ * @param {object} [options] - Accepts the `delimiter`, defaulting to `","`
+ * @return {string} The CSV text, with `\r\n` line breaks
+ */
+const formatCSV = function(records, options = {}) {
+    const delimiter = options["delimiter"] || ",";
+
+    return records.map((record) => {
+        return record.map((value) => formatField(value, delimiter)).join(delimiter);
+    }).join("\r\n") + "\r\n";
+};
+
+/**
+ * Parses CSV text into records. Blank lines are skipped.
+ * @function
+ * @param {string} text - The CSV text
+ * @param {object} [options] - Accepts the `delimiter`, defaulting to `","`
+ * @throws If a quoted field is left open, or has text after its closing quote
+ * @return {array} Objects with the `line` each record starts on (counting
+ *     from 1) & its `values` (an array of strings)
+ */
+const parseCSV = function(text, options = {}) {
+    const delimiter = options["delimiter"] || ",";
+    const records = [];
+    let values = [];
+    let value = "";
+    // Tells an empty quoted field apart from a blank line.
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    let offset = 0;
+
+    // Skip any byte order mark, as spreadsheets like to add one.
+    if(text.charCodeAt(0) === 0xFEFF) {
+        offset = 1;
+    }
+
+    const endRecord = () => {
+        if(values.length > 0 || value !== "" || quoted) {
+            values.push(value);
+            records.push({"line": recordLine, "values": values});
+        }
+
+        values = [];
+        value = "";
+        quoted = false;
+    };
+
+    while(offset < text.length) {
+        const char = text[offset];
+
+        if(char === "\"" && value === "" && ! quoted) {
+            // A quoted field runs until the next lone quote.
+            const quoteLine = line;
+            quoted = true;
+            offset++;
+
+            while(true) {
+                if(offset >= text.length) {
+                    throw new Error(`Unterminated quoted field starting on line ${quoteLine}!`);
+                }
+
+                if(text[offset] === "\"") {
+                    if(text[offset + 1] !== "\"") {
+                        offset++;
+                        break;
+                    }
+
+                    offset++;
+                } else if(text[offset] === "\n") {
+                    line++;
+                }
+
+                value += text[offset];
+                offset++;
+            }
+
+            const next = text[offset];
+
+            if(next !== undefined && next !== delimiter && next !== "\r" && next !== "\n") {
+                throw new Error(`Unexpected text after a quoted field on line ${line}!`);
+            }
+
+            continue;
+        }
+
+        if(char === delimiter) {
+            values.push(value);
+            value = "";
+            quoted = false;
+            offset++;
+            continue;
+        }
+
+        if(char === "\r" || char === "\n") {
+            endRecord();
+            offset += (char === "\r" && text[offset + 1] === "\n") ? 2 : 1;
+            line++;
+            recordLine = line;
+            continue;
+        }
+
+        value += char;
+        offset++;
+    }
+
+    endRecord();
+    return records;
+};
+
+export {
+    formatCSV,
+    parseCSV,
+};
@@ -0,0 +1,218 @@
+/**
+ * LocalDatabase: A registry of tables sharing the same storage.
+ *
+ * @module localtable/database
+ */
+"use strict";
+
+import { LocalTable } from "./table.js";
+import { escapeName, unescapeName, parseKey, storedSize, storageKeys } from "./keys.js";
+
+/**
+ * A class representing a set of related tables.
+ *
+ * Tables need to be registered with a database for `ref` fields to be able
+ * to find the tables they refer to. The database also namespaces the tables'
+ * keys, escaping the table names so one table's keys can't clash with
+ * another's.
+ */
+class LocalDatabase {
+    /**
+     * Creates a new `LocalDatabase` instance.
+     * @param {Storage} storage - Reference to the `Storage`-like object that
+     *     will keep the data for all the tables.
+     * @param {object} [options] - The options for the database.
+     * @param {string} [options.prefix] - Starts all the tables' keys, so
+     *     several databases (or other data) can share the same storage.
+     */
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.prefix = options["prefix"] || null;
+        this._tables = {};
+    };
+
+    _keyPrefix(tableName) {
+        const escaped = escapeName(tableName);
+        return (this.prefix === null) ? escaped : `${this.prefix}:${escaped}`;
+    };
+
+    _tableForKey(key) {
+        let rest = key;
+
+        if(this.prefix !== null) {
+            if(! key.startsWith(`${this.prefix}:`)) {
+                return null;
+            }
+
+            rest = key.slice(this.prefix.length + 1);
+        }
+
+        // Escaped names never contain a `_`, so the first one ends the name.
+        const match = /^([^_:]+)_/.exec(rest);
+        return (match === null) ? null : unescapeName(match[1]);
+    };
+
+    _tableKeys() {
+        const keys = storageKeys(this.storage);
+        const present = new Set(keys);
+        const tableKeys = [];
+
+        // Without a prefix, other data may look like a table's keys too. Only
+        // claim keys laid out like a table's, whose table has an id list.
+        for(const key of keys) {
+            const tableName = this._tableForKey(key);
+
+            if(tableName === null) {
+                continue;
+            }
+
+            const keyPrefix = this._keyPrefix(tableName);
+
+            if(present.has(`${keyPrefix}_list`) && parseKey(keyPrefix, key) !== null) {
+                tableKeys.push([key, tableName]);
+            }
+        }
+
+        return tableKeys;
+    };
+
+    /**
+     * Creates (or fetches the already registered) table.
+     * @param {string} tableName - The name of the table.
+     * @param {object} options - The options for the table, as accepted by
+     *     `LocalTable`. Only needed the first time.
+     * @throws If the table isn't registered & no options are provided, or
+     *     the name is empty
+     * @return {LocalTable} The table
+     */
+    table(tableName, options) {
+        if(this._tables.hasOwnProperty(tableName)) {
+            return this._tables[tableName];
+        }
+
+        if(options === undefined) {
+            throw new Error(`Unknown table '${tableName}'!`);
+        }
+
+        if(typeof tableName !== "string" || tableName.length === 0) {
+            throw new Error("Table names must be non-empty strings!");
+        }
+
+        const table = new LocalTable(this.storage, tableName, Object.assign({}, options, {
+            "database": this,
+            "keyPrefix": this._keyPrefix(tableName),
+        }));
+        this._tables[tableName] = table;
+        return table;
+    };
+
+    /**
+     * Checks if a table is registered.
+     * @param {string} tableName - The name of the table.
+     * @return {boolean} True if registered, else False
+     */
+    hasTable(tableName) {
+        return this._tables.hasOwnProperty(tableName);
+    };
+
+    /**
+     * Lists the names of the registered tables.
+     * @return {array} The table names
+     */
+    tableNames() {
+        return Object.keys(this._tables);
+    };
+
+    /**
+     * Lists the names of the tables found in the storage, whether they're
+     * registered or not. Requires the storage to support `key()` & `length`.
+     * @return {array} The sorted table names
+     */
+    listTables() {
+        const names = [];
+
+        for(const [key, tableName] of this._tableKeys()) {
+            if(key === `${this._keyPrefix(tableName)}_list`) {
+                names.push(tableName);
+            }
+        }
+
+        return names.sort();
+    };
+
+    /**
+     * Drops every table in the database, including any found in the storage
+     * that aren't registered. Delete rules aren't applied, since all the
+     * rows are going.
+     * @throws If the storage fails to write
+     * @return {null}
+     */
+    dropAll() {
+        // Grab the keys up front, since the transaction can't list them.
+        const keys = this._tableKeys().map(([key]) => key);
+
+        this.transaction(() => {
+            for(const table of Object.values(this._tables)) {
+                table._dropStorage();
+            }
+        });
+
+        for(const key of keys) {
+            this.storage.removeItem(key);
+        }
+    };
+
+    /**
+     * Estimates how much of the storage each table is using. See
+     * `table.usage`. Requires the storage to support `key()` & `length`.
+     * @return {object} The `total` bytes, & the bytes used by each of the
+     *     `tables` (by name)
+     */
+    usage() {
+        const usage = {"total": 0, "tables": {}};
+
+        for(const [key, tableName] of this._tableKeys()) {
+            const size = storedSize(key, this.storage.getItem(key));
+            usage["tables"][tableName] = (usage["tables"][tableName] || 0) + size;
+            usage["total"] += size;
+        }
+
+        return usage;
+    };
+
+    /**
+     * Finds the `ref` fields (in any registered table) referring to a table.
+     * @param {string} tableName - The name of the referenced table.
+     * @return {array} Objects with the referring `table` & its `field`
+     *     definition
+     */
+    referencesTo(tableName) {
+        const references = [];
+
+        for(const table of Object.values(this._tables)) {
+            for(const fieldAttrs of table._fields) {
+                if(fieldAttrs["type"] === "ref" && fieldAttrs["ref"]["table"] === tableName) {
+                    references.push({"table": table, "field": fieldAttrs});
+                }
+            }
+        }
+
+        return references;
+    };
+
+    /**
+     * Runs a function, committing all of its writes to every registered
+     * table at once. See `table.transaction`.
+     * @param {function} fn - The function making the writes. It's passed the
+     *     database & must be synchronous.
+     * @throws If the function or the commit fails
+     * @return {any} Whatever the function returned
+     */
+    transaction(fn) {
+        return LocalTable.transaction(Object.values(this._tables), () => fn(this));
+    };
+}
+
+export {
+    LocalDatabase,
+};
@@ -0,0 +1,157 @@
+/**
+ * Errors raised by LocalTable.
+ *
+ * @module localtable/errors
+ */
+"use strict";
+
+/**
+ * An error raised when row data fails to validate.
+ */
+class ValidationError extends Error {
+    /**
+     * Creates a new `ValidationError` instance.
+     * @param {array} errors - The problems found, each an object with the
+     *     `field` name, a short `code` (such as `"required"` or `"max"`) & a
+     *     human-readable `message`.
+     */
+    constructor(errors) {
+        const messages = errors.map((error) => error["message"]);
+        super(`Invalid data! ${messages.join(", ")}`);
+        this.name = "ValidationError";
+        this.errors = errors;
+    };
+
+    /**
+     * Groups the error messages by field, such as for showing them next to
+     * each input in a form.
+     * @return {object} Maps field names to arrays of messages
+     */
+    byField() {
+        const grouped = {};
+
+        for(const error of this.errors) {
+            if(! grouped.hasOwnProperty(error["field"])) {
+                grouped[error["field"]] = [];
+            }
+
+            grouped[error["field"]].push(error["message"]);
+        }
+
+        return grouped;
+    };
+}
+
+/**
+ * An error raised when a row would break a unique constraint.
+ */
+class UniqueError extends Error {
+    /**
+     * Creates a new `UniqueError` instance.
+     * @param {array} fields - The names of the fields in the constraint
+     * @param {array} values - The row's values for those fields
+     * @param {any} conflictingId - The id of the row already using the values
+     */
+    constructor(fields, values, conflictingId) {
+        const described = values.map((value) => JSON.stringify(value)).join(", ");
+        super(`Unique constraint on '${fields.join(", ")}' failed! ${described} is already used by '${conflictingId}'.`);
+        this.name = "UniqueError";
+        this.fields = fields;
+        this.values = values;
+        this.conflictingId = conflictingId;
+    };
+}
+
+/**
+ * An error raised when deleting a row that other rows still refer to.
+ */
+class IntegrityError extends Error {
+    /**
+     * Creates a new `IntegrityError` instance.
+     * @param {string} table - The name of the table being deleted from
+     * @param {any} id - The id of the row being deleted
+     * @param {string} referringTable - The name of the table referring to it
+     * @param {string} referringField - The name of the `ref` field
+     * @param {any} referringId - The id of a row referring to it
+     */
+    constructor(table, id, referringTable, referringField, referringId) {
+        super(`Can't delete '${id}' from '${table}'! It's referred to by '${referringId}' in '${referringTable}.${referringField}'.`);
+        this.name = "IntegrityError";
+        this.table = table;
+        this.id = id;
+        this.referringTable = referringTable;
+        this.referringField = referringField;
+        this.referringId = referringId;
+    };
+}
+
+/**
+ * An error raised when the storage is too full to save a write.
+ *
+ * The write is rolled back, so the tables are left as they were.
+ */
+class StorageFullError extends Error {
+    /**
+     * Creates a new `StorageFullError` instance.
+     * @param {array} tables - The names of the tables being written to
+     * @param {integer} bytes - The estimated bytes the write needed
+     * @param {Error} cause - The error thrown by the storage
+     */
+    constructor(tables, bytes, cause) {
+        super(`Storage is full! Couldn't save ${bytes} more bytes to '${tables.join("', '")}'. (${cause.message})`);
+        this.name = "StorageFullError";
+        this.tables = tables;
+        this.bytes = bytes;
+        this.cause = cause;
+    };
+}
+
+/**
+ * An error raised when a stored value can't be decrypted, such as with the
+ * wrong key or after being tampered with.
+ */
+class DecryptionError extends Error {
+    /**
+     * Creates a new `DecryptionError` instance.
+     * @param {string} key - The storage key holding the value
+     * @param {Error} cause - The error thrown while decrypting
+     */
+    constructor(key, cause) {
+        super(`Couldn't decrypt '${key}'! Either the key is wrong or the data was altered.`);
+        this.name = "DecryptionError";
+        this.key = key;
+        this.cause = cause;
+    };
+}
+
+/**
+ * An error raised when updating a row that's changed since it was read, as
+ * told by its revision.
+ */
+class ConflictError extends Error {
+    /**
+     * Creates a new `ConflictError` instance.
+     * @param {string} table - The name of the table being written to
+     * @param {any} id - The id of the row
+     * @param {integer} expectedRevision - The revision the write expected
+     * @param {integer} actualRevision - The row's current revision (`0` if
+     *     it's not present)
+     */
+    constructor(table, id, expectedRevision, actualRevision) {
+        super(`Can't update '${id}' in '${table}'! Expected revision ${expectedRevision}, but it's at revision ${actualRevision}.`);
+        this.name = "ConflictError";
+        this.table = table;
+        this.id = id;
+        this.expectedRevision = expectedRevision;
+        this.actualRevision = actualRevision;
+    };
+}
+
+export {
+    ValidationError,
+    UniqueError,
+    IntegrityError,
+    StorageFullError,
+    DecryptionError,
+    ConflictError,
+};
@@ -0,0 +1,94 @@
+/**
+ * EventEmitter: A minimal publish/subscribe helper.
+ *
+ * @module localtable/events
+ */
+"use strict";
+
+/**
+ * A class for registering handlers & emitting events to them.
+ */
+class EventEmitter {
+    /**
+     * Creates a new `EventEmitter` instance.
+     */
+    constructor() {
+        this._handlers = {};
+    };
+
+    /**
+     * Registers a handler for an event.
+     * @param {string} eventName - The name of the event
+     * @param {function} handler - Called with the event's payload
+     * @return {function} Call this to unregister the handler
+     */
+    on(eventName, handler) {
+        if(! this._handlers.hasOwnProperty(eventName)) {
+            this._handlers[eventName] = [];
+        }
+
+        this._handlers[eventName].push(handler);
+        return () => this.off(eventName, handler);
+    };
+
+    /**
+     * Unregisters a handler for an event.
+     * @param {string} eventName - The name of the event
+     * @param {function} handler - The previously registered handler
+     * @return {null}
+     */
+    off(eventName, handler) {
+        if(! this._handlers.hasOwnProperty(eventName)) {
+            return;
+        }
+
+        this._handlers[eventName] = this._handlers[eventName].filter((current) => current !== handler);
+    };
+
+    /**
+     * Calls every handler registered for an event.
+     *
+     * A failing handler doesn't stop the others from being called. Once
+     * they all have, its error is passed to the `error` handlers (as the
+     * `error`, plus the `eventName` & `event` payload it failed on), or
+     * re-thrown if there aren't any.
+     * @param {string} eventName - The name of the event
+     * @param {object} payload - The data passed to each handler
+     * @throws The first handler's error, if nothing handles errors
+     * @return {null}
+     */
+    emit(eventName, payload) {
+        if(! this._handlers.hasOwnProperty(eventName)) {
+            return;
+        }
+
+        const errors = [];
+
+        // Copy the handlers, in case one unregisters itself.
+        for(const handler of this._handlers[eventName].slice()) {
+            try {
+                handler(payload);
+            } catch (err) {
+                errors.push(err);
+            }
+        }
+
+        if(errors.length === 0) {
+            return;
+        }
+
+        const errorHandlers = this._handlers["error"] || [];
+
+        if(eventName === "error" || errorHandlers.length === 0) {
+            throw errors[0];
+        }
+
+        for(const err of errors) {
+            this.emit("error", {"error": err, "eventName": eventName, "event": payload});
+        }
+    };
+}
+
+export {
+    EventEmitter,
+};
@@ -7,7 +7,33 @@
  * @license BSD-3-Clause
  */
 import { LocalTable } from "./table.js";
+import { LocalDatabase } from "./database.js";
+import { AsyncLocalTable } from "./async.js";
+import { MemoryStorage } from "./backends/memory.js";
+import { IndexedDBBackend } from "./backends/indexeddb.js";
+import { StorageBackend } from "./backends/storage.js";
+import { EncryptedBackend } from "./backends/encrypted.js";
+import {
+    ValidationError,
+    UniqueError,
+    IntegrityError,
+    StorageFullError,
+    DecryptionError,
+    ConflictError,
+} from "./errors.js";
 
 export {
     LocalTable,
+    LocalDatabase,
+    AsyncLocalTable,
+    MemoryStorage,
+    IndexedDBBackend,
+    StorageBackend,
+    EncryptedBackend,
+    ValidationError,
+    UniqueError,
+    IntegrityError,
+    StorageFullError,
+    DecryptionError,
+    ConflictError,
 };
@@ -0,0 +1,276 @@
+/**
+ * Helpers for maintaining sorted secondary indexes.
+ *
+ * An index is a sorted array of `[value, [id, id, ...]]` entries, which
+ * serializes cleanly to JSON & can be binary-searched for range lookups.
+ *
+ * @module localtable/indexes
+ */
+"use strict";
+
+// Values of different types sort into separate runs, in this order.
+const typeRanks = {
+    "boolean": 0,
+    "number": 1,
+    "string": 2,
+};
+
+/**
+ * Checks if a value can be stored in an index.
+ * @function
+ * @param {any} value - The field value to check
+ * @return {boolean} True if the value is indexable, else False
+ */
+const isIndexable = function(value) {
+    if(typeof value === "number") {
+        return ! Number.isNaN(value);
+    }
+
+    return typeof value === "string" || typeof value === "boolean";
+};
+
+/**
+ * Compares two indexable values, ordering first by type, then by value.
+ * @function
+ * @param {any} a - The first value
+ * @param {any} b - The second value
+ * @return {integer} Negative if `a` sorts first, positive if `b` does, else 0
+ */
+const compareValues = function(a, b) {
+    const rankDiff = typeRanks[typeof a] - typeRanks[typeof b];
+
+    if(rankDiff !== 0) {
+        return rankDiff;
+    }
+
+    if(a < b) {
+        return -1;
+    }
+
+    if(a > b) {
+        return 1;
+    }
+
+    return 0;
+};
+
+/**
+ * Finds where a value is (or would be) in the index.
+ * @function
+ * @param {array} entries - The index entries
+ * @param {any} value - The value to search for
+ * @return {integer} The position of the first entry not less than `value`
+ */
+const findPosition = function(entries, value) {
+    let low = 0;
+    let high = entries.length;
+
+    while(low < high) {
+        const middle = (low + high) >>> 1;
+
+        if(compareValues(entries[middle][0], value) < 0) {
+            low = middle + 1;
+        } else {
+            high = middle;
+        }
+    }
+
+    return low;
+};
+
+/**
+ * Adds an id under a value in the index.
+ * @function
+ * @param {array} entries - The index entries, which are altered in place
+ * @param {any} value - The field value
+ * @param {any} id - The row id
+ * @return {boolean} True if the index was changed, else False
+ */
+const addToIndex = function(entries, value, id) {
+    if(! isIndexable(value)) {
+        return false;
+    }
+
+    const position = findPosition(entries, value);
+    const entry = entries[position];
+
+    if(entry !== undefined && compareValues(entry[0], value) === 0) {
+        if(entry[1].indexOf(id) >= 0) {
+            return false;
+        }
+
+        entry[1].push(id);
+    } else {
+        entries.splice(position, 0, [value, [id]]);
+    }
+
+    return true;
+};
+
+/**
+ * Removes an id from under a value in the index.
+ * @function
+ * @param {array} entries - The index entries, which are altered in place
+ * @param {any} value - The field value
+ * @param {any} id - The row id
+ * @return {boolean} True if the index was changed, else False
+ */
+const removeFromIndex = function(entries, value, id) {
+    if(! isIndexable(value)) {
+        return false;
+    }
+
+    const position = findPosition(entries, value);
+    const entry = entries[position];
+
+    if(entry === undefined || compareValues(entry[0], value) !== 0) {
+        return false;
+    }
+
+    const offset = entry[1].indexOf(id);
+
+    if(offset < 0) {
+        return false;
+    }
+
+    entry[1].splice(offset, 1);
+
+    if(entry[1].length === 0) {
+        entries.splice(position, 1);
+    }
+
+    return true;
+};
+
+/**
+ * Collects every id present in the index.
+ * @function
+ * @param {array} entries - The index entries
+ * @return {Set} The ids
+ */
+const indexedIds = function(entries) {
+    const ids = new Set();
+
+    for(const entry of entries) {
+        for(const id of entry[1]) {
+            ids.add(id);
+        }
+    }
+
+    return ids;
+};
+
+/**
+ * Finds the ids which may match a lookup, using the index.
+ *
+ * The result is a superset of the matching ids among the indexed rows. Rows
+ * whose values are of a different type than the lookup value are included,
+ * since JavaScript's loose comparisons can still match them. The caller is
+ * expected to check the actual row data afterward.
+ * @function
+ * @param {array} entries - The index entries
+ * @param {string} comparison - The lookup type
+ * @param {any} value - The value being looked up
+ * @return {Set|null} The candidate ids, or `null` if the index can't help
+ */
+const lookupIds = function(entries, comparison, value) {
+    if(comparison === "in") {
+        // Any of the values, so the union of their equality lookups.
+        if(! value.every(isIndexable)) {
+            return null;
+        }
+
+        const ids = new Set();
+
+        for(const item of value) {
+            lookupIds(entries, "=", item).forEach((id) => ids.add(id));
+        }
+
+        return ids;
+    }
+
+    if(comparison === "between") {
+        const lowIds = lookupIds(entries, ">=", value[0]);
+        const highIds = lookupIds(entries, "<=", value[1]);
+
+        if(lowIds === null || highIds === null) {
+            return null;
+        }
+
+        return new Set([...lowIds].filter((id) => highIds.has(id)));
+    }
+
+    if(! isIndexable(value)) {
+        return null;
+    }
+
+    const ids = new Set();
+    const addEntries = (start, end) => {
+        for(let offset = start; offset < end; offset++) {
+            for(const id of entries[offset][1]) {
+                ids.add(id);
+            }
+        }
+    };
+
+    // Where the run of same-typed values starts & ends.
+    const rank = typeRanks[typeof value];
+    let typeStart = 0;
+
+    while(typeStart < entries.length && typeRanks[typeof entries[typeStart][0]] < rank) {
+        typeStart++;
+    }
+
+    let typeEnd = typeStart;
+
+    while(typeEnd < entries.length && typeRanks[typeof entries[typeEnd][0]] === rank) {
+        typeEnd++;
+    }
+
+    const position = findPosition(entries, value);
+    let equalEnd = position;
+
+    if(equalEnd < typeEnd && compareValues(entries[equalEnd][0], value) === 0) {
+        equalEnd++;
+    }
+
+    switch(comparison) {
+        case "=":
+            addEntries(position, equalEnd);
+            // Strict equality never matches across types.
+            return ids;
+        case "!=":
+            addEntries(0, position);
+            addEntries(equalEnd, entries.length);
+            return ids;
+        case "<":
+            addEntries(typeStart, position);
+            break;
+        case "<=":
+            addEntries(typeStart, equalEnd);
+            break;
+        case ">":
+            addEntries(equalEnd, typeEnd);
+            break;
+        case ">=":
+            addEntries(position, typeEnd);
+            break;
+        default:
+            return null;
+    }
+
+    // Loose comparisons against other types still need checking.
+    addEntries(0, typeStart);
+    addEntries(typeEnd, entries.length);
+    return ids;
+};
+
+export {
+    isIndexable,
+    compareValues,
+    findPosition,
+    addToIndex,
+    removeFromIndex,
+    indexedIds,
+    lookupIds,
+};
@@ -0,0 +1,116 @@
+/**
+ * Helpers for naming & measuring the keys tables keep in a `Storage`.
+ *
+ * @module localtable/keys
+ */
+"use strict";
+
+// The characters with special meaning in key names, which table names get
+// escaped out of.
+const reservedChars = /[%_:]/g;
+
+// The keys a table keeps after its prefix. Some are single keys, while the
+// rest are followed by the row id or name they're for.
+const singleKinds = ["list", "meta", "sequence", "revision", "history"];
+const namedKinds = ["detail", "index", "unique", "history"];
+
+/**
+ * Escapes a table name, so it can't contain the `_` separating it from the
+ * rest of a key, nor the `:` separating a database's prefix.
+ * @function
+ * @param {string} name - The table name
+ * @return {string} The escaped name
+ */
+const escapeName = function(name) {
+    return name.replace(reservedChars, (char) => {
+        return "%" + char.charCodeAt(0).toString(16).toUpperCase();
+    });
+};
+
+/**
+ * Reverses `escapeName`.
+ * @function
+ * @param {string} escaped - The escaped name
+ * @return {string} The original table name
+ */
+const unescapeName = function(escaped) {
+    return escaped.replace(/%([0-9A-F]{2})/g, (match, code) => {
+        return String.fromCharCode(parseInt(code, 16));
+    });
+};
+
+/**
+ * Works out which of a table's keys a key is.
+ * @function
+ * @param {string} keyPrefix - The table's key prefix
+ * @param {string} key - The key
+ * @return {object|null} The `kind` of key (like `"detail"` or `"list"`) & the
+ *     `name` following it (like the row's id), or `null` if the key isn't
+ *     one of the table's
+ */
+const parseKey = function(keyPrefix, key) {
+    if(! key.startsWith(`${keyPrefix}_`)) {
+        return null;
+    }
+
+    const rest = key.slice(keyPrefix.length + 1);
+
+    if(singleKinds.indexOf(rest) >= 0) {
+        return {"kind": rest, "name": null};
+    }
+
+    const separator = rest.indexOf("_");
+    const kind = rest.slice(0, separator);
+
+    if(separator < 0 || namedKinds.indexOf(kind) < 0) {
+        return null;
+    }
+
+    return {"kind": kind, "name": rest.slice(separator + 1)};
+};
+
+/**
+ * Estimates the bytes a key & value take up in storage. Browsers count
+ * both as UTF-16, so two bytes per character.
+ * @function
+ * @param {string} key - The key
+ * @param {string|null} value - The stored value, if any
+ * @return {integer} The number of bytes
+ */
+const storedSize = function(key, value) {
+    if(value === null || value === undefined) {
+        return 0;
+    }
+
+    return (key.length + String(value).length) * 2;
+};
+
+/**
+ * Lists every key present in a `Storage`-like object.
+ * @function
+ * @param {Storage} storage - The storage, which must provide `key()` &
+ *     `length`
+ * @throws If the storage can't list its keys
+ * @return {array} The keys
+ */
+const storageKeys = function(storage) {
+    if(typeof storage.key !== "function") {
+        throw new Error("The storage doesn't support listing its keys!");
+    }
+
+    const keys = [];
+
+    for(let offset = 0; offset < storage.length; offset++) {
+        keys.push(storage.key(offset));
+    }
+
+    return keys;
+};
+
+export {
+    escapeName,
+    unescapeName,
+    parseKey,
+    storedSize,
+    storageKeys,
+};
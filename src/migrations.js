@@ -0,0 +1,123 @@
+/**
+ * Migration: Describes the changes made to rows between schema versions.
+ *
+ * @module localtable/migrations
+ */
+"use strict";
+
+/**
+ * A class collecting the operations to run against every row in a table.
+ *
+ * An instance is handed to each of a table's migration functions, which
+ * call its methods to describe their changes. The operations are then
+ * applied to each row, in the order they were added.
+ */
+class Migration {
+    /**
+     * Creates a new `Migration` instance.
+     */
+    constructor() {
+        this._operations = [];
+    };
+
+    /**
+     * Adds a field to every row that doesn't already have it.
+     * @param {object} fieldAttrs - The field definition. If it has a
+     *     `default`, that value is used for the existing rows.
+     * @return {Migration} The migration, for chaining
+     */
+    addField(fieldAttrs) {
+        const fieldName = fieldAttrs["name"];
+
+        this._operations.push((row) => {
+            if(! row.hasOwnProperty(fieldName) && fieldAttrs.hasOwnProperty("default")) {
+                row[fieldName] = fieldAttrs["default"];
+            }
+
+            return row;
+        });
+
+        return this;
+    };
+
+    /**
+     * Renames a field on every row.
+     * @param {string} oldName - The current name of the field
+     * @param {string} newName - The new name of the field
+     * @return {Migration} The migration, for chaining
+     */
+    renameField(oldName, newName) {
+        this._operations.push((row) => {
+            if(row.hasOwnProperty(oldName)) {
+                row[newName] = row[oldName];
+                delete row[oldName];
+            }
+
+            return row;
+        });
+
+        return this;
+    };
+
+    /**
+     * Removes a field from every row.
+     * @param {string} fieldName - The name of the field
+     * @return {Migration} The migration, for chaining
+     */
+    dropField(fieldName) {
+        this._operations.push((row) => {
+            delete row[fieldName];
+            return row;
+        });
+
+        return this;
+    };
+
+    /**
+     * Changes the value of a field on every row that has it.
+     * @param {string} fieldName - The name of the field
+     * @param {function} transformer - Takes the current value & the whole
+     *     row, & returns the new value.
+     * @return {Migration} The migration, for chaining
+     */
+    transformField(fieldName, transformer) {
+        this._operations.push((row) => {
+            if(row.hasOwnProperty(fieldName)) {
+                row[fieldName] = transformer(row[fieldName], row);
+            }
+
+            return row;
+        });
+
+        return this;
+    };
+
+    /**
+     * Changes every row with a user-defined function.
+     * @param {function} transformer - Takes the row & returns the new row.
+     * @return {Migration} The migration, for chaining
+     */
+    transformRows(transformer) {
+        this._operations.push(transformer);
+        return this;
+    };
+
+    /**
+     * Runs all the operations against a row.
+     * @param {object} row - The row's data
+     * @return {object} The migrated copy of the row
+     */
+    apply(row) {
+        let migrated = Object.assign({}, row);
+
+        for(const operation of this._operations) {
+            migrated = operation(migrated);
+        }
+
+        return migrated;
+    };
+}
+
+export {
+    Migration,
+};
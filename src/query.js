@@ -0,0 +1,406 @@
+/**
+ * Query: Provides a chainable API for filtering, ordering & paginating rows.
+ *
+ * @module localtable/query
+ */
+"use strict";
+
+import { isIndexable, compareValues } from "./indexes.js";
+
+/**
+ * Converts a field value into one that can be compared for ordering. Dates
+ * become their time.
+ * @param {any} value - The field value
+ * @return {any} The value to compare
+ */
+const sortValue = function(value) {
+    return (value instanceof Date) ? value.getTime() : value;
+};
+
+/**
+ * Compares two field values for ordering.
+ *
+ * Missing, `null` & other non-comparable values always sort last,
+ * regardless of the direction. Dates & `BigInt`s sort alongside numbers.
+ * @param {any} a - The first value
+ * @param {any} b - The second value
+ * @param {integer} direction - `1` for ascending, `-1` for descending
+ * @return {integer} Negative if `a` sorts first, positive if `b` does, else 0
+ */
+const compareForOrdering = function(a, b, direction) {
+    a = sortValue(a);
+    b = sortValue(b);
+
+    const aComparable = isIndexable(a) || typeof a === "bigint";
+    const bComparable = isIndexable(b) || typeof b === "bigint";
+
+    if(! aComparable || ! bComparable) {
+        return Number(! aComparable) - Number(! bComparable);
+    }
+
+    if(typeof a === "bigint" || typeof b === "bigint") {
+        // Only the numbers compare sensibly against `BigInt`s.
+        const aNumeric = typeof a !== "string" && typeof a !== "boolean";
+        const bNumeric = typeof b !== "string" && typeof b !== "boolean";
+
+        if(aNumeric && bNumeric) {
+            return ((a < b) ? -1 : ((a > b) ? 1 : 0)) * direction;
+        }
+
+        return compareValues(aNumeric ? 0 : a, bNumeric ? 0 : b) * direction;
+    }
+
+    return compareValues(a, b) * direction;
+};
+
+/**
+ * A class representing a query against a `LocalTable`.
+ *
+ * Queries are built up by chaining methods, then run by one of the terminal
+ * methods (`all`, `first`, `count` or `exists`).
+ */
+class Query {
+    /**
+     * Creates a new `Query` instance. Typically created by `table.query()`.
+     * @param {LocalTable} table - The table to query.
+     */
+    constructor(table) {
+        this.table = table;
+        this._filters = [];
+        this._ordering = [];
+        this._offset = 0;
+        this._limit = null;
+        this._fields = null;
+        this._includes = [];
+    };
+
+    /**
+     * Narrows the rows matched by the query. Multiple calls are combined
+     * `AND`-style.
+     * @param {object|function} filterBy - Either a plain object of filters
+     *     or a user-defined function, as accepted by `table.filter`.
+     * @throws If invalid lookup types are provided
+     * @return {Query} The query, for chaining
+     */
+    where(filterBy) {
+        if(typeof filterBy !== "function") {
+            this.table._validateFilter(filterBy);
+        }
+
+        this._filters.push(filterBy);
+        return this;
+    };
+
+    /**
+     * Orders the rows by a field. Further calls break ties.
+     * @param {string} fieldName - The name of the field
+     * @param {string} direction - Either `"asc"` (the default) or `"desc"`
+     * @throws If an invalid direction is provided
+     * @return {Query} The query, for chaining
+     */
+    orderBy(fieldName, direction = "asc") {
+        if(direction !== "asc" && direction !== "desc") {
+            throw new Error(`Invalid ordering direction '${direction}' provided!`);
+        }
+
+        this._ordering.push([fieldName, (direction === "asc") ? 1 : -1]);
+        return this;
+    };
+
+    /**
+     * Skips over a number of the matched rows.
+     * @param {integer} count - How many rows to skip
+     * @return {Query} The query, for chaining
+     */
+    offset(count) {
+        this._offset = count;
+        return this;
+    };
+
+    /**
+     * Limits the number of rows returned.
+     * @param {integer} count - The most rows to return
+     * @return {Query} The query, for chaining
+     */
+    limit(count) {
+        this._limit = count;
+        return this;
+    };
+
+    /**
+     * Restricts the fields included in each returned row.
+     * @param {array} fieldNames - The names of the fields to include. The
+     *     id is only included if listed.
+     * @return {Query} The query, for chaining
+     */
+    select(fieldNames) {
+        this._fields = fieldNames;
+        return this;
+    };
+
+    /**
+     * Attaches related rows from other tables to each returned row. The
+     * table must be registered with a `LocalDatabase`.
+     *
+     * Given the name of one of this table's `ref` fields, the referenced row
+     * (or `null`) is attached. Given an object with the `table` & `field` of
+     * another table's `ref` field pointing at this one, an array of the rows
+     * referring to each row is attached.
+     * @param {string|object} spec - The `ref` field, or the `table` & `field`
+     *     referring to this table
+     * @param {object} [options] - Accepts `as`, the name to attach the rows
+     *     under. Defaults to the field name without an `Id` suffix, or the
+     *     other table's name.
+     * @throws If the table isn't in a database, or the field isn't a `ref`
+     * @return {Query} The query, for chaining
+     */
+    include(spec, options = {}) {
+        const database = this.table.database;
+
+        if(database === null) {
+            throw new Error("Including related rows requires a LocalDatabase!");
+        }
+
+        if(typeof spec === "string") {
+            const fieldAttrs = this.table._fields.find((attrs) => attrs["name"] === spec);
+
+            if(fieldAttrs === undefined || fieldAttrs["type"] !== "ref") {
+                throw new Error(`'${spec}' isn't a ref field!`);
+            }
+
+            const defaultName = spec.replace(/_?[Ii]d$/, "");
+
+            this._includes.push({
+                "field": spec,
+                "table": fieldAttrs["ref"]["table"],
+                "as": options["as"] || ((defaultName && defaultName !== spec) ? defaultName : `${spec}Row`),
+                "reverse": false,
+            });
+        } else {
+            this._includes.push({
+                "field": spec["field"],
+                "table": spec["table"],
+                "as": options["as"] || spec["as"] || spec["table"],
+                "reverse": true,
+            });
+        }
+
+        return this;
+    };
+
+    _attachIncludes(rows, results) {
+        const database = this.table.database;
+
+        for(const include of this._includes) {
+            const other = database.table(include["table"]);
+            const fieldName = include["field"];
+
+            if(! include["reverse"]) {
+                // Fetch each referenced row just once.
+                const related = new Map();
+
+                for(const row of rows) {
+                    const id = row[fieldName];
+
+                    if(id !== null && id !== undefined && ! related.has(id)) {
+                        related.set(id, other.exists(id) ? other._getRow(id) : null);
+                    }
+                }
+
+                rows.forEach((row, offset) => {
+                    results[offset][include["as"]] = related.get(row[fieldName]) || null;
+                });
+                continue;
+            }
+
+            // Grab all the referring rows in a single filter.
+            const ids = rows.map((row) => row[this.table.idField]);
+            const grouped = new Map(ids.map((id) => [id, []]));
+            const referring = other._filter({
+                [fieldName]: {"exists": true, "in": ids},
+            });
+
+            for(const row of referring) {
+                grouped.get(row[fieldName]).push(row);
+            }
+
+            rows.forEach((row, offset) => {
+                results[offset][include["as"]] = grouped.get(row[this.table.idField]);
+            });
+        }
+
+        return results;
+    };
+
+    _results(rows) {
+        const results = rows.map((row) => this._project(row));
+        return this._attachIncludes(rows, results);
+    };
+
+    _compareRows(a, b, ordering) {
+        for(const [fieldName, direction] of ordering) {
+            const result = compareForOrdering(a[fieldName], b[fieldName], direction);
+
+            if(result !== 0) {
+                return result;
+            }
+        }
+
+        return 0;
+    };
+
+    * _orderedRows() {
+        const table = this.table;
+
+        if(this._ordering.length === 0) {
+            yield* table._iterRows(this._filters);
+            return;
+        }
+
+        const [fieldName, direction] = this._ordering[0];
+
+        if(table._indexes.indexOf(fieldName) < 0) {
+            // No index to lean on, so everything needs loading & sorting.
+            const rows = [...table._iterRows(this._filters)];
+            rows.sort((a, b) => this._compareRows(a, b, this._ordering));
+            yield* rows;
+            return;
+        }
+
+        // Walk the index in order, only loading one value's worth of rows at
+        // a time & sorting those by any remaining fields. The filters only
+        // need checking (& narrowing down by the indexes) once.
+        const candidates = table._filterCandidates(this._filters);
+        const allIds = table._getIds().filter((id) => candidates === null || candidates.has(id));
+        const positions = new Map(allIds.map((id, offset) => [id, offset]));
+        const entries = table._getIndex(fieldName);
+        const groups = [];
+        const seen = new Set();
+
+        for(const entry of entries) {
+            const ids = entry[1].filter((id) => positions.has(id));
+            ids.sort((a, b) => positions.get(a) - positions.get(b));
+            ids.forEach((id) => seen.add(id));
+            groups.push(ids);
+        }
+
+        if(direction < 0) {
+            groups.reverse();
+        }
+
+        // Then the rows without an indexable value, which go last. (Unless
+        // they're values like dates, which still need sorting.)
+        groups.push(allIds.filter((id) => ! seen.has(id)));
+
+        const remaining = this._ordering.slice(1);
+        const lastGroup = groups.length - 1;
+
+        for(const [offset, ids] of groups.entries()) {
+            const rows = [...table._loadRows(this._filters, ids, candidates)];
+            const ordering = (offset === lastGroup) ? this._ordering : remaining;
+
+            if(ordering.length > 0) {
+                rows.sort((a, b) => this._compareRows(a, b, ordering));
+            }
+
+            yield* rows;
+        }
+    };
+
+    * _paginatedRows() {
+        let skipped = 0;
+        let returned = 0;
+
+        if(this._limit !== null && this._limit <= 0) {
+            return;
+        }
+
+        for(const row of this._orderedRows()) {
+            if(skipped < this._offset) {
+                skipped++;
+                continue;
+            }
+
+            yield row;
+            returned++;
+
+            if(this._limit !== null && returned >= this._limit) {
+                return;
+            }
+        }
+    };
+
+    _project(row) {
+        if(this._fields === null) {
+            return row;
+        }
+
+        const projected = {};
+
+        for(const fieldName of this._fields) {
+            if(row.hasOwnProperty(fieldName)) {
+                projected[fieldName] = row[fieldName];
+            }
+        }
+
+        return projected;
+    };
+
+    /**
+     * Runs the query.
+     * @return {array} An array of objects of matched rows
+     */
+    all() {
+        return this._results([...this._paginatedRows()]);
+    };
+
+    /**
+     * Runs the query, returning just the first matched row.
+     * @return {object|null} The row, or `null` if nothing matched
+     */
+    first() {
+        for(const row of this._paginatedRows()) {
+            return this._results([row])[0];
+        }
+
+        return null;
+    };
+
+    /**
+     * Counts the rows the query would return.
+     * @return {integer} How many rows matched
+     */
+    count() {
+        if(this._filters.length === 0 && this._offset === 0 && this._limit === null) {
+            return this.table.count();
+        }
+
+        let total = 0;
+
+        // The ordering doesn't affect the count, so skip it.
+        const ordering = this._ordering;
+        this._ordering = [];
+
+        try {
+            for(const row of this._paginatedRows()) {
+                total++;
+            }
+        } finally {
+            this._ordering = ordering;
+        }
+
+        return total;
+    };
+
+    /**
+     * Checks if the query matches any rows.
+     * @return {boolean} True if any rows matched, else False
+     */
+    exists() {
+        return this.first() !== null;
+    };
+}
+
+export {
+    Query,
+};
@@ -0,0 +1,119 @@
+/**
+ * Snapshots: Reading & writing tables' exported data.
+ *
+ * A snapshot is a header (naming the table & describing its schema) plus
+ * the table's rows, in their stored (JSON-friendly) form. As JSON, the rows
+ * are under the header's `rows`. As NDJSON, the header is the first line &
+ * each row gets a line of its own.
+ *
+ * @module localtable/snapshots
+ */
+"use strict";
+
+import { isPlainObject, isString } from "./validation.js";
+
+/** Identifies the data as a snapshot */
+const snapshotFormat = "localtable";
+/** The version of the snapshot layout */
+const snapshotVersion = 1;
+
+/**
+ * Builds a snapshot's text.
+ * @function
+ * @param {object} header - The snapshot's header
+ * @param {array} rows - The serialized rows
+ * @param {string} format - Either `"json"` or `"ndjson"`
+ * @throws If the format is unknown
+ * @return {string} The snapshot
+ */
+const writeSnapshot = function(header, rows, format) {
+    const fullHeader = Object.assign({
+        "format": snapshotFormat,
+        "formatVersion": snapshotVersion,
+    }, header, {
+        "count": rows.length,
+    });
+
+    switch(format) {
+        case "json":
+            return JSON.stringify(Object.assign(fullHeader, {"rows": rows}));
+        case "ndjson":
+            return [fullHeader].concat(rows).map((line) => JSON.stringify(line)).join("\n") + "\n";
+        default:
+            throw new Error(`Unknown snapshot format '${format}'!`);
+    }
+};
+
+/**
+ * Parses a snapshot, whether JSON, NDJSON or an already parsed object.
+ * @function
+ * @param {string|object} snapshot - The snapshot
+ * @throws If the snapshot is malformed, naming the line for NDJSON
+ * @return {object} The `header` & the serialized `rows`
+ */
+const readSnapshot = function(snapshot) {
+    let header = snapshot;
+    let rows = null;
+
+    if(isString(snapshot)) {
+        try {
+            header = JSON.parse(snapshot);
+        } catch (err) {
+            // Not a single JSON document, so try it as NDJSON.
+            const lines = snapshot.split(/\r?\n/);
+            header = null;
+            rows = [];
+
+            lines.forEach((line, offset) => {
+                if(line.trim() === "") {
+                    return;
+                }
+
+                let parsed;
+
+                try {
+                    parsed = JSON.parse(line);
+                } catch (lineErr) {
+                    throw new Error(`Invalid JSON on line ${offset + 1} of the snapshot! ${lineErr.message}`);
+                }
+
+                if(header === null) {
+                    header = parsed;
+                } else if(! isPlainObject(parsed)) {
+                    throw new Error(`Expected a row on line ${offset + 1} of the snapshot!`);
+                } else {
+                    rows.push(parsed);
+                }
+            });
+        }
+    }
+
+    if(! isPlainObject(header) || header["format"] !== snapshotFormat) {
+        throw new Error("The data isn't a LocalTable snapshot!");
+    }
+
+    if(header["formatVersion"] > snapshotVersion) {
+        throw new Error(`Snapshot format version ${header["formatVersion"]} isn't supported!`);
+    }
+
+    if(rows === null) {
+        rows = header["rows"] || [];
+    }
+
+    if(! Array.isArray(rows) || ! rows.every(isPlainObject)) {
+        throw new Error("The snapshot's rows must be objects!");
+    }
+
+    if(header.hasOwnProperty("count") && header["count"] !== rows.length) {
+        throw new Error(`The snapshot should have ${header["count"]} rows, but has ${rows.length}!`);
+    }
+
+    header = Object.assign({}, header);
+    delete header["rows"];
+    return {"header": header, "rows": rows};
+};
+
+export {
+    writeSnapshot,
+    readSnapshot,
+};
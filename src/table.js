@@ -8,25 +8,104 @@
 import {
     isString,
     isInteger,
-    isFloat,
     isBool,
     isObject,
+    isPlainObject,
     isFunction,
+    isDate,
+    isSet,
 } from "./validation.js";
+import {
+    addToIndex,
+    removeFromIndex,
+    indexedIds,
+    lookupIds,
+} from "./indexes.js";
+import { Migration } from "./migrations.js";
+import { Query } from "./query.js";
+import { Transaction, isQuotaError } from "./transaction.js";
+import { EventEmitter } from "./events.js";
+import { storedSize } from "./keys.js";
+import { writeSnapshot, readSnapshot } from "./snapshots.js";
+import { formatCSV, parseCSV } from "./csv.js";
+import {
+    registerCodec,
+    getCodec,
+    encodeValue,
+    decodeValue,
+} from "./codecs.js";
+import {
+    checkFieldType,
+    registerFieldType,
+    getFieldType,
+    arrayOf,
+    builtinValidators,
+} from "./types.js";
+import {
+    ValidationError,
+    UniqueError,
+    IntegrityError,
+    StorageFullError,
+    ConflictError,
+} from "./errors.js";
+
+/**
+ * Generates a random (version 4) UUID.
+ * @return {string} The UUID
+ */
+const generateUUID = function() {
+    if(globalThis.crypto && isFunction(globalThis.crypto.randomUUID)) {
+        return globalThis.crypto.randomUUID();
+    }
+
+    // Fall back to `Math.random` for older environments.
+    return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (char) => {
+        const random = Math.floor(Math.random() * 16);
+        const value = (char === "x") ? random : ((random & 0x3) | 0x8);
+        return value.toString(16);
+    });
+};
+
+/**
+ * Checks if two field values are the same. Dates are compared by their time,
+ * rather than being the same object.
+ * @param {any} a - The first value
+ * @param {any} b - The second value
+ * @return {boolean} True if the same, else False
+ */
+const sameValue = function(a, b) {
+    if(isDate(a) && isDate(b)) {
+        return a.getTime() === b.getTime();
+    }
+
+    return a === b;
+};
+
+// The ends of the keys a table with a longer name might have.
+const foreignKeys = /(^|_)(list|meta|sequence|revision|history)$|(^|_)(detail|index|unique|history)_/;
+
+/**
+ * Checks an import mode is one of the known ones.
+ * @param {string} mode - The mode
+ * @throws If the mode is unknown
+ * @return {null}
+ */
+const checkImportMode = function(mode) {
+    if(["replace", "merge", "skip-existing"].indexOf(mode) < 0) {
+        throw new Error(`Unknown import mode '${mode}'!`);
+    }
+};
 
 /**
  * A class representing a table of similar rows.
  */
 class LocalTable {
-    /** Mapping of field types to validation functions */
-    fieldTypes = {
-        "str": isString,
-        "int": isInteger,
-        "float": isFloat,
-        "timestamp": isInteger,
-        "bool": isBool,
-        "obj": null,
-    };
+    /**
+     * Mapping of field types to validation functions. Deprecated, in favor
+     * of `LocalTable.registerFieldType` & the `types` option, which also
+     * control how values are stored.
+     */
+    fieldTypes = builtinValidators();
     /** The available lookup types for basic filtering */
     lookupTypes = [
         "=",
@@ -35,9 +114,31 @@ class LocalTable {
         "<",
         "<=",
         "!=",
+        "in",
+        "notIn",
+        "contains",
+        "startsWith",
+        "endsWith",
+        "iexact",
+        "icontains",
+        "regex",
+        "between",
+        "isNull",
+        "exists",
     ];
     /** The name of the `id` in a row's data */
     idField = "id";
+    /** The name of the revision in a row's data, if the table keeps them */
+    revisionField = null;
+    /** The events emitted when the table changes */
+    eventTypes = [
+        "insert",
+        "update",
+        "delete",
+        "drop",
+        "change",
+        "error",
+    ];
 
     /**
      * Creates a new `LocalTable` instance.
@@ -45,19 +146,129 @@ class LocalTable {
      *     will keep the data.
      * @param {string} tableName - The name of the table.
      * @param {object} options - The options for instantiating the table.
+     * @param {array} options.fields - The field definitions. Each has a
+     *     `name` & `type`, plus optional `default`, `required`, `nullable`,
+     *     `minLength`/`maxLength`, `min`/`max`, `choices`, `pattern` &
+     *     `validate` (a function taking the value & row, returning `false`
+     *     or an error message if invalid) settings.
+     * @param {object} [options.types] - Maps names to field type
+     *     definitions only this table uses. See `LocalTable.registerFieldType`.
+     * @param {array} [options.indexes] - The names of fields to index, in
+     *     addition to any fields declared with `index: true`.
+     * @param {integer} [options.version] - The schema version. Providing one
+     *     stores the schema with the table.
+     * @param {object} [options.migrations] - Maps version numbers to
+     *     migration functions, which get run if the stored version is older.
+     * @param {string} [options.idField] - The name of the `id` in a row's
+     *     data. Defaults to `"id"`.
+     * @param {object} [options.primaryKey] - How to generate ids for rows
+     *     inserted without one. Its `strategy` is either `"autoincrement"`,
+     *     `"uuid"` or a function taking the table & returning a new id.
+     * @param {LocalDatabase} [options.database] - The database the table is
+     *     registered with. Set by `LocalDatabase`, & needed for `ref` fields.
+     * @param {string} [options.keyPrefix] - What the table's keys in the
+     *     storage start with. Defaults to the `tableName`. Set by
+     *     `LocalDatabase`, so tables can't clash.
+     * @param {boolean|EventTarget} [options.sync] - Listens for `storage`
+     *     events from other tabs, to keep the table up to date. Either
+     *     `true` (to use `window`) or the `EventTarget` to listen on.
+     * @param {string} [options.compression] - Compresses the rows & the id
+     *     list, using the named codec (either `"lz-string"` or one added by
+     *     `LocalTable.registerCodec`). Existing rows stay readable either
+     *     way. See `table.compressAll`.
+     * @param {integer} [options.ttl] - How long (in milliseconds) rows
+     *     last before expiring. Each write sets the row's `expiresField`,
+     *     unless the data provides it.
+     * @param {string} [options.expiresField] - The field holding when each
+     *     row expires, as a timestamp or `Date`. Rows without it don't
+     *     expire. Defaults to `"expiresAt"` if there's a `ttl`.
+     * @param {boolean} [options.softDelete] - Makes `delete` move rows to
+     *     the trash (by setting their `deletedField`) instead, so they can
+     *     be restored. See `table.trashed`.
+     * @param {string} [options.deletedField] - The field holding when a
+     *     row was moved to the trash. Defaults to `"deletedAt"`.
+     * @param {boolean} [options.revisions] - Gives each row a revision
+     *     number, which goes up with every write. See `table.update`.
+     * @param {string} [options.revisionField] - The name of the revision in
+     *     a row's data. Defaults to `"_rev"`.
+     * @param {boolean|object} [options.history] - Keeps each row's previous
+     *     versions. Either `true`, or with a `limit` on the versions kept
+     *     per row (defaulting to 10) & the `actor` making the changes (or a
+     *     function returning them). See `table.history`.
+     * @param {function} [options.clock] - Returns the current time, as a
+     *     timestamp. Defaults to `Date.now`.
+     * @param {object} [options.eviction] - Deletes rows to make room when
+     *     the storage is full, for cache-like tables. Its `field` holds
+     *     each row's age, & the rows with the lowest values go first, a
+     *     `batch` (defaulting to 1) at a time. With the `"lru"` `strategy`,
+     *     the field is set to the current time whenever a row is written or
+     *     fetched. The default `"oldest"` strategy leaves it alone.
+     * @param {object} [options.encryption] - Encrypts the table's data with
+     *     the AES-GCM `key` (a `CryptoKey`), plus the `encryptIds`,
+     *     `plaintextIndexes` & `allowPlaintext` settings of
+     *     `EncryptedBackend`. Since WebCrypto
+     *     is asynchronous, only for tables opened by `AsyncLocalTable.open`.
      */
     constructor(storage, tableName, options) {
+        if(options["encryption"]) {
+            throw new Error("Encrypted tables must be opened with `AsyncLocalTable.open`!");
+        }
+
         this.storage = storage;
         this.tableName = tableName;
+        this._keyPrefix = options["keyPrefix"] || tableName;
         this._fields = options["fields"] || [];
+        this._types = options["types"] || {};
+        this.idField = options["idField"] || this.idField;
+        this._primaryKey = options["primaryKey"] || null;
+        this.database = options["database"] || null;
+        this._indexes = this._indexedFields(options["indexes"] || []);
+        this.version = options["version"] || null;
+        this._migrations = options["migrations"] || {};
+        this._uniques = this._uniqueConstraints(options["unique"] || []);
+        this._eviction = this._evictionPolicy(options["eviction"] || null);
+        this._compression = options["compression"] || null;
+        this._clock = options["clock"] || (() => Date.now());
+        this._ttl = options["ttl"] || null;
+        this._expiresField = options["expiresField"] || ((this._ttl === null) ? null : "expiresAt");
+        this._softDelete = options["softDelete"] === true;
+        this._deletedField = options["deletedField"] || "deletedAt";
+        this._history = this._historyPolicy(options["history"] || null);
+        this.revisionField = options["revisions"] ? (options["revisionField"] || "_rev") : null;
         this._cache_ids = null;
+        this._cache_indexes = {};
+        this._cache_uniques = {};
+        this._transaction = null;
+        this._events = new EventEmitter();
+        this._pendingEvents = [];
+        this._syncTarget = null;
+        this._onStorage = (event) => this._handleStorageEvent(event);
+
+        for(const [typeName, fieldType] of Object.entries(this._types)) {
+            checkFieldType(typeName, fieldType);
+        }
+
+        if(this._compression !== null && getCodec(this._compression) === null) {
+            throw new Error(`Unknown codec '${this._compression}' provided!`);
+        }
+
+        if(options["sync"]) {
+            this._syncTarget = (options["sync"] === true) ? globalThis.window : options["sync"];
+            this._syncTarget.addEventListener("storage", this._onStorage);
+        }
 
         // Ensure the table exists.
         this.create();
     };
 
+    _resetCaches() {
+        this._cache_ids = null;
+        this._cache_indexes = {};
+        this._cache_uniques = {};
+    };
+
     _tableListName() {
-        return `${this.tableName}_list`;
+        return `${this._keyPrefix}_list`;
     };
 
     _getIds() {
@@ -68,7 +279,7 @@ class LocalTable {
             if(! listData) {
                 this.create();
             } else {
-                this._cache_ids = JSON.parse(listData);
+                this._cache_ids = JSON.parse(decodeValue(listData));
             }
         }
 
@@ -82,358 +293,2964 @@ class LocalTable {
         }
 
         let listName = this._tableListName();
-        const allIds = JSON.stringify(this._cache_ids);
+        const allIds = encodeValue(this._compression, JSON.stringify(this._cache_ids));
         this.storage.setItem(listName, allIds);
     };
 
     _detailName(id) {
-        return `${this.tableName}_detail_${id}`;
+        return `${this._keyPrefix}_detail_${id}`;
     };
 
-    _pushNewId(id) {
-        if(this._cache_ids === null) {
-            this._cache_ids = [];
-        }
-
-        this._cache_ids.push(id);
-        this._setIds();
+    _sequenceName() {
+        return `${this._keyPrefix}_sequence`;
     };
 
-    _serializeData(data) {
-        // We need to make a copy, so that we don't alter-by-reference the
-        // user's data.
-        const detailData = {};
+    _revisionName() {
+        return `${this._keyPrefix}_revision`;
+    };
 
-        for(const key of Object.keys(data)) {
-            if(key === this.idField) {
-                continue;
+    _nextSequence() {
+        const sequenceData = this.storage.getItem(this._sequenceName());
+        let current = 0;
+
+        if(sequenceData) {
+            current = JSON.parse(sequenceData);
+        } else {
+            // Start after any existing numeric ids.
+            for(const id of this._getIds()) {
+                if(isInteger(id) && id > current) {
+                    current = id;
+                }
             }
+        }
 
-            if(data.hasOwnProperty(key)) {
-                detailData[key] = data[key];
-            }
+        let next = current + 1;
+
+        // Skip past any ids that were explicitly provided.
+        while(this.exists(next)) {
+            next++;
         }
 
-        return JSON.stringify(detailData);
+        this.storage.setItem(this._sequenceName(), JSON.stringify(next));
+        return next;
     };
 
-    _deserializeData(id, data) {
-        const detailData = JSON.parse(data);
-        detailData[this.idField] = id;
-        return detailData;
-    };
+    _generateId() {
+        if(this._primaryKey === null) {
+            throw new Error(`Missing data for ${this.idField}`);
+        }
 
-    /**
-     * Creates the table (if not already present).
-     * @return {null}
-     */
-    create() {
-        let listName = this._tableListName();
+        const strategy = this._primaryKey["strategy"];
 
-        if(! this.storage.getItem(listName)) {
-            this._setIds();
-        };
+        if(isFunction(strategy)) {
+            return strategy(this);
+        }
+
+        switch(strategy) {
+            case "autoincrement":
+                return this._nextSequence();
+            case "uuid":
+                return generateUUID();
+            default:
+                throw new Error(`Invalid primary key strategy '${strategy}' provided!`);
+        }
     };
 
-    /**
-     * Drops the table & all rows from the storage.
-     * @return {null}
-     */
-    drop() {
-        // Delete all the detail records first.
-        let allIds = this._getIds();
+    _metaName() {
+        return `${this._keyPrefix}_meta`;
+    };
 
-        for(const id of allIds) {
-            const actualName = this._detailName(id);
-            this.storage.removeItem(actualName);
+    _getMeta() {
+        const metaData = this.storage.getItem(this._metaName());
+
+        if(! metaData) {
+            return null;
         }
 
-        // Then delete the table.
-        let listName = this._tableListName();
-        this.storage.removeItem(listName);
+        return JSON.parse(metaData);
+    };
 
-        // And reset the internal IDs.
-        this._cache_ids = null;
+    _setMeta(meta) {
+        this.storage.setItem(this._metaName(), JSON.stringify(meta));
     };
 
-    _defaultFiltering(filterBy, detailData) {
-        let matched = [true];
+    _schemaFields(fields) {
+        // Make the field definitions JSON-friendly. (Functions get dropped.)
+        return fields.map((fieldAttrs) => {
+            const schemaAttrs = Object.assign({}, fieldAttrs);
 
-        for(const fieldName of Object.keys(filterBy)) {
-            if(! detailData.hasOwnProperty(fieldName)) {
-                continue;
+            if(schemaAttrs["pattern"] instanceof RegExp) {
+                schemaAttrs["pattern"] = [schemaAttrs["pattern"].source, schemaAttrs["pattern"].flags];
             }
 
-            const currentValue = detailData[fieldName];
-            const lookupData = filterBy[fieldName];
+            if(Array.isArray(schemaAttrs["fields"])) {
+                schemaAttrs["fields"] = this._schemaFields(schemaAttrs["fields"]);
+            }
 
-            for(const comparison of Object.keys(lookupData)) {
-                if(this.lookupTypes.indexOf(comparison) < 0) {
-                    throw new Error(`Invalid lookup type '${comparison}' provided!`);
-                }
+            return schemaAttrs;
+        });
+    };
 
-                let desiredValue = lookupData[comparison];
+    _schemaMeta() {
+        return {
+            "version": this.version,
+            "fields": this._schemaFields(this._fields),
+        };
+    };
 
-                switch(comparison) {
-                    case "=":
-                        matched.push(currentValue === desiredValue);
-                        break;
-                    case ">":
-                        matched.push(currentValue > desiredValue);
-                        break;
-                    case ">=":
-                        matched.push(currentValue >= desiredValue);
-                        break;
-                    case "<":
-                        matched.push(currentValue < desiredValue);
-                        break;
-                    case "<=":
-                        matched.push(currentValue <= desiredValue);
-                        break;
-                    case "!=":
-                        matched.push(currentValue !== desiredValue);
-                        break;
-                    default:
-                        throw new Error(`Unhandled lookup type '${comparison}'!`);
-                }
+    _migrationFrom(fromVersion) {
+        // Gather up all the newer migrations, in order.
+        const migration = new Migration();
+
+        for(let version = fromVersion + 1; version <= this.version; version++) {
+            if(this._migrations.hasOwnProperty(version)) {
+                this._migrations[version](migration);
             }
         }
 
-        return matched.every((bit) => bit === true);
+        return migration;
     };
 
-    _filter(filterBy) {
-        let allIds = this._getIds();
-        let allData = [];
+    _migrate(fromVersion, fromFields) {
+        const migration = this._migrationFrom(fromVersion);
 
-        for(const id of allIds) {
-            const actualName = this._detailName(id);
-            const rawData = this.storage.getItem(actualName);
+        // Migrate everything in memory first, so that a failing migration
+        // leaves the storage untouched.
+        const migrated = [];
 
-            if(! rawData) {
-                console.log(`Couldn't find detail data for ${actualName}! Skipping...`);
+        // Expired rows too, so they don't linger in the old schema. The rows
+        // are read with the fields they were stored with, since migrations
+        // may change the types.
+        for(const id of this._getIds()) {
+            const stored = this.storage.getItem(this._detailName(id));
+
+            if(! stored) {
+                continue;
             }
 
-            const detailData = this._deserializeData(id, rawData);
+            const row = this._deserializeFields(fromFields, JSON.parse(decodeValue(stored)));
+            row[this.idField] = id;
+            const newRow = migration.apply(row);
+            newRow[this.idField] = id;
 
-            if(filterBy !== undefined) {
-                if(! isFunction(filterBy)) {
-                    // Use the default filtering.
-                    if(! this._defaultFiltering(filterBy, detailData)) {
-                        continue;
-                    }
-                } else {
-                    // We've got a custom callable.
-                    if(! filterBy(detailData)) {
-                        continue;
-                    }
-                }
+            const errors = this._validate(newRow);
+
+            if(errors.length > 0) {
+                const messages = errors.map((error) => error["message"]);
+                throw new Error(`Migration to version ${this.version} failed for '${id}'! ${messages.join(", ")}`);
             }
 
-            allData.push(detailData);
+            migrated.push(newRow);
         }
 
-        return allData;
-    }
+        // Then write it all out, restoring the old values if that fails.
+        this.transaction(() => {
+            for(const row of migrated) {
+                const actualName = this._detailName(row[this.idField]);
+                this.storage.setItem(actualName, this._serializeData(row));
+            }
 
-    /**
-     * Returns all rows found in the table.
-     * @return {array} An array of objects for all the rows
-     */
-    all() {
-        return this._filter();
+            this.reindex();
+            this._setMeta(this._schemaMeta());
+        });
     };
 
-    /**
-     * Returns a count of the number of rows in the table.
-     * @return {integer} How many rows are in the table
-     */
-    count() {
-        let allIds = this._getIds();
-        return allIds.length;
-    };
+    _indexedFields(extraIndexes) {
+        const indexes = [];
 
-    /**
-     * Checks if a row is in the table.
-     * @param {any} id - The identifier of the row. Typically an integer, but can
-     *     be a string/UUID/etc.
-     * @return {boolean} True if present, else False.
-     */
-    exists(id) {
-        try {
-            // This is a little wasteful, as we're parsing the data then just
-            // throwing it out. But whatevs.
-            this.get(id);
-            return true;
-        } catch (err) {
-            return false;
+        for(const fieldAttrs of this._fields) {
+            if(fieldAttrs["index"] === true) {
+                indexes.push(fieldAttrs["name"]);
+            }
+        }
+
+        for(const fieldName of extraIndexes) {
+            if(indexes.indexOf(fieldName) < 0) {
+                indexes.push(fieldName);
+            }
         }
+
+        return indexes;
     };
 
-    /**
-     * Fetches a specific row from the table.
-     * @param {any} id - The identifier of the row. Typically an integer, but can
-     *     be a string/UUID/etc.
-     * @throws If the provided ID is not present in the table.
-     * @return {object} The detail data for the row
-     */
-    get(id) {
-        const actualName = this._detailName(id);
-        let detailData = this.storage.getItem(actualName);
+    _indexName(fieldName) {
+        return `${this._keyPrefix}_index_${fieldName}`;
+    };
 
-        if(! detailData) {
-            throw new Error(`Couldn't find data for '${id}'.`);
+    _getIndex(fieldName) {
+        if(! this._cache_indexes.hasOwnProperty(fieldName)) {
+            const indexData = this.storage.getItem(this._indexName(fieldName));
+
+            if(! indexData) {
+                this._buildIndex(fieldName);
+            } else {
+                this._cache_indexes[fieldName] = JSON.parse(indexData);
+            }
         }
 
-        return this._deserializeData(id, detailData);
+        return this._cache_indexes[fieldName];
     };
 
-    _validate(data) {
-        const errors = [];
+    _setIndex(fieldName) {
+        const indexData = JSON.stringify(this._cache_indexes[fieldName]);
+        this.storage.setItem(this._indexName(fieldName), indexData);
+    };
 
-        for(const fieldAttrs of this._fields) {
-            const fieldName = fieldAttrs["name"];
+    _buildIndex(fieldName) {
+        const entries = [];
 
-            // Check if it's missing
-            if(! data.hasOwnProperty(fieldName)) {
-                // If it's not present & there's a default, use that instead.
-                if(fieldAttrs.hasOwnProperty("default")) {
-                    data[fieldName] = fieldAttrs["default"];
-                } else if(fieldAttrs["required"] === false) {
-                    // It's missing & not required. Don't bother trying to validate.
-                } else {
-                    errors.push(`Missing data for ${fieldName}`);
-                }
+        for(const row of this._iterRows([], undefined, true)) {
+            if(row.hasOwnProperty(fieldName)) {
+                addToIndex(entries, row[fieldName], row[this.idField]);
+            }
+        }
+
+        this._cache_indexes[fieldName] = entries;
+        this._setIndex(fieldName);
+    };
 
+    _indexRow(id, data, changedIndexes) {
+        for(const fieldName of this._indexes) {
+            if(! data.hasOwnProperty(fieldName)) {
                 continue;
             }
 
-            // Check its type.
-            let fieldType = "str";
+            const entries = this._getIndex(fieldName);
 
-            if(fieldAttrs.hasOwnProperty("type")) {
-                fieldType = fieldAttrs["type"];
+            if(addToIndex(entries, data[fieldName], id)) {
+                changedIndexes.add(fieldName);
             }
+        }
+    };
 
-            if(! this.fieldTypes.hasOwnProperty(fieldType)) {
-                errors.push(`Invalid field type provided: ${fieldType}`);
+    _unindexRow(id, data, changedIndexes) {
+        for(const fieldName of this._indexes) {
+            if(! data.hasOwnProperty(fieldName)) {
                 continue;
             }
 
-            let validator = this.fieldTypes[fieldType];
+            const entries = this._getIndex(fieldName);
 
-            if(validator !== null) {
-                if(! validator(data[fieldName])) {
-                    errors.push(`Invalid data type provided for '${fieldName}': ${data[fieldName]}`);
-                    continue;
-                }
+            if(removeFromIndex(entries, data[fieldName], id)) {
+                changedIndexes.add(fieldName);
             }
-
-            // TODO: Maybe length/range checks here in the future?
         }
-
-        return errors;
     };
 
-    /**
-     * Inserts a new row into the table.
-     * @param {any} id - The identifier of the row. Typically an integer, but can
-     *     be a string/UUID/etc.
-     * @param {object} data - The field data for the row
-     * @throws If the id is already present in the table or the fields fail
-     *     to validate
-     * @return {null}
-     */
-    insert(id, data) {
-        if(this.exists(id)) {
-            throw new Error(`Data is already present for '${id}'!`);
-        }
+    _uniqueConstraints(extraUniques) {
+        const uniques = [];
 
-        // Check for validation errors.
-        const errors = this._validate(data);
+        for(const fieldAttrs of this._fields) {
+            if(fieldAttrs["unique"] === true) {
+                uniques.push([fieldAttrs["name"]]);
+            }
+        }
 
-        if(errors.length > 0) {
-            throw new Error(`Invalid data! ${errors}`);
+        for(const fieldNames of extraUniques) {
+            uniques.push(Array.isArray(fieldNames) ? fieldNames : [fieldNames]);
         }
 
-        // If we're good, update the storage.
-        const actualName = this._detailName(id);
-        const actualData = this._serializeData(data);
-        this.storage.setItem(actualName, actualData);
+        return uniques;
+    };
 
-        // Then append it onto the list.
-        this._pushNewId(id);
+    _uniqueName(fieldNames) {
+        // Escape the names, so `["a+b"]` & `["a", "b"]` can't share a key.
+        const escaped = fieldNames.map((fieldName) => encodeURIComponent(fieldName));
+        return `${this._keyPrefix}_unique_${escaped.join("+")}`;
     };
 
-    /**
-     * Updates an existing row (or inserts a new row if not present) into the
-     * table.
-     * @param {any} id - The identifier of the row. Typically an integer, but can
-     *     be a string/UUID/etc.
-     * @param {object} data - The changed field data for the row
-     * @throws If the fields fail to validate
-     * @return {null}
-     */
-    update(id, newData) {
-        const actualName = this._detailName(id);
-        let found = false;
-        let currentData;
+    _uniqueKey(fieldNames, data) {
+        const values = [];
 
-        // Fetch the current data, or assume an empty row.
-        try {
-            currentData = this.get(id);
-            found = true;
-        } catch (err) {
-            currentData = {};
-        }
+        for(const fieldName of fieldNames) {
+            // Like SQL, rows with missing or null values aren't constrained.
+            if(! data.hasOwnProperty(fieldName) || data[fieldName] === null) {
+                return null;
+            }
 
-        // Copy over the updated data.
-        for(const fieldName of Object.keys(newData)) {
-            currentData[fieldName] = newData[fieldName];
+            const fieldAttrs = this._fields.find((attrs) => attrs["name"] === fieldName);
+            values.push(this._serializeValue(fieldAttrs, data[fieldName]));
         }
 
-        // Check for validation errors.
-        const errors = this._validate(currentData);
+        return JSON.stringify(values);
+    };
 
-        if(errors.length > 0) {
-            throw new Error(`Invalid data! ${errors}`);
-        }
+    _getUnique(fieldNames) {
+        const uniqueName = this._uniqueName(fieldNames);
 
-        // If we're good, update the storage.
-        const actualData = this._serializeData(currentData);
-        this.storage.setItem(actualName, actualData);
+        if(! this._cache_uniques.hasOwnProperty(uniqueName)) {
+            const uniqueData = this.storage.getItem(uniqueName);
 
-        // Then, if new, append it onto the list.
-        if(! found) {
-            this._pushNewId(id);
+            if(! uniqueData) {
+                this._buildUnique(fieldNames);
+            } else {
+                this._cache_uniques[uniqueName] = JSON.parse(uniqueData);
+            }
         }
-    };
 
-    /**
-     * Deletes a row from the table.
-     * @param {any} id - The identifier of the row. Typically an integer, but can
-     *     be a string/UUID/etc.
-     * @return {null}
-     */
-    delete(id) {
-        const actualName = this._detailName(id);
-        this.storage.removeItem(actualName);
+        return this._cache_uniques[uniqueName];
+    };
 
-        // Then fix the cached IDs.
-        this._cache_ids = this._cache_ids.filter(currentId => currentId !== id);
-        this._setIds();
+    _setUnique(uniqueName) {
+        const uniqueData = JSON.stringify(this._cache_uniques[uniqueName]);
+        this.storage.setItem(uniqueName, uniqueData);
     };
 
-    /**
-     * Returns a filtered set of rows from the table.
-     * @param {object|function} filterBy - Either a plain object of filters
-     *     or a user-defined function to do the filtering.
-     * @throws If invalid fields or lookup types are provided
+    _buildUnique(fieldNames) {
+        const uniqueName = this._uniqueName(fieldNames);
+        const lookup = {};
+
+        // Expired rows don't hold onto their values, but trashed ones do, so
+        // they can be restored.
+        for(const row of this._iterRows([], undefined, true)) {
+            if(this._isExpired(row)) {
+                continue;
+            }
+
+            const key = this._uniqueKey(fieldNames, row);
+
+            if(key !== null && ! lookup.hasOwnProperty(key)) {
+                lookup[key] = row[this.idField];
+            }
+        }
+
+        this._cache_uniques[uniqueName] = lookup;
+        this._setUnique(uniqueName);
+    };
+
+    _checkUnique(id, data, batch) {
+        const claims = [];
+
+        for(const fieldNames of this._uniques) {
+            const key = this._uniqueKey(fieldNames, data);
+
+            if(key === null) {
+                continue;
+            }
+
+            const batchKey = `${this._uniqueName(fieldNames)}:${key}`;
+            const ownerId = this._getUnique(fieldNames)[key];
+            let conflictingId;
+
+            if(batch !== undefined && batch.claims.has(batchKey)) {
+                // An earlier row in the batch got there first.
+                conflictingId = batch.claims.get(batchKey);
+            } else if(ownerId !== undefined && ownerId !== id && ! this._isExpiredId(ownerId)) {
+                // Rows rewritten by the batch give up their old values.
+                const ownerData = (batch === undefined) ? undefined : batch.rows.get(ownerId);
+
+                if(ownerData === undefined || (ownerData !== null && this._uniqueKey(fieldNames, ownerData) === key)) {
+                    conflictingId = ownerId;
+                }
+            }
+
+            if(conflictingId !== undefined) {
+                const values = fieldNames.map((fieldName) => data[fieldName]);
+                throw new UniqueError(fieldNames, values, conflictingId);
+            }
+
+            claims.push(batchKey);
+        }
+
+        // Only claim the values once the row passes every constraint.
+        if(batch !== undefined) {
+            for(const batchKey of claims) {
+                batch.claims.set(batchKey, id);
+            }
+        }
+    };
+
+    _checkBatchUnique(changes, rejected) {
+        let accepted = changes;
+
+        // Rejecting a row means keeping its old values, which may clash with
+        // rows already checked, so go again until nothing else is rejected.
+        while(true) {
+            const batch = {
+                "rows": new Map(accepted.map((change) => [change.id, change.after])),
+                "claims": new Map(),
+            };
+            const passed = accepted.filter((change) => {
+                if(change.after === null) {
+                    return true;
+                }
+
+                try {
+                    this._checkUnique(change.id, change.after, batch);
+                    return true;
+                } catch (err) {
+                    rejected.push([change, err]);
+                    return false;
+                }
+            });
+
+            if(passed.length === accepted.length) {
+                return passed;
+            }
+
+            accepted = passed;
+        }
+    };
+
+    _uniqueRow(id, data, changedUniques) {
+        for(const fieldNames of this._uniques) {
+            const key = this._uniqueKey(fieldNames, data);
+
+            if(key !== null) {
+                this._getUnique(fieldNames)[key] = id;
+                changedUniques.add(this._uniqueName(fieldNames));
+            }
+        }
+    };
+
+    _ununiqueRow(id, data, changedUniques) {
+        for(const fieldNames of this._uniques) {
+            const key = this._uniqueKey(fieldNames, data);
+            const lookup = this._getUnique(fieldNames);
+
+            if(key !== null && lookup[key] === id) {
+                delete lookup[key];
+                changedUniques.add(this._uniqueName(fieldNames));
+            }
+        }
+    };
+
+    _fieldType(typeName) {
+        if(this._types.hasOwnProperty(typeName)) {
+            return this._types[typeName];
+        }
+
+        const arrayMatch = /^array<(.+)>$/.exec(typeName);
+
+        if(arrayMatch !== null) {
+            const itemType = this._fieldType(arrayMatch[1]);
+            return (itemType === null) ? null : arrayOf(itemType);
+        }
+
+        const fieldType = getFieldType(typeName);
+
+        // Respect validators added to (or replaced in) the old `fieldTypes`.
+        if(this.fieldTypes.hasOwnProperty(typeName)) {
+            const validator = this.fieldTypes[typeName];
+
+            if(fieldType === null || validator !== fieldType["validate"]) {
+                return {"validate": validator || (() => true)};
+            }
+        }
+
+        return fieldType;
+    };
+
+    _serializeValue(fieldAttrs, value) {
+        if(fieldAttrs === undefined || value === null || value === undefined) {
+            return value;
+        }
+
+        if(fieldAttrs["fields"] && isPlainObject(value)) {
+            return this._serializeFields(fieldAttrs["fields"], value);
+        }
+
+        const fieldType = this._fieldType(fieldAttrs["type"] || "str");
+
+        if(fieldType === null || ! fieldType["serialize"]) {
+            return value;
+        }
+
+        return fieldType["serialize"](value);
+    };
+
+    _deserializeValue(fieldAttrs, data) {
+        if(data === null || data === undefined) {
+            return data;
+        }
+
+        if(fieldAttrs["fields"] && isPlainObject(data)) {
+            return this._deserializeFields(fieldAttrs["fields"], data);
+        }
+
+        const fieldType = this._fieldType(fieldAttrs["type"] || "str");
+
+        if(fieldType === null || ! fieldType["deserialize"]) {
+            return data;
+        }
+
+        return fieldType["deserialize"](data);
+    };
+
+    _serializeFields(fields, data) {
+        // We need to make a copy, so that we don't alter-by-reference the
+        // user's data.
+        const detailData = {};
+
+        for(const key of Object.keys(data)) {
+            if(data.hasOwnProperty(key)) {
+                detailData[key] = data[key];
+            }
+        }
+
+        for(const fieldAttrs of fields) {
+            const fieldName = fieldAttrs["name"];
+
+            if(detailData.hasOwnProperty(fieldName)) {
+                detailData[fieldName] = this._serializeValue(fieldAttrs, detailData[fieldName]);
+            }
+        }
+
+        return detailData;
+    };
+
+    _deserializeFields(fields, data) {
+        for(const fieldAttrs of fields) {
+            const fieldName = fieldAttrs["name"];
+
+            if(data.hasOwnProperty(fieldName)) {
+                data[fieldName] = this._deserializeValue(fieldAttrs, data[fieldName]);
+            }
+        }
+
+        return data;
+    };
+
+    _serializeData(data) {
+        const detailData = this._serializeFields(this._fields, data);
+        delete detailData[this.idField];
+        return encodeValue(this._compression, JSON.stringify(detailData));
+    };
+
+    _deserializeData(id, data) {
+        const detailData = this._deserializeFields(this._fields, JSON.parse(decodeValue(data)));
+        detailData[this.idField] = id;
+        return detailData;
+    };
+
+    /**
+     * Creates the table (if not already present).
+     *
+     * If the table has a `version` & the stored schema is older, the
+     * migrations are run. Should one fail, the table is left as it was.
+     * @throws If a migration fails, or the stored schema is newer
+     * @return {null}
+     */
+    create() {
+        let listName = this._tableListName();
+        let isNew = false;
+
+        if(! this.storage.getItem(listName)) {
+            this._setIds();
+            isNew = true;
+        };
+
+        if(this.version !== null) {
+            const meta = this._getMeta();
+            // Tables from before versioning was added count as version 1.
+            const storedVersion = (meta === null) ? 1 : meta["version"];
+
+            if(isNew || storedVersion === this.version) {
+                if(meta === null || storedVersion !== this.version) {
+                    this._setMeta(this._schemaMeta());
+                }
+            } else if(storedVersion > this.version) {
+                throw new Error(`Stored schema version ${storedVersion} is newer than ${this.version}!`);
+            } else {
+                // Tables from before versioning don't know their old fields.
+                this._migrate(storedVersion, (meta === null) ? this._fields : meta["fields"]);
+            }
+        }
+
+        // Build any indexes that are missing, such as ones newly declared on
+        // an existing table.
+        for(const fieldName of this._indexes) {
+            if(! this.storage.getItem(this._indexName(fieldName))) {
+                this._buildIndex(fieldName);
+            }
+        }
+
+        for(const fieldNames of this._uniques) {
+            if(! this.storage.getItem(this._uniqueName(fieldNames))) {
+                this._buildUnique(fieldNames);
+            }
+        }
+    };
+
+    /**
+     * Rebuilds all of the table's indexes (& unique constraint lookups) from
+     * the stored rows.
+     * @return {null}
+     */
+    reindex() {
+        for(const fieldName of this._indexes) {
+            this._buildIndex(fieldName);
+        }
+
+        for(const fieldNames of this._uniques) {
+            this._buildUnique(fieldNames);
+        }
+    };
+
+    /**
+     * Rewrites every stored row (plus the id list & any history) using the
+     * table's current `compression`, such as after turning it on for an
+     * existing table.
+     * Without `compression`, this decompresses them instead.
+     *
+     * The rows are rewritten in a single transaction, so a full storage
+     * leaves them as they were.
+     * @throws A `StorageFullError` if the storage fills up
+     * @return {null}
+     */
+    compressAll() {
+        this._atomically(() => {
+            for(const id of this._getIds()) {
+                const actualName = this._detailName(id);
+                const stored = this.storage.getItem(actualName);
+
+                if(stored) {
+                    this.storage.setItem(actualName, encodeValue(this._compression, decodeValue(stored)));
+                }
+            }
+
+            for(const key of this._historyKeys()) {
+                this.storage.setItem(key, encodeValue(this._compression, decodeValue(this.storage.getItem(key))));
+            }
+
+            this._setIds();
+        });
+    };
+
+    /**
+     * Drops the table & all rows from the storage.
+     *
+     * Rows in other tables referring to this one are handled by their
+     * `onDelete` rule.
+     * @throws An `IntegrityError` if a `restrict` rule prevents it
+     * @return {null}
+     */
+    drop() {
+        this._atomically(() => {
+            this._applyDeleteRules(this._getIds(), new Map());
+            this._dropStorage();
+        });
+    };
+
+    _dropStorage() {
+        // Delete all the detail records first.
+        let allIds = this._getIds();
+
+        for(const id of allIds) {
+            const actualName = this._detailName(id);
+            this.storage.removeItem(actualName);
+        }
+
+        // Then the indexes.
+        for(const fieldName of this._indexes) {
+            this.storage.removeItem(this._indexName(fieldName));
+        }
+
+        for(const fieldNames of this._uniques) {
+            this.storage.removeItem(this._uniqueName(fieldNames));
+        }
+
+        if(this._history !== null) {
+            this._removeHistory(this._getHistoryIds());
+        }
+
+        // Then delete the table.
+        let listName = this._tableListName();
+        this.storage.removeItem(listName);
+        this.storage.removeItem(this._metaName());
+        this.storage.removeItem(this._sequenceName());
+        this.storage.removeItem(this._revisionName());
+
+        // And reset the internal IDs & indexes.
+        this._resetCaches();
+
+        this._emit("drop", {});
+    };
+
+    _defaultFiltering(filterBy, detailData) {
+        let matched = [true];
+
+        for(const fieldName of Object.keys(filterBy)) {
+            // Handle the boolean combinators first.
+            switch(fieldName) {
+                case "$and":
+                    matched.push(filterBy[fieldName].every((subFilter) => {
+                        return this._defaultFiltering(subFilter, detailData);
+                    }));
+                    continue;
+                case "$or":
+                    matched.push(filterBy[fieldName].some((subFilter) => {
+                        return this._defaultFiltering(subFilter, detailData);
+                    }));
+                    continue;
+                case "$not":
+                    matched.push(! this._defaultFiltering(filterBy[fieldName], detailData));
+                    continue;
+            }
+
+            const isPresent = detailData.hasOwnProperty(fieldName);
+            const currentValue = detailData[fieldName];
+            const lookupData = filterBy[fieldName];
+
+            for(const comparison of Object.keys(lookupData)) {
+                if(this.lookupTypes.indexOf(comparison) < 0) {
+                    throw new Error(`Invalid lookup type '${comparison}' provided!`);
+                }
+
+                let desiredValue = lookupData[comparison];
+
+                // Only the presence checks apply to missing fields.
+                if(comparison === "isNull") {
+                    matched.push((! isPresent || currentValue === null) === desiredValue);
+                    continue;
+                }
+
+                if(comparison === "exists") {
+                    matched.push(isPresent === desiredValue);
+                    continue;
+                }
+
+                if(! isPresent) {
+                    continue;
+                }
+
+                matched.push(this._compare(comparison, currentValue, desiredValue));
+            }
+        }
+
+        return matched.every((bit) => bit === true);
+    };
+
+    _compare(comparison, currentValue, desiredValue) {
+        switch(comparison) {
+            case "=":
+                return sameValue(currentValue, desiredValue);
+            case ">":
+                return currentValue > desiredValue;
+            case ">=":
+                return currentValue >= desiredValue;
+            case "<":
+                return currentValue < desiredValue;
+            case "<=":
+                return currentValue <= desiredValue;
+            case "!=":
+                return ! sameValue(currentValue, desiredValue);
+            case "in":
+                return desiredValue.some((value) => sameValue(currentValue, value));
+            case "notIn":
+                return ! desiredValue.some((value) => sameValue(currentValue, value));
+            case "contains":
+                if(isString(currentValue) || Array.isArray(currentValue)) {
+                    return currentValue.includes(desiredValue);
+                }
+
+                if(isSet(currentValue)) {
+                    return currentValue.has(desiredValue);
+                }
+
+                return false;
+            case "startsWith":
+                return isString(currentValue) && currentValue.startsWith(desiredValue);
+            case "endsWith":
+                return isString(currentValue) && currentValue.endsWith(desiredValue);
+            case "iexact":
+                return isString(currentValue) && currentValue.toLowerCase() === desiredValue.toLowerCase();
+            case "icontains":
+                if(isString(currentValue)) {
+                    return currentValue.toLowerCase().includes(desiredValue.toLowerCase());
+                }
+
+                if(Array.isArray(currentValue)) {
+                    return currentValue.some((item) => {
+                        return isString(item) && item.toLowerCase() === desiredValue.toLowerCase();
+                    });
+                }
+
+                return false;
+            case "regex":
+                return isString(currentValue) && this._toRegExp(desiredValue).test(currentValue);
+            case "between":
+                return currentValue >= desiredValue[0] && currentValue <= desiredValue[1];
+            default:
+                throw new Error(`Unhandled lookup type '${comparison}'!`);
+        }
+    };
+
+    _toRegExp(pattern) {
+        if(pattern instanceof RegExp) {
+            return pattern;
+        }
+
+        // JSON-friendly patterns can be either a string or `[pattern, flags]`.
+        if(Array.isArray(pattern)) {
+            return new RegExp(pattern[0], pattern[1]);
+        }
+
+        return new RegExp(pattern);
+    };
+
+    _validateLookup(comparison, desiredValue, path) {
+        const fail = (expected) => {
+            throw new Error(`Invalid value for '${comparison}' provided at '${path}': expected ${expected}!`);
+        };
+
+        switch(comparison) {
+            case "in":
+            case "notIn":
+                if(! Array.isArray(desiredValue)) {
+                    fail("an array");
+                }
+                break;
+            case "between":
+                if(! Array.isArray(desiredValue) || desiredValue.length !== 2) {
+                    fail("an array of [low, high]");
+                }
+                break;
+            case "startsWith":
+            case "endsWith":
+            case "iexact":
+            case "icontains":
+                if(! isString(desiredValue)) {
+                    fail("a string");
+                }
+                break;
+            case "isNull":
+            case "exists":
+                if(! isBool(desiredValue)) {
+                    fail("a boolean");
+                }
+                break;
+            case "regex":
+                try {
+                    this._toRegExp(desiredValue);
+                } catch (err) {
+                    fail(`a valid pattern (${err.message})`);
+                }
+                break;
+        }
+    };
+
+    _validateFilter(filterBy, path = "") {
+        const isPlainObject = (value) => {
+            return isObject(value) && value !== null && ! Array.isArray(value);
+        };
+        const where = (key) => (path === "") ? key : `${path}.${key}`;
+
+        if(! isPlainObject(filterBy)) {
+            throw new Error(`Invalid filter at '${path || "(root)"}': expected an object!`);
+        }
+
+        for(const fieldName of Object.keys(filterBy)) {
+            const lookupData = filterBy[fieldName];
+
+            if(fieldName === "$and" || fieldName === "$or") {
+                if(! Array.isArray(lookupData) || lookupData.length === 0) {
+                    throw new Error(`Invalid filter at '${where(fieldName)}': expected a non-empty array!`);
+                }
+
+                lookupData.forEach((subFilter, offset) => {
+                    this._validateFilter(subFilter, `${where(fieldName)}[${offset}]`);
+                });
+                continue;
+            }
+
+            if(fieldName === "$not") {
+                this._validateFilter(lookupData, where(fieldName));
+                continue;
+            }
+
+            if(fieldName.startsWith("$")) {
+                throw new Error(`Invalid combinator '${fieldName}' provided at '${path || "(root)"}'!`);
+            }
+
+            if(! isPlainObject(lookupData)) {
+                throw new Error(`Invalid filter at '${where(fieldName)}': expected an object of lookups!`);
+            }
+
+            for(const comparison of Object.keys(lookupData)) {
+                if(this.lookupTypes.indexOf(comparison) < 0) {
+                    throw new Error(`Invalid lookup type '${comparison}' provided at '${where(fieldName)}'!`);
+                }
+
+                this._validateLookup(comparison, lookupData[comparison], where(fieldName));
+            }
+        }
+    };
+
+    _intersectIds(candidates, ids) {
+        if(candidates === null) {
+            return ids;
+        }
+
+        if(ids === null) {
+            return candidates;
+        }
+
+        return new Set([...candidates].filter((id) => ids.has(id)));
+    };
+
+    _candidateIds(filterBy) {
+        let candidates = null;
+
+        for(const fieldName of Object.keys(filterBy)) {
+            if(fieldName === "$and") {
+                for(const subFilter of filterBy[fieldName]) {
+                    candidates = this._intersectIds(candidates, this._candidateIds(subFilter));
+                }
+
+                continue;
+            }
+
+            if(fieldName === "$or") {
+                // Every branch needs to narrow things down, or any row might
+                // match.
+                const union = new Set();
+                let narrowed = true;
+
+                for(const subFilter of filterBy[fieldName]) {
+                    const ids = this._candidateIds(subFilter);
+
+                    if(ids === null) {
+                        narrowed = false;
+                        break;
+                    }
+
+                    ids.forEach((id) => union.add(id));
+                }
+
+                if(narrowed) {
+                    candidates = this._intersectIds(candidates, union);
+                }
+
+                continue;
+            }
+
+            if(this._indexes.indexOf(fieldName) < 0) {
+                // Includes `$not`, which the indexes can't help with.
+                continue;
+            }
+
+            const entries = this._getIndex(fieldName);
+            const lookupData = filterBy[fieldName];
+            let unindexed = null;
+
+            for(const comparison of Object.keys(lookupData)) {
+                const ids = lookupIds(entries, comparison, lookupData[comparison]);
+
+                if(ids === null) {
+                    continue;
+                }
+
+                // Rows without an indexable value (or without the field at
+                // all) still need checking against the row data.
+                if(unindexed === null) {
+                    const present = indexedIds(entries);
+                    unindexed = this._getIds().filter((id) => ! present.has(id));
+                }
+
+                for(const id of unindexed) {
+                    ids.add(id);
+                }
+
+                candidates = this._intersectIds(candidates, ids);
+            }
+        }
+
+        return candidates;
+    };
+
+    _matches(filterBy, detailData) {
+        if(! isFunction(filterBy)) {
+            // Use the default filtering.
+            return this._defaultFiltering(filterBy, detailData);
+        }
+
+        // We've got a custom callable.
+        return filterBy(detailData);
+    };
+
+    _filterCandidates(filters) {
+        let candidates = null;
+
+        for(const filterBy of filters) {
+            if(isFunction(filterBy)) {
+                continue;
+            }
+
+            this._validateFilter(filterBy);
+            candidates = this._intersectIds(candidates, this._candidateIds(filterBy));
+        }
+
+        return candidates;
+    };
+
+    * _iterRows(filters, ids, includeHidden = false) {
+        yield* this._loadRows(filters, ids, this._filterCandidates(filters), includeHidden);
+    };
+
+    * _loadRows(filters, ids, candidates, includeHidden = false) {
+        if(ids === undefined) {
+            ids = this._getIds();
+        }
+
+        for(const id of ids) {
+            if(candidates !== null && ! candidates.has(id)) {
+                continue;
+            }
+
+            const actualName = this._detailName(id);
+            const rawData = this.storage.getItem(actualName);
+
+            if(! rawData) {
+                console.log(`Couldn't find detail data for ${actualName}! Skipping...`);
+                continue;
+            }
+
+            const detailData = this._deserializeData(id, rawData);
+
+            if(! includeHidden && this._isHidden(detailData)) {
+                continue;
+            }
+
+            if(filters.every((filterBy) => this._matches(filterBy, detailData))) {
+                yield detailData;
+            }
+        }
+    };
+
+    _filter(filterBy) {
+        const filters = (filterBy === undefined) ? [] : [filterBy];
+        return [...this._iterRows(filters)];
+    };
+
+    /**
+     * Returns all rows found in the table.
+     * @return {array} An array of objects for all the rows
+     */
+    all() {
+        return this._filter();
+    };
+
+    /**
+     * Returns a count of the number of rows in the table.
+     * @return {integer} How many rows are in the table
+     */
+    count() {
+        if(this._expiresField !== null || this._softDelete) {
+            // Expired & trashed rows are still listed, so skip past them.
+            return this._filter().length;
+        }
+
+        let allIds = this._getIds();
+        return allIds.length;
+    };
+
+    /**
+     * Exports all the table's rows, along with its schema, for backing up or
+     * moving to another storage. See `LocalTable.import`.
+     *
+     * Values are exported as they're stored, so rich types (like dates)
+     * survive the round-trip.
+     * @param {object} [options] - The options for the export.
+     * @param {string} [options.format] - Either `"json"` (the default) or
+     *     `"ndjson"`, with a line per row.
+     * @throws If the format is unknown
+     * @return {string} The snapshot
+     */
+    export(options = {}) {
+        const rows = this._filter().map((row) => {
+            const serialized = this._serializeFields(this._fields, row);
+            // Put the id first, for readability.
+            delete serialized[this.idField];
+            return Object.assign({[this.idField]: row[this.idField]}, serialized);
+        });
+        const header = Object.assign({
+            "table": this.tableName,
+            "idField": this.idField,
+            "exportedAt": new Date().toISOString(),
+        }, this._schemaMeta());
+
+        return writeSnapshot(header, rows, options["format"] || "json");
+    };
+
+    /**
+     * Exports the table's rows as CSV, with a header row of the field names.
+     *
+     * Values are written in their stored form (so dates become ISO 8601
+     * strings), with arrays & objects as JSON. Missing & `null` values are
+     * left empty.
+     * @param {object} [options] - The options for the export.
+     * @param {array} [options.fields] - The columns to include. Defaults to
+     *     the id & every declared field.
+     * @param {string} [options.delimiter] - Separates the values. Defaults
+     *     to `","`.
+     * @return {string} The CSV text
+     */
+    toCSV(options = {}) {
+        const columns = options["fields"] || [this.idField].concat(this._fields.map((attrs) => attrs["name"]));
+        const records = [columns];
+
+        for(const row of this._filter()) {
+            records.push(columns.map((fieldName) => {
+                const fieldAttrs = this._fields.find((attrs) => attrs["name"] === fieldName);
+                const value = this._serializeValue(fieldAttrs, row[fieldName]);
+
+                if(value === null || value === undefined) {
+                    return "";
+                }
+
+                if(typeof value === "object") {
+                    return JSON.stringify(value);
+                }
+
+                return String(value);
+            }));
+        }
+
+        return formatCSV(records, {"delimiter": options["delimiter"]});
+    };
+
+    /**
+     * Imports rows from CSV, such as edited in a spreadsheet. The first
+     * line names the columns.
+     *
+     * Values are converted to the declared field types before being
+     * validated, so `"42"` becomes `42` for an `int` field. Empty values are
+     * left out (so defaults apply), or are `null` for `nullable` fields.
+     * @param {string} text - The CSV text
+     * @param {object} [options] - The options for the import.
+     * @param {string} [options.delimiter] - Separates the values. Defaults
+     *     to `","`.
+     * @param {string} [options.mode] - How to treat existing rows, as
+     *     accepted by `LocalTable.import`. Defaults to `"merge"`.
+     * @throws If the CSV is malformed, naming the line
+     * @return {object} A summary of how many rows were `inserted`, `updated`
+     *     & `skipped`, with the `errors` for the invalid rows (including the
+     *     `line` they're on) & the ids of the `conflicts` with existing rows
+     */
+    fromCSV(text, options = {}) {
+        const mode = options["mode"] || "merge";
+        checkImportMode(mode);
+
+        const records = parseCSV(text, {"delimiter": options["delimiter"]});
+
+        if(records.length === 0) {
+            throw new Error("The CSV is missing a header line!");
+        }
+
+        const columns = records[0]["values"];
+        const lines = [];
+        const rows = [];
+        const badRows = [];
+
+        for(const record of records.slice(1)) {
+            if(record["values"].length !== columns.length) {
+                badRows.push({
+                    "line": record["line"],
+                    "error": new Error(`Expected ${columns.length} values on line ${record["line"]}, but found ${record["values"].length}!`),
+                });
+                continue;
+            }
+
+            const row = {};
+
+            columns.forEach((fieldName, offset) => {
+                const cell = record["values"][offset];
+                const fieldAttrs = this._fields.find((attrs) => attrs["name"] === fieldName);
+
+                if(cell !== "") {
+                    row[fieldName] = this._coerceCell(fieldName, fieldAttrs, cell);
+                } else if(fieldAttrs !== undefined && fieldAttrs["nullable"] === true) {
+                    row[fieldName] = null;
+                }
+            });
+
+            lines.push(record["line"]);
+            rows.push(row);
+        }
+
+        const summary = this._importRows(rows, mode);
+
+        for(const error of summary["errors"]) {
+            error["line"] = lines[error["index"]];
+            delete error["index"];
+        }
+
+        for(const badRow of badRows) {
+            summary["errors"].push(Object.assign({"id": undefined}, badRow));
+            summary["skipped"]++;
+        }
+
+        summary["errors"].sort((a, b) => a["line"] - b["line"]);
+        return summary;
+    };
+
+    _coerceCell(fieldName, fieldAttrs, cell) {
+        const trimmed = cell.trim();
+
+        if(fieldName === this.idField || (fieldAttrs && fieldAttrs["type"] === "ref")) {
+            // Only ids that read back the same as numbers, so "007" stays text.
+            return (/^-?\d+$/.test(trimmed) && String(Number(trimmed)) === trimmed) ? Number(trimmed) : cell;
+        }
+
+        if(fieldAttrs === undefined) {
+            return cell;
+        }
+
+        // Anything that doesn't convert is left as text, for `_validate` to
+        // report.
+        switch(fieldAttrs["type"] || "str") {
+            case "str":
+                return cell;
+            case "int":
+                return /^[-+]?\d+$/.test(trimmed) ? Number(trimmed) : cell;
+            case "float":
+                return (trimmed !== "" && ! Number.isNaN(Number(trimmed))) ? Number(trimmed) : cell;
+            case "bool":
+                if(/^(true|yes|1)$/i.test(trimmed)) {
+                    return true;
+                }
+
+                if(/^(false|no|0)$/i.test(trimmed)) {
+                    return false;
+                }
+
+                return cell;
+            case "timestamp":
+                if(/^[-+]?\d+$/.test(trimmed)) {
+                    return Number(trimmed);
+                }
+
+                // Spreadsheets may well turn them into dates.
+                return Number.isNaN(Date.parse(trimmed)) ? cell : Date.parse(trimmed);
+        }
+
+        // Other types are in their stored form, with arrays & objects as JSON.
+        let data = cell;
+
+        if(/^[[{"]/.test(trimmed)) {
+            try {
+                data = JSON.parse(trimmed);
+            } catch (err) {
+                return cell;
+            }
+        }
+
+        try {
+            return this._deserializeValue(fieldAttrs, data);
+        } catch (err) {
+            return cell;
+        }
+    };
+
+    _import(header, rows, mode) {
+        const snapshotVersion = header["version"] || 1;
+        const tableVersion = this.version || 1;
+
+        if(snapshotVersion > tableVersion) {
+            throw new Error(`The snapshot is from version ${snapshotVersion}, which is newer than the table's ${tableVersion}!`);
+        }
+
+        const migration = this._migrationFrom(snapshotVersion);
+        const idField = header["idField"] || "id";
+
+        return this._importRows(rows.map((row) => {
+            // Restore the rich types, using the snapshot's own schema.
+            const data = this._deserializeFields(header["fields"] || [], Object.assign({}, row));
+            const id = data[idField];
+            delete data[idField];
+
+            const migrated = migration.apply(data);
+
+            if(id !== undefined) {
+                migrated[this.idField] = id;
+            }
+
+            return migrated;
+        }), mode);
+    };
+
+    _importRows(rows, mode) {
+        const positions = [];
+        const prepared = [];
+        const conflicts = [];
+
+        rows.forEach((row, offset) => {
+            const id = row[this.idField];
+
+            if(mode !== "replace" && id !== undefined && this.exists(id)) {
+                conflicts.push(id);
+
+                if(mode === "skip-existing") {
+                    return;
+                }
+            }
+
+            positions.push(offset);
+            prepared.push(row);
+        });
+
+        const summary = this.transaction(() => {
+            if(mode === "replace") {
+                this._dropStorage();
+                this._setIds();
+            }
+
+            return this._bulkWrite(prepared, (id, data) => this._prepareUpdate(id, data, true));
+        });
+
+        // Point the errors back at the rows as given.
+        for(const error of summary["errors"]) {
+            error["index"] = positions[error["index"]];
+        }
+
+        summary["skipped"] += rows.length - prepared.length;
+        summary["conflicts"] = conflicts;
+        delete summary["deleted"];
+        return summary;
+    };
+
+    _storageKeys() {
+        const keys = [
+            this._tableListName(),
+            this._metaName(),
+            this._sequenceName(),
+            this._revisionName(),
+        ];
+
+        for(const id of this._getIds()) {
+            keys.push(this._detailName(id));
+        }
+
+        for(const fieldName of this._indexes) {
+            keys.push(this._indexName(fieldName));
+        }
+
+        for(const fieldNames of this._uniques) {
+            keys.push(this._uniqueName(fieldNames));
+        }
+
+        if(this._history !== null) {
+            keys.push(this._historyListName());
+        }
+
+        return keys.concat(this._historyKeys());
+    };
+
+    /**
+     * Estimates how much of the storage the table is using.
+     *
+     * Like browsers, this counts the keys & values as UTF-16, so two bytes
+     * per character.
+     * @return {integer} The number of bytes used
+     */
+    usage() {
+        let total = 0;
+
+        for(const key of this._storageKeys()) {
+            total += storedSize(key, this.storage.getItem(key));
+        }
+
+        return total;
+    };
+
+    /**
+     * Summarizes how much of the storage the table is using, to help find
+     * what's filling it up. See `table.usage`.
+     * @param {object} [options] - The options for the stats.
+     * @param {integer} [options.largest] - How many of the largest rows to
+     *     list. Defaults to 5.
+     * @return {object} The number of `rows`, the total `bytes` used &
+     *     the `largestRows` (each with its `id` & `bytes`), biggest first
+     */
+    stats(options = {}) {
+        const largest = (options["largest"] === undefined) ? 5 : options["largest"];
+        const rowSizes = this._getIds().map((id) => {
+            const actualName = this._detailName(id);
+            return {"id": id, "bytes": storedSize(actualName, this.storage.getItem(actualName))};
+        });
+
+        rowSizes.sort((a, b) => b["bytes"] - a["bytes"]);
+
+        return {
+            "rows": rowSizes.length,
+            "bytes": this.usage(),
+            "largestRows": rowSizes.slice(0, largest),
+        };
+    };
+
+    /**
+     * Checks if a row is in the table.
+     * @param {any} id - The identifier of the row. Typically an integer, but can
+     *     be a string/UUID/etc.
+     * @return {boolean} True if present, else False.
+     */
+    exists(id) {
+        try {
+            // This is a little wasteful, as we're parsing the data then just
+            // throwing it out. But whatevs.
+            this._getRow(id);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    };
+
+    /**
+     * Fetches a specific row from the table.
+     *
+     * With an `"lru"` eviction policy, this marks the row as just used.
+     * @param {any} id - The identifier of the row. Typically an integer, but can
+     *     be a string/UUID/etc.
+     * @throws If the provided ID is not present in the table.
+     * @return {object} The detail data for the row
+     */
+    get(id) {
+        const row = this._getRow(id);
+
+        if(this._eviction === null || this._eviction["strategy"] !== "lru") {
+            return row;
+        }
+
+        return this._touch(id, row);
+    };
+
+    _getRow(id) {
+        const row = this._findRow(id);
+
+        // Expired & trashed rows count as missing.
+        if(row === null || this._isHidden(row)) {
+            throw new Error(`Couldn't find data for '${id}'.`);
+        }
+
+        return row;
+    };
+
+    _findRow(id) {
+        const detailData = this.storage.getItem(this._detailName(id));
+        return detailData ? this._deserializeData(id, detailData) : null;
+    };
+
+    _isExpired(row) {
+        if(this._expiresField === null) {
+            return false;
+        }
+
+        let expiresAt = row[this._expiresField];
+
+        if(isDate(expiresAt)) {
+            expiresAt = expiresAt.getTime();
+        }
+
+        return typeof expiresAt === "number" && expiresAt <= this._clock();
+    };
+
+    _isTrashed(row) {
+        if(! this._softDelete) {
+            return false;
+        }
+
+        return row[this._deletedField] !== undefined && row[this._deletedField] !== null;
+    };
+
+    _isHidden(row) {
+        return row !== null && (this._isTrashed(row) || this._isExpired(row));
+    };
+
+    _isExpiredId(id) {
+        if(this._expiresField === null) {
+            return false;
+        }
+
+        const row = this._findRow(id);
+        return row !== null && this._isExpired(row);
+    };
+
+    _stampExpiry(data, newData) {
+        if(this._ttl === null || newData.hasOwnProperty(this._expiresField)) {
+            return data;
+        }
+
+        const expiresAt = this._timeValue(this._expiresField, this._clock() + this._ttl);
+        return Object.assign({}, data, {[this._expiresField]: expiresAt});
+    };
+
+    _validate(data) {
+        const errors = [];
+        this._validateFields(this._fields, data, "", errors);
+        return errors;
+    };
+
+    _validateFields(fields, data, path, errors) {
+        const addError = (fieldName, code, message) => {
+            errors.push({"field": path + fieldName, "code": code, "message": message});
+        };
+
+        for(const fieldAttrs of fields) {
+            const fieldName = fieldAttrs["name"];
+
+            // Check if it's missing
+            if(! data.hasOwnProperty(fieldName)) {
+                // If it's not present & there's a default, use that instead.
+                if(fieldAttrs.hasOwnProperty("default")) {
+                    data[fieldName] = fieldAttrs["default"];
+                } else if(fieldAttrs["required"] === false) {
+                    // It's missing & not required. Don't bother trying to validate.
+                } else {
+                    addError(fieldName, "required", `Missing data for ${fieldName}`);
+                }
+
+                continue;
+            }
+
+            const value = data[fieldName];
+
+            // Nulls skip the rest of the checks, if they're allowed.
+            if(value === null) {
+                if(fieldAttrs["nullable"] === true || this._onDelete(fieldAttrs) === "setNull") {
+                    continue;
+                }
+
+                if(fieldAttrs["nullable"] === false) {
+                    addError(fieldName, "null", `'${fieldName}' can't be null`);
+                    continue;
+                }
+            }
+
+            // Check its type.
+            let fieldType = "str";
+
+            if(fieldAttrs.hasOwnProperty("type")) {
+                fieldType = fieldAttrs["type"];
+            }
+
+            const typeDefinition = this._fieldType(fieldType);
+
+            if(typeDefinition === null) {
+                addError(fieldName, "unknown_type", `Invalid field type provided: ${fieldType}`);
+                continue;
+            }
+
+            if(! typeDefinition["validate"](value, fieldAttrs)) {
+                addError(fieldName, "invalid_type", `Invalid data type provided for '${path + fieldName}': ${value}`);
+                continue;
+            }
+
+            if(fieldAttrs["fields"] && isPlainObject(value)) {
+                // Check the shape of the nested object.
+                this._validateFields(fieldAttrs["fields"], value, `${path + fieldName}.`, errors);
+            }
+
+            this._validateConstraints(fieldAttrs, value, data, addError);
+        }
+    };
+
+    _validateConstraints(fieldAttrs, value, data, addError) {
+        const fieldName = fieldAttrs["name"];
+        const hasLength = isString(value) || Array.isArray(value);
+
+        if(hasLength && fieldAttrs.hasOwnProperty("minLength") && value.length < fieldAttrs["minLength"]) {
+            addError(fieldName, "min_length", `'${fieldName}' must have a length of at least ${fieldAttrs["minLength"]}`);
+        }
+
+        if(hasLength && fieldAttrs.hasOwnProperty("maxLength") && value.length > fieldAttrs["maxLength"]) {
+            addError(fieldName, "max_length", `'${fieldName}' must have a length of at most ${fieldAttrs["maxLength"]}`);
+        }
+
+        if(fieldAttrs.hasOwnProperty("min") && value < fieldAttrs["min"]) {
+            addError(fieldName, "min", `'${fieldName}' must be at least ${fieldAttrs["min"]}`);
+        }
+
+        if(fieldAttrs.hasOwnProperty("max") && value > fieldAttrs["max"]) {
+            addError(fieldName, "max", `'${fieldName}' must be at most ${fieldAttrs["max"]}`);
+        }
+
+        if(fieldAttrs.hasOwnProperty("choices") && fieldAttrs["choices"].indexOf(value) < 0) {
+            addError(fieldName, "choices", `'${fieldName}' must be one of: ${fieldAttrs["choices"].join(", ")}`);
+        }
+
+        if(fieldAttrs.hasOwnProperty("pattern")) {
+            const pattern = this._toRegExp(fieldAttrs["pattern"]);
+
+            if(! isString(value) || ! pattern.test(value)) {
+                addError(fieldName, "pattern", `'${fieldName}' must match ${pattern}`);
+            }
+        }
+
+        if(fieldAttrs["type"] === "ref") {
+            const refTable = fieldAttrs["ref"]["table"];
+
+            if(this.database === null || ! this.database.hasTable(refTable)) {
+                addError(fieldName, "ref", `'${fieldName}' refers to '${refTable}', which isn't a registered table`);
+            } else if(! this.database.table(refTable).exists(value)) {
+                addError(fieldName, "ref", `'${fieldName}' refers to a missing row '${value}' in '${refTable}'`);
+            }
+        }
+
+        if(isFunction(fieldAttrs["validate"])) {
+            // Custom validators return `false` or a message to fail.
+            const result = fieldAttrs["validate"](value, data);
+
+            if(result === false) {
+                addError(fieldName, "custom", `Invalid value provided for '${fieldName}': ${value}`);
+            } else if(isString(result)) {
+                addError(fieldName, "custom", result);
+            }
+        }
+    };
+
+    _prepareInsert(id, data, inBatch = false) {
+        const existing = this._findRow(id);
+        this._checkNotTrashed(id, existing);
+
+        if(existing !== null && ! this._isExpired(existing)) {
+            throw new Error(`Data is already present for '${id}'!`);
+        }
+
+        data = this._stampExpiry(this._stampUsed(data), data);
+
+        // Check for validation errors.
+        const errors = this._validate(data);
+
+        if(errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        // Batches check their rows' unique values together.
+        if(! inBatch) {
+            this._checkUnique(id, data);
+        }
+
+        // An expired row gets replaced, as if it weren't there.
+        return {id: id, before: existing, after: data};
+    };
+
+    _prepareUpdate(id, newData, inBatch = false) {
+        // Keep the old values around, so the indexes can be updated.
+        const oldData = this._findRow(id);
+        this._checkNotTrashed(id, oldData);
+        // Start from the current data, or assume an empty row.
+        let currentData = this._isHidden(oldData) ? {} : Object.assign({}, oldData);
+
+        // Copy over the updated data.
+        for(const fieldName of Object.keys(newData)) {
+            currentData[fieldName] = newData[fieldName];
+        }
+
+        currentData = this._stampExpiry(this._stampUsed(currentData), newData);
+
+        // Check for validation errors.
+        const errors = this._validate(currentData);
+
+        if(errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        if(! inBatch) {
+            this._checkUnique(id, currentData);
+        }
+
+        return {id: id, before: oldData, after: currentData};
+    };
+
+    _prepareDelete(id) {
+        // Even if it's already gone, still make sure it's off the list.
+        return {id: id, before: this._findRow(id), after: null};
+    };
+
+    _prepareTrash(id) {
+        const oldData = this._findRow(id);
+
+        if(oldData === null) {
+            // Nothing to trash, so just make sure it's off the list.
+            return this._prepareDelete(id);
+        }
+
+        if(this._isHidden(oldData)) {
+            // Already gone, as far as anyone can tell.
+            return {id: id, before: oldData, after: oldData};
+        }
+
+        const deletedAt = this._timeValue(this._deletedField, this._clock());
+        return {id: id, before: oldData, after: Object.assign({}, oldData, {[this._deletedField]: deletedAt})};
+    };
+
+    _revisionOf(row) {
+        return (row === null || this._isHidden(row)) ? 0 : (row[this.revisionField] || 0);
+    };
+
+    _stampRevision(change, lastRevision) {
+        // Writes which leave the row alone don't count.
+        if(this.revisionField === null || change.after === null || change.after === change.before) {
+            return lastRevision;
+        }
+
+        if(lastRevision === null) {
+            const revisionData = this.storage.getItem(this._revisionName());
+            lastRevision = revisionData ? JSON.parse(revisionData) : 0;
+        }
+
+        // Revisions come from a table-wide counter, so a row that's deleted
+        // & inserted again can't end up back at a revision it had before.
+        const previous = (change.before === null) ? 0 : (change.before[this.revisionField] || 0);
+        const revision = Math.max(lastRevision, previous) + 1;
+        change.after = Object.assign({}, change.after, {[this.revisionField]: revision});
+        return revision;
+    };
+
+    _checkRevision(id, expectedRevision) {
+        if(expectedRevision === undefined) {
+            return;
+        }
+
+        if(this.revisionField === null) {
+            throw new Error(`The '${this.tableName}' table doesn't keep revisions!`);
+        }
+
+        const actualRevision = this._revisionOf(this._findRow(id));
+
+        if(actualRevision !== expectedRevision) {
+            throw new ConflictError(this.tableName, id, expectedRevision, actualRevision);
+        }
+    };
+
+    _checkNotTrashed(id, row) {
+        if(row !== null && this._isTrashed(row)) {
+            throw new Error(`'${id}' is in the trash! Restore it or delete it for good first.`);
+        }
+    };
+
+    _writeRows(changes, emit = true) {
+        const changedIndexes = new Set();
+        const changedUniques = new Set();
+        const removedIds = new Set();
+        const prunedIds = [];
+        let idsChanged = false;
+        let lastRevision = null;
+
+        // Make sure the ids are loaded before altering them.
+        this._getIds();
+
+        for(const change of changes) {
+            const id = change.id;
+            const actualName = this._detailName(id);
+
+            if(emit) {
+                lastRevision = this._stampRevision(change, lastRevision);
+            }
+
+            if(change.before !== null) {
+                this._unindexRow(id, change.before, changedIndexes);
+                this._ununiqueRow(id, change.before, changedUniques);
+            }
+
+            if(change.after === null) {
+                this.storage.removeItem(actualName);
+                removedIds.add(id);
+
+                // Rows removed for good take their history with them.
+                if(this._history !== null && ! change.keepHistory) {
+                    prunedIds.push(id);
+                }
+
+                continue;
+            }
+
+            this.storage.setItem(actualName, this._serializeData(change.after));
+            this._indexRow(id, change.after, changedIndexes);
+            this._uniqueRow(id, change.after, changedUniques);
+
+            if(change.before === null) {
+                this._cache_ids.push(id);
+                idsChanged = true;
+            }
+        }
+
+        // Write out the id list & each changed index just once.
+        if(removedIds.size > 0) {
+            this._cache_ids = this._cache_ids.filter((id) => ! removedIds.has(id));
+            idsChanged = true;
+        }
+
+        if(idsChanged) {
+            this._setIds();
+        }
+
+        for(const fieldName of changedIndexes) {
+            this._setIndex(fieldName);
+        }
+
+        if(lastRevision !== null) {
+            this.storage.setItem(this._revisionName(), JSON.stringify(lastRevision));
+        }
+
+        for(const uniqueName of changedUniques) {
+            this._setUnique(uniqueName);
+        }
+
+        if(prunedIds.length > 0) {
+            this._removeHistory(prunedIds);
+        }
+
+        if(! emit) {
+            return;
+        }
+
+        for(const change of changes) {
+            // Expired & trashed rows are treated as missing, so moving a row
+            // to the trash looks like deleting it.
+            const before = this._isHidden(change.before) ? null : change.before;
+            const after = this._isHidden(change.after) ? null : change.after;
+
+            if(before === null && after === null) {
+                // Deleting a row that wasn't there.
+                continue;
+            }
+
+            let eventType = "update";
+
+            if(before === null) {
+                eventType = "insert";
+            } else if(after === null) {
+                eventType = "delete";
+            }
+
+            if(this._history !== null && (change.after !== null || change.keepHistory)) {
+                this._recordHistory(change.id, eventType, before, change.actor);
+            }
+
+            this._emit(eventType, {
+                "id": change.id,
+                "before": this._withId(change.id, before),
+                "after": this._withId(change.id, after),
+            });
+        }
+    };
+
+    _withId(id, data) {
+        if(data === null) {
+            return null;
+        }
+
+        return Object.assign({}, data, {[this.idField]: id});
+    };
+
+    _emit(eventType, payload) {
+        const event = Object.assign({"type": eventType, "table": this, "remote": false}, payload);
+
+        // Hold onto events until the transaction commits.
+        if(this._transaction !== null) {
+            this._pendingEvents.push(event);
+            return;
+        }
+
+        this._dispatch([event]);
+    };
+
+    _dispatch(events) {
+        let failure = null;
+
+        for(const event of events) {
+            for(const eventName of [event["type"], "change"]) {
+                try {
+                    this._events.emit(eventName, event);
+                } catch (err) {
+                    failure = failure || err;
+                }
+            }
+        }
+
+        // Every handler gets its events before a failure is re-thrown.
+        if(failure !== null) {
+            throw failure;
+        }
+    };
+
+    _handleStorageEvent(event) {
+        if(event.storageArea && event.storageArea !== this.storage) {
+            return;
+        }
+
+        const staleIds = this._cache_ids || [];
+
+        if(event.key === null) {
+            // The whole storage was cleared.
+            this._resetCaches();
+            this._emit("drop", {"remote": true});
+            return;
+        }
+
+        const detailPrefix = this._detailName("");
+        const cachedKeys = [this._tableListName()]
+            .concat(this._indexes.map((fieldName) => this._indexName(fieldName)))
+            .concat(this._uniques.map((fieldNames) => this._uniqueName(fieldNames)));
+        let id;
+
+        // Only the table's own keys matter. Others (like those of a table
+        // whose name starts with this one's) are left alone.
+        if(event.key.startsWith(detailPrefix)) {
+            id = this._remoteRowId(event.key.slice(detailPrefix.length), staleIds);
+
+            if(id === undefined) {
+                return;
+            }
+        } else if(cachedKeys.indexOf(event.key) < 0) {
+            return;
+        }
+
+        // Another tab changed the table, so anything cached is stale.
+        this._resetCaches();
+
+        if(event.key === this._tableListName()) {
+            if(event.newValue === null) {
+                this._emit("drop", {"remote": true});
+            }
+
+            return;
+        }
+
+        if(id === undefined) {
+            return;
+        }
+
+        const before = event.oldValue ? this._deserializeData(id, event.oldValue) : null;
+        const after = event.newValue ? this._deserializeData(id, event.newValue) : null;
+        let eventType = "update";
+
+        if(before === null) {
+            eventType = "insert";
+        } else if(after === null) {
+            eventType = "delete";
+        }
+
+        this._emit(eventType, {
+            "id": id,
+            "before": before,
+            "after": after,
+            "remote": true,
+        });
+    };
+
+    _remoteRowId(rawId, staleIds) {
+        // The key only has the id as a string, so find the original. Avoid
+        // `_getIds` here, since the other tab may have dropped the table.
+        const listData = this.storage.getItem(this._tableListName());
+        const knownIds = staleIds.concat(listData ? JSON.parse(decodeValue(listData)) : []);
+        const matchingIds = knownIds.filter((id) => String(id) === rawId);
+
+        if(matchingIds.length > 0) {
+            return matchingIds[0];
+        }
+
+        // An unknown id which could be part of another table's key (like
+        // `list` from `records_detail_list`) most likely is.
+        return foreignKeys.test(rawId) ? undefined : rawId;
+    };
+
+    /**
+     * Stops listening for changes from other tabs (if `sync` was enabled).
+     * @return {null}
+     */
+    close() {
+        if(this._syncTarget !== null) {
+            this._syncTarget.removeEventListener("storage", this._onStorage);
+            this._syncTarget = null;
+        }
+    };
+
+    _flushEvents() {
+        const pending = this._pendingEvents;
+        this._pendingEvents = [];
+
+        this._dispatch(pending);
+    };
+
+    _onDelete(fieldAttrs) {
+        if(fieldAttrs["type"] !== "ref") {
+            return null;
+        }
+
+        return fieldAttrs["ref"]["onDelete"] || "restrict";
+    };
+
+    _join(txn) {
+        if(this._transaction === txn) {
+            return;
+        }
+
+        if(this._transaction !== null) {
+            throw new Error("Tables can't be part of two transactions at once!");
+        }
+
+        if(this.storage !== txn.storage) {
+            throw new Error("Tables in a transaction must share the same storage!");
+        }
+
+        this.storage = txn;
+        this._transaction = txn;
+        txn.tables.push(this);
+    };
+
+    _atomically(fn) {
+        if(this._transaction !== null) {
+            // Already covered by the caller's transaction.
+            return fn();
+        }
+
+        if(this.database === null) {
+            return this.transaction(fn);
+        }
+
+        // Cascades may touch several tables, so cover them all.
+        return this.database.transaction(fn);
+    };
+
+    _write(fn, ids) {
+        while(true) {
+            try {
+                return this._atomically(fn);
+            } catch (err) {
+                // Make room & try again, for as long as there's room to make.
+                if(! (err instanceof StorageFullError) || ! (this._purge(ids) > 0 || this._dropHistory(ids) || this._evict(ids))) {
+                    throw err;
+                }
+            }
+        }
+    };
+
+    _evictionPolicy(eviction) {
+        if(eviction === null) {
+            return null;
+        }
+
+        const policy = {
+            "field": eviction["field"],
+            "strategy": eviction["strategy"] || "oldest",
+            "batch": eviction["batch"] || 1,
+        };
+
+        if(! isString(policy["field"])) {
+            throw new Error("An eviction policy needs a field!");
+        }
+
+        if(["oldest", "lru"].indexOf(policy["strategy"]) < 0) {
+            throw new Error(`Invalid eviction strategy '${policy["strategy"]}' provided!`);
+        }
+
+        return policy;
+    };
+
+    _purge(keepIds) {
+        if(this._expiresField === null) {
+            return 0;
+        }
+
+        const keep = new Set(keepIds);
+        const ids = [];
+
+        for(const row of this._iterRows([], undefined, true)) {
+            if(this._isExpired(row) && ! keep.has(row[this.idField])) {
+                ids.push(row[this.idField]);
+            }
+        }
+
+        if(ids.length > 0) {
+            this._atomically(() => this._deleteIds(ids, new Map()));
+        }
+
+        return ids.length;
+    };
+
+    _evict(keepIds) {
+        if(this._eviction === null) {
+            return false;
+        }
+
+        // Never evict the rows being written.
+        const keep = new Set(keepIds);
+        const ids = this.query()
+            .orderBy(this._eviction["field"])
+            .all()
+            .map((row) => row[this.idField])
+            .filter((id) => ! keep.has(id))
+            .slice(0, this._eviction["batch"]);
+
+        if(ids.length === 0) {
+            return false;
+        }
+
+        this._atomically(() => this._deleteIds(ids, new Map()));
+        return true;
+    };
+
+    _historyPolicy(history) {
+        if(history === null || history === false) {
+            return null;
+        }
+
+        const policy = {
+            "limit": 10,
+            "actor": null,
+        };
+
+        if(history !== true) {
+            Object.assign(policy, history);
+        }
+
+        if(! isInteger(policy["limit"]) || policy["limit"] < 1) {
+            throw new Error(`Invalid history limit '${policy["limit"]}' provided!`);
+        }
+
+        return policy;
+    };
+
+    _historyName(id) {
+        return `${this._keyPrefix}_history_${id}`;
+    };
+
+    _historyListName() {
+        return `${this._keyPrefix}_history`;
+    };
+
+    _getHistoryIds() {
+        const stored = this.storage.getItem(this._historyListName());
+        return stored ? JSON.parse(stored) : [];
+    };
+
+    _removeHistory(ids) {
+        const removing = new Set(ids);
+        const historyIds = this._getHistoryIds();
+        const kept = historyIds.filter((id) => ! removing.has(id));
+
+        if(kept.length === historyIds.length) {
+            return false;
+        }
+
+        for(const id of historyIds) {
+            if(removing.has(id)) {
+                this.storage.removeItem(this._historyName(id));
+            }
+        }
+
+        if(kept.length > 0) {
+            this.storage.setItem(this._historyListName(), JSON.stringify(kept));
+        } else {
+            this.storage.removeItem(this._historyListName());
+        }
+
+        return true;
+    };
+
+    _getHistory(id) {
+        const stored = this.storage.getItem(this._historyName(id));
+        return stored ? JSON.parse(decodeValue(stored)) : [];
+    };
+
+    _recordHistory(id, eventType, before, actor) {
+        const entries = this._getHistory(id);
+        const last = entries[entries.length - 1];
+
+        if(actor === undefined) {
+            actor = this._history["actor"];
+        }
+
+        if(isFunction(actor)) {
+            actor = actor();
+        }
+
+        let image = null;
+
+        if(before !== null) {
+            image = this._serializeFields(this._fields, before);
+            delete image[this.idField];
+        }
+
+        entries.push({
+            "version": last ? last["version"] + 1 : 1,
+            "action": eventType,
+            "at": this._clock(),
+            "actor": (actor === undefined) ? null : actor,
+            "before": image,
+        });
+
+        // Only keep the newest versions, so the history can't grow forever.
+        const kept = entries.slice(-this._history["limit"]);
+        this.storage.setItem(this._historyName(id), encodeValue(this._compression, JSON.stringify(kept)));
+
+        // Keep track of which rows have a history, so it can be found again.
+        const historyIds = this._getHistoryIds();
+
+        if(historyIds.indexOf(id) < 0) {
+            historyIds.push(id);
+            this.storage.setItem(this._historyListName(), JSON.stringify(historyIds));
+        }
+    };
+
+    _dropHistory(keepIds) {
+        // Only tables happy to lose data to make room lose their history.
+        if(this._history === null || this._eviction === null) {
+            return false;
+        }
+
+        // Old versions go before any rows do, but never the rows being written.
+        const keep = new Set(keepIds);
+        const ids = this._getHistoryIds().filter((id) => ! keep.has(id));
+
+        if(ids.length === 0) {
+            return false;
+        }
+
+        return this._atomically(() => this._removeHistory(ids));
+    };
+
+    _historyKeys() {
+        if(this._history === null) {
+            return [];
+        }
+
+        return this._getHistoryIds().map((id) => this._historyName(id));
+    };
+
+    _timeValue(fieldName, time) {
+        const fieldAttrs = this._fields.find((field) => field["name"] === fieldName);
+        return (fieldAttrs && fieldAttrs["type"] === "date") ? new Date(time) : time;
+    };
+
+    _stampUsed(data) {
+        if(this._eviction === null || this._eviction["strategy"] !== "lru") {
+            return data;
+        }
+
+        const usedAt = this._timeValue(this._eviction["field"], this._clock());
+        return Object.assign({}, data, {[this._eviction["field"]]: usedAt});
+    };
+
+    _touch(id, row) {
+        const touched = this._stampUsed(row);
+
+        try {
+            // Only a bookkeeping change, so no events.
+            this._atomically(() => this._writeRows([{id: id, before: row, after: touched}], false));
+        } catch (err) {
+            // Failing to record the use shouldn't fail the read.
+            if(! (err instanceof StorageFullError)) {
+                throw err;
+            }
+
+            return row;
+        }
+
+        return touched;
+    };
+
+    _deleteIds(ids, deleting, extra = {}) {
+        const alreadyDeleting = deleting.get(this) || new Set();
+        const newIds = ids.filter((id) => ! alreadyDeleting.has(id));
+
+        if(newIds.length === 0) {
+            return;
+        }
+
+        this._applyDeleteRules(newIds, deleting);
+        this._writeRows(newIds.map((id) => Object.assign(this._prepareDelete(id), extra)));
+    };
+
+    _applyDeleteRules(ids, deleting) {
+        if(this.database === null || ids.length === 0) {
+            return;
+        }
+
+        // Track what's being deleted in each table, so cycles of cascades
+        // come to an end.
+        if(! deleting.has(this)) {
+            deleting.set(this, new Set());
+        }
+
+        ids.forEach((id) => deleting.get(this).add(id));
+
+        for(const reference of this.database.referencesTo(this.tableName)) {
+            const table = reference["table"];
+            const fieldName = reference["field"]["name"];
+            const alreadyDeleting = deleting.get(table) || new Set();
+            const referring = table._filter({
+                [fieldName]: {"exists": true, "in": ids},
+            }).filter((row) => ! alreadyDeleting.has(row[table.idField]));
+
+            if(referring.length === 0) {
+                continue;
+            }
+
+            const referringIds = referring.map((row) => row[table.idField]);
+
+            // The referring table's writes must roll back with this one's.
+            if(this._transaction !== null) {
+                table._join(this._transaction);
+            }
+
+            switch(this._onDelete(reference["field"])) {
+                case "cascade":
+                    table._deleteIds(referringIds, deleting);
+                    break;
+                case "setNull":
+                    table._writeRows(referringIds.map((id) => {
+                        return table._prepareUpdate(id, {[fieldName]: null});
+                    }));
+                    break;
+                default:
+                    throw new IntegrityError(this.tableName, referring[0][fieldName], table.tableName, fieldName, referringIds[0]);
+            }
+        }
+    };
+
+    _bulkWrite(rows, prepare) {
+        const summary = {
+            "inserted": 0,
+            "updated": 0,
+            "deleted": 0,
+            "skipped": 0,
+            "errors": [],
+        };
+        const prepared = [];
+        const offsets = new Map();
+        const seenIds = new Set();
+
+        // Validate everything up front...
+        rows.forEach((row, offset) => {
+            let id = (row === null) ? undefined : row[this.idField];
+
+            try {
+                if(id === undefined) {
+                    id = this._generateId();
+                }
+
+                if(seenIds.has(id)) {
+                    throw new Error(`Duplicate rows provided for '${id}'!`);
+                }
+
+                seenIds.add(id);
+                const change = prepare(id, Object.assign({}, row));
+                offsets.set(change, offset);
+                prepared.push(change);
+            } catch (err) {
+                summary["errors"].push({
+                    "index": offset,
+                    "id": id,
+                    "error": err,
+                });
+            }
+        });
+
+        const rejected = [];
+        const changes = this._checkBatchUnique(prepared, rejected);
+
+        for(const [change, err] of rejected) {
+            summary["errors"].push({
+                "index": offsets.get(change),
+                "id": change.id,
+                "error": err,
+            });
+        }
+
+        summary["skipped"] = summary["errors"].length;
+        summary["errors"].sort((a, b) => a["index"] - b["index"]);
+
+        // ...then write it all at once.
+        this._write(() => this._writeRows(changes), [...seenIds]);
+        summary["ids"] = changes.map((change) => change.id);
+
+        for(const change of changes) {
+            if(this._isHidden(change.after) || change.after === null) {
+                summary["deleted"]++;
+            } else if(this._isHidden(change.before) || change.before === null) {
+                summary["inserted"]++;
+            } else {
+                summary["updated"]++;
+            }
+        }
+
+        return summary;
+    };
+
+    /**
+     * Inserts a new row into the table.
+     *
+     * The id can also be passed in the data (as `table.insert(data)` or
+     * `table.insert(data, options)`), like `table.insertMany`. If the table
+     * has a `primaryKey` strategy, the id can be left out of it to have one
+     * generated.
+     * @param {any} id - The identifier of the row. Typically an integer, but can
+     *     be a string/UUID/etc.
+     * @param {object} data - The field data for the row
+     * @param {object} [options] - The options for the insert.
+     * @param {any} [options.actor] - Who's making the change, for the
+     *     `history`. Overrides the table's `actor`.
+     * @throws If the id is already present in the table, or a
+     *     `ValidationError` if the fields fail to validate
+     * @return {any} The id of the row
+     */
+    insert(id, data, options) {
+        if(options === undefined && isObject(id) && id !== null && ! Array.isArray(id)) {
+            options = data;
+            data = id;
+            id = (data[this.idField] === undefined) ? this._generateId() : data[this.idField];
+        }
+
+        options = options || {};
+        this._write(() => this._writeRows([Object.assign(this._prepareInsert(id, data), {actor: options["actor"]})]), [id]);
+        return id;
+    };
+
+    /**
+     * Updates an existing row (or inserts a new row if not present) into the
+     * table.
+     *
+     * With `revisions`, passing the `expectedRevision` (the row's revision
+     * when it was read) only updates the row if nothing else has since. A
+     * row that's not present is at revision `0`.
+     * @param {any} id - The identifier of the row. Typically an integer, but can
+     *     be a string/UUID/etc.
+     * @param {object} data - The changed field data for the row
+     * @param {object} [options] - The options for the update.
+     * @param {integer} [options.expectedRevision] - The revision the row
+     *     must be at.
+     * @param {any} [options.actor] - Who's making the change, for the
+     *     `history`. Overrides the table's `actor`.
+     * @throws A `ValidationError` if the fields fail to validate, or a
+     *     `ConflictError` if the row isn't at the expected revision
+     * @return {null}
+     */
+    update(id, newData, options = {}) {
+        this._write(() => {
+            this._checkRevision(id, options["expectedRevision"]);
+            this._writeRows([Object.assign(this._prepareUpdate(id, newData), {actor: options["actor"]})]);
+        }, [id]);
+    };
+
+    /**
+     * Deletes a row from the table.
+     *
+     * Rows in other tables referring to this one are handled by their
+     * `onDelete` rule. With `softDelete`, the row is moved to the trash
+     * instead, & the rules wait until it's deleted for good.
+     * @param {any} id - The identifier of the row. Typically an integer, but can
+     *     be a string/UUID/etc.
+     * @param {object} [options] - The options for the delete.
+     * @param {any} [options.actor] - Who's deleting the row, for the
+     *     `history`. Overrides the table's `actor`.
+     * @throws An `IntegrityError` if a `restrict` rule prevents it
+     * @return {null}
+     */
+    delete(id, options = {}) {
+        if(this._softDelete) {
+            this._write(() => this._writeRows([Object.assign(this._prepareTrash(id), {actor: options["actor"]})]), [id]);
+            return;
+        }
+
+        // Unlike `forceDelete`, the history stays, so the row can be reverted.
+        this._atomically(() => this._deleteIds([id], new Map(), {actor: options["actor"], keepHistory: true}));
+    };
+
+    /**
+     * Deletes a row for good, even with `softDelete`. Works on rows in the
+     * trash, too, & drops the row's `history`. See `table.delete`.
+     * @param {any} id - The identifier of the row
+     * @throws An `IntegrityError` if a `restrict` rule prevents it
+     * @return {null}
+     */
+    forceDelete(id) {
+        this._atomically(() => this._deleteIds([id], new Map()));
+    };
+
+    /**
+     * Inserts many new rows into the table at once.
+     *
+     * Every row is validated before anything is written, & the rows that fail
+     * are skipped. The valid rows are then written in a single transaction.
+     * @param {array} rows - The rows' field data, each including the id
+     *     (unless the table has a `primaryKey` strategy)
+     * @throws If the storage fails to write
+     * @return {object} A summary, with counts of the rows `inserted` &
+     *     `skipped`, the `ids` written, plus the `errors` (each with the
+     *     `index` & `id` of the row & the `error` itself)
+     */
+    insertMany(rows) {
+        return this._bulkWrite(rows, (id, data) => this._prepareInsert(id, data, true));
+    };
+
+    /**
+     * Inserts or updates many rows at once. Existing rows are updated with
+     * the provided fields. See `table.insertMany`.
+     * @param {array} rows - The rows' field data, each including the id
+     * @throws If the storage fails to write
+     * @return {object} A summary, with counts of the rows `inserted`,
+     *     `updated` & `skipped`, plus the `errors`
+     */
+    upsertMany(rows) {
+        return this._bulkWrite(rows, (id, data) => this._prepareUpdate(id, data, true));
+    };
+
+    /**
+     * Updates every row matching a filter with the same changes. See
+     * `table.insertMany`.
+     * @param {object|function} filterBy - The filter, as accepted by
+     *     `table.filter`.
+     * @param {object} patch - The changed field data
+     * @throws If the filter is invalid or the storage fails to write
+     * @return {object} A summary, with counts of the rows `updated` &
+     *     `skipped`, plus the `errors`
+     */
+    updateWhere(filterBy, patch) {
+        const rows = this._filter(filterBy).map((row) => {
+            return Object.assign({}, patch, {[this.idField]: row[this.idField]});
+        });
+
+        return this._bulkWrite(rows, (id, data) => this._prepareUpdate(id, data, true));
+    };
+
+    /**
+     * Deletes every row matching a filter at once.
+     * @param {object|function} filterBy - The filter, as accepted by
+     *     `table.filter`.
+     * @throws If the filter is invalid or the storage fails to write, or an
+     *     `IntegrityError` if a `restrict` rule prevents it
+     * @return {object} A summary, with a count of the rows `deleted`
+     */
+    deleteWhere(filterBy) {
+        const rows = this._filter(filterBy);
+
+        if(this._softDelete) {
+            return this._bulkWrite(rows, (id) => this._prepareTrash(id));
+        }
+
+        return this._atomically(() => {
+            this._applyDeleteRules(rows.map((row) => row[this.idField]), new Map());
+            return this._bulkWrite(rows, (id) => Object.assign(this._prepareDelete(id), {keepHistory: true}));
+        });
+    };
+
+    /**
+     * Lists the rows in the trash (with `softDelete`), each including when
+     * it was deleted.
+     * @param {object|function} [filterBy] - Only lists the matching rows.
+     *     See `table.filter`.
+     * @throws If the filter is invalid
+     * @return {array} The trashed rows
+     */
+    trashed(filterBy) {
+        const filters = (filterBy === undefined) ? [] : [filterBy];
+        return [...this._iterRows(filters, undefined, true)].filter((row) => {
+            return this._isTrashed(row) && ! this._isExpired(row);
+        });
+    };
+
+    /**
+     * Takes a row back out of the trash (with `softDelete`).
+     * @param {any} id - The identifier of the row
+     * @throws If the row isn't in the trash
+     * @return {null}
+     */
+    restore(id) {
+        this._write(() => {
+            const row = this._findRow(id);
+
+            if(row === null || ! this._isTrashed(row)) {
+                throw new Error(`'${id}' isn't in the trash!`);
+            }
+
+            const restored = Object.assign({}, row);
+            delete restored[this._deletedField];
+            this._writeRows([{id: id, before: row, after: restored}]);
+        }, [id]);
+    };
+
+    /**
+     * Deletes the rows in the trash for good (with `softDelete`), all in a
+     * single write.
+     * @param {object} [options] - The options for emptying the trash.
+     * @param {integer} [options.olderThan] - Only deletes the rows trashed
+     *     at least this many milliseconds ago.
+     * @throws An `IntegrityError` if a `restrict` rule prevents it
+     * @return {integer} How many rows were deleted
+     */
+    emptyTrash(options = {}) {
+        const cutoff = this._clock() - (options["olderThan"] || 0);
+        const ids = this.trashed().filter((row) => {
+            let deletedAt = row[this._deletedField];
+
+            if(isDate(deletedAt)) {
+                deletedAt = deletedAt.getTime();
+            }
+
+            return deletedAt <= cutoff;
+        }).map((row) => row[this.idField]);
+
+        if(ids.length > 0) {
+            this._atomically(() => this._deleteIds(ids, new Map()));
+        }
+
+        return ids.length;
+    };
+
+    /**
+     * Deletes every expired row, all in a single write. Expired rows are
+     * already treated as missing, but still take up space until purged.
+     * They're also purged automatically when the storage is full.
+     *
+     * No events are emitted for them, but `onDelete` rules still apply.
+     * @throws An `IntegrityError` if a `restrict` rule prevents it
+     * @return {integer} How many rows were purged
+     */
+    purgeExpired() {
+        return this._purge([]);
+    };
+
+    /**
+     * Lists a row's previous versions (with `history`), oldest first. Each
+     * entry has the row's `version` after the change, the `action` made
+     * (`insert`, `update` or `delete`), when it happened (`at`), the `actor`
+     * & the row `before` & `after` the change (`null` if not present).
+     *
+     * Only the newest versions (up to the history's `limit`) are kept. The
+     * history of deleted rows is kept too, until `table.clearHistory`.
+     * @param {any} id - The identifier of the row
+     * @throws If the table doesn't keep a history
+     * @return {array} The history entries
+     */
+    history(id) {
+        if(this._history === null) {
+            throw new Error(`The '${this.tableName}' table doesn't keep a history!`);
+        }
+
+        const entries = this._getHistory(id).map((entry) => {
+            const before = (entry["before"] === null) ? null : this._deserializeFields(this._fields, entry["before"]);
+            return Object.assign(entry, {"before": this._withId(id, before)});
+        });
+        const current = this._findRow(id);
+
+        for(let offset = 0; offset < entries.length; offset++) {
+            const next = entries[offset + 1];
+            // Each change leaves the row as the next one found it.
+            entries[offset]["after"] = next ? next["before"] : (this._isHidden(current) ? null : current);
+        }
+
+        return entries;
+    };
+
+    /**
+     * Puts a row back the way it was at a version in its history (see
+     * `table.history`). The whole row is replaced, & the revert is itself
+     * recorded as a new version.
+     * @param {any} id - The identifier of the row
+     * @param {integer} version - The version to go back to
+     * @throws If the version isn't in the history, or the row didn't exist
+     *     at it, a `ValidationError` if it no longer validates, or if it's
+     *     in the trash
+     * @return {null}
+     */
+    revertTo(id, version) {
+        const images = new Map();
+
+        for(const entry of this.history(id)) {
+            images.set(entry["version"] - 1, entry["before"]);
+            images.set(entry["version"], entry["after"]);
+        }
+
+        if(! images.has(version)) {
+            throw new Error(`Version ${version} of '${id}' isn't in the history!`);
+        }
+
+        if(images.get(version) === null) {
+            throw new Error(`'${id}' didn't exist at version ${version}!`);
+        }
+
+        this._write(() => {
+            const current = this._findRow(id);
+            this._checkNotTrashed(id, current);
+
+            const data = this._stampExpiry(this._stampUsed(images.get(version)), {});
+            const errors = this._validate(data);
+
+            if(errors.length > 0) {
+                throw new ValidationError(errors);
+            }
+
+            this._checkUnique(id, data);
+            this._writeRows([{id: id, before: current, after: data}]);
+        }, [id]);
+    };
+
+    /**
+     * Deletes a row's history (or every row's, if no id is provided).
+     * @param {any} [id] - The identifier of the row
+     * @return {null}
+     */
+    clearHistory(id) {
+        this._atomically(() => this._removeHistory((id === undefined) ? this._getHistoryIds() : [id]));
+    };
+
+    /**
+     * Returns a filtered set of rows from the table.
+     *
+     * Plain object filters may nest `$and`, `$or` & `$not` groups. Lookups on
+     * indexed fields use the index to avoid loading rows that can't match.
+     * @param {object|function} filterBy - Either a plain object of filters
+     *     or a user-defined function to do the filtering.
+     * @throws If invalid fields or lookup types are provided
      * @return {array} An array of objects of matched rows
      */
     filter(filterBy) {
         return this._filter(filterBy);
     };
+
+    /**
+     * Runs a function, committing all of its writes to the table at once.
+     *
+     * If the function throws (or the storage fails partway through
+     * committing), nothing is changed & the error is re-thrown. Calls made
+     * while already in a transaction join the outer one.
+     * @param {function} fn - The function making the writes. It's passed the
+     *     table & must be synchronous.
+     * @throws If the function or the commit fails
+     * @return {any} Whatever the function returned
+     */
+    transaction(fn) {
+        return LocalTable.transaction([this], fn);
+    };
+
+    /**
+     * Imports a snapshot made by `table.export` into a table.
+     *
+     * Every row is validated (after running any migrations, if the snapshot
+     * is from an older schema `version`) against the table's fields.
+     * Invalid rows are skipped & reported. The writes all happen in a single
+     * transaction.
+     * @param {Storage} storage - Reference to the `Storage`-like object to
+     *     import into.
+     * @param {string|object} snapshot - The JSON or NDJSON snapshot
+     * @param {object} [options] - The options for the import.
+     * @param {string} [options.mode] - How to treat the table's existing
+     *     rows. `"replace"` (the default) drops them first, `"merge"`
+     *     overwrites the ones with the same ids, & `"skip-existing"` leaves
+     *     those alone.
+     * @param {LocalTable} [options.table] - The table to import into.
+     *     Defaults to opening the snapshot's table in the `storage`.
+     * @param {string} [options.tableName] - Imports under a different name.
+     * @param {object} [options.tableOptions] - The options for opening the
+     *     table, as accepted by `LocalTable`. Defaults to the snapshot's
+     *     schema, which lacks anything (like custom `validate` functions)
+     *     that couldn't be exported.
+     * @throws If the snapshot is malformed, the mode is unknown, or the
+     *     snapshot's schema is newer than the table's
+     * @return {object} The `table`, plus a summary of how many rows were
+     *     `inserted`, `updated` & `skipped`, with the `errors` for the
+     *     invalid rows & the ids of the `conflicts` with existing rows
+     */
+    static import(storage, snapshot, options = {}) {
+        // Check before opening the table, which may write to the storage.
+        const mode = options["mode"] || "replace";
+        checkImportMode(mode);
+
+        const {header, rows} = readSnapshot(snapshot);
+        let table = options["table"];
+
+        if(table === undefined) {
+            table = new LocalTable(storage, options["tableName"] || header["table"], options["tableOptions"] || {
+                "fields": header["fields"] || [],
+                "idField": header["idField"],
+                "version": header["version"],
+            });
+        }
+
+        const summary = table._import(header, rows, mode);
+        summary["table"] = table;
+        return summary;
+    };
+
+    /**
+     * Registers a custom field type, usable by every table's fields.
+     * @param {string} typeName - The name fields will use as their `type`
+     * @param {object} fieldType - The type's definition. Needs a `validate`
+     *     function (taking the value & field definition, returning `true` if
+     *     valid), & can have `serialize`/`deserialize` functions, converting
+     *     values to & from something `JSON.stringify` can handle.
+     * @throws If the name is a built-in type, or the definition is invalid
+     * @return {null}
+     */
+    static registerFieldType(typeName, fieldType) {
+        registerFieldType(typeName, fieldType);
+    };
+
+    /**
+     * Registers a custom codec, usable as any table's `compression`.
+     * @param {string} codecName - The name tables will use to pick it. It
+     *     can't contain a `~`.
+     * @param {object} codec - The codec's definition. Needs `compress` &
+     *     `decompress` functions, each taking & returning a string. Avoid
+     *     returning unpaired surrogates, which some browsers can't store.
+     * @throws If the name is a built-in codec, or the definition is invalid
+     * @return {null}
+     */
+    static registerCodec(codecName, codec) {
+        registerCodec(codecName, codec);
+    };
+
+    /**
+     * Runs a function, committing all of its writes to several tables at
+     * once. See `table.transaction`.
+     *
+     * Within another transaction, any tables it didn't already cover join
+     * it, so everything still commits (or rolls back) together.
+     * @param {array} tables - The `LocalTable`s being written to. They must
+     *     share the same storage.
+     * @param {function} fn - The function making the writes. It's passed the
+     *     tables & must be synchronous.
+     * @throws If the tables don't share storage, or the function or the
+     *     commit fails
+     * @return {any} Whatever the function returned
+     */
+    static transaction(tables, fn) {
+        const active = tables.find((table) => table._transaction !== null);
+
+        if(active !== undefined) {
+            // Join the outer transaction.
+            for(const table of tables) {
+                table._join(active._transaction);
+            }
+
+            return fn(...tables);
+        }
+
+        const storage = tables[0].storage;
+
+        if(tables.some((table) => table.storage !== storage)) {
+            throw new Error("Tables in a transaction must share the same storage!");
+        }
+
+        const txn = new Transaction(storage);
+        let result;
+
+        for(const table of tables) {
+            table._join(txn);
+        }
+
+        try {
+            result = fn(...tables);
+
+            if(result !== undefined && result !== null && isFunction(result.then)) {
+                throw new Error("Transactions must be synchronous!");
+            }
+
+            txn.commit();
+        } catch (err) {
+            let failure = err;
+
+            if(isQuotaError(err)) {
+                // Measure before rolling back, while the writes are pending.
+                failure = new StorageFullError(txn.tables.map((table) => table.tableName), txn.byteDelta(), err);
+            }
+
+            txn.rollback();
+
+            // The cached ids & indexes may include the discarded writes.
+            for(const table of txn.tables) {
+                table._resetCaches();
+                table._pendingEvents = [];
+            }
+
+            throw failure;
+        } finally {
+            // Including any tables which joined along the way.
+            for(const table of txn.tables) {
+                table.storage = storage;
+                table._transaction = null;
+            }
+        }
+
+        let failure = null;
+
+        for(const table of txn.tables) {
+            try {
+                table._flushEvents();
+            } catch (err) {
+                failure = failure || err;
+            }
+        }
+
+        if(failure !== null) {
+            throw failure;
+        }
+
+        return result;
+    };
+
+    /**
+     * Registers a handler to be called when the table changes.
+     *
+     * Handlers are passed an event with the `type`, the `table` & (except
+     * for `drop`) the row's `id`, plus copies of the row `before` & `after`
+     * the change (`null` for inserts & deletes, respectively). Its `remote`
+     * is `true` for changes made by other tabs. Within a transaction, the
+     * events are held until it commits.
+     *
+     * Should a handler throw, the others are still called, then its error
+     * is passed to the `error` handlers (with the `eventName` & the `event`
+     * it failed on), or re-thrown if there aren't any. The change itself is
+     * kept either way.
+     * @param {string} eventType - One of `insert`, `update`, `delete`,
+     *     `drop`, `change` (which is emitted for all of them) or `error`
+     * @param {function} handler - Called with the event
+     * @throws If an invalid event type is provided
+     * @return {function} Call this to unregister the handler
+     */
+    on(eventType, handler) {
+        if(this.eventTypes.indexOf(eventType) < 0) {
+            throw new Error(`Invalid event type '${eventType}' provided!`);
+        }
+
+        return this._events.on(eventType, handler);
+    };
+
+    /**
+     * Unregisters a handler.
+     * @param {string} eventType - The event type it was registered for
+     * @param {function} handler - The previously registered handler
+     * @return {null}
+     */
+    off(eventType, handler) {
+        this._events.off(eventType, handler);
+    };
+
+    /**
+     * Watches a live query, calling back with its results now & whenever a
+     * matching row changes.
+     * @param {object|function} filterBy - The filter, as accepted by
+     *     `table.filter`.
+     * @param {function} callback - Called with the array of matched rows &
+     *     the event that caused the change (`null` for the first call)
+     * @throws If the filter is invalid
+     * @return {function} Call this to stop watching
+     */
+    watch(filterBy, callback) {
+        const matches = (row) => row !== null && this._matches(filterBy, row);
+
+        callback(this.filter(filterBy), null);
+
+        return this.on("change", (event) => {
+            if(event["type"] === "drop") {
+                callback([], event);
+            } else if(matches(event["before"]) || matches(event["after"])) {
+                callback(this.filter(filterBy), event);
+            }
+        });
+    };
+
+    /**
+     * Starts a chainable query against the table.
+     * @return {Query} A new query, matching every row
+     */
+    query() {
+        return new Query(this);
+    };
 }
 
 export {
@@ -0,0 +1,157 @@
+/**
+ * Transaction: Buffers writes to a `Storage`, committing all or none.
+ *
+ * @module localtable/transaction
+ */
+"use strict";
+
+import { storedSize } from "./keys.js";
+
+// The names & codes browsers use for running out of quota.
+const quotaNames = ["QuotaExceededError", "NS_ERROR_DOM_QUOTA_REACHED"];
+const quotaCodes = [22, 1014];
+
+/**
+ * Checks if an error thrown by a `Storage` means it's full.
+ * @function
+ * @param {Error} err - The error
+ * @return {boolean} True if the storage is full, else False
+ */
+const isQuotaError = function(err) {
+    if(err === null || typeof err !== "object") {
+        return false;
+    }
+
+    return quotaNames.indexOf(err.name) >= 0 || quotaCodes.indexOf(err.code) >= 0;
+};
+
+/**
+ * A class representing a set of pending writes to a `Storage`-like object.
+ *
+ * It provides the same `getItem`/`setItem`/`removeItem` API, so it can stand
+ * in for the real storage while the writes are being made. Reads see the
+ * pending writes.
+ */
+class Transaction {
+    /**
+     * Creates a new `Transaction` instance.
+     * @param {Storage} storage - Reference to the `Storage`-like object that
+     *     the writes will be committed to.
+     */
+    constructor(storage) {
+        this.storage = storage;
+        // Maps keys to their new values, or `null` if they're being removed.
+        this._writes = new Map();
+        /** The tables writing through the transaction, set by `LocalTable` */
+        this.tables = [];
+    };
+
+    /**
+     * Fetches a value, including any pending write.
+     * @param {string} key - The key to fetch
+     * @return {string|null} The value, or `null` if not present
+     */
+    getItem(key) {
+        if(this._writes.has(key)) {
+            return this._writes.get(key);
+        }
+
+        return this.storage.getItem(key);
+    };
+
+    /**
+     * Buffers setting a value.
+     * @param {string} key - The key to set
+     * @param {string} value - The value to store
+     * @return {null}
+     */
+    setItem(key, value) {
+        this._writes.set(key, String(value));
+    };
+
+    /**
+     * Buffers removing a value.
+     * @param {string} key - The key to remove
+     * @return {null}
+     */
+    removeItem(key) {
+        this._writes.set(key, null);
+    };
+
+    /**
+     * Lists the keys with pending writes.
+     * @return {array} The keys
+     */
+    touchedKeys() {
+        return [...this._writes.keys()];
+    };
+
+    /**
+     * Estimates how many more bytes the storage will use once the pending
+     * changes are written. Negative if they free up space.
+     * @return {integer} The change in bytes
+     */
+    byteDelta() {
+        let delta = 0;
+
+        for(const [key, value] of this._writes) {
+            delta += storedSize(key, value) - storedSize(key, this.storage.getItem(key));
+        }
+
+        return delta;
+    };
+
+    /**
+     * Writes all the pending changes to the storage.
+     *
+     * If any write fails, the previous values of every key already written
+     * are restored before re-throwing. The pending changes are kept until
+     * `rollback` is called, so they can be inspected.
+     * @throws If the storage fails to write
+     * @return {null}
+     */
+    commit() {
+        const previous = [];
+
+        try {
+            for(const [key, value] of this._writes) {
+                const oldValue = this.storage.getItem(key);
+
+                if(value === null) {
+                    this.storage.removeItem(key);
+                } else {
+                    this.storage.setItem(key, value);
+                }
+
+                // Only track it once written, since a failed write leaves
+                // the old value in place.
+                previous.push([key, oldValue]);
+            }
+        } catch (err) {
+            for(const [key, value] of previous.reverse()) {
+                if(value === null || value === undefined) {
+                    this.storage.removeItem(key);
+                } else {
+                    this.storage.setItem(key, value);
+                }
+            }
+
+            throw err;
+        }
+
+        this._writes.clear();
+    };
+
+    /**
+     * Throws away all the pending changes.
+     * @return {null}
+     */
+    rollback() {
+        this._writes.clear();
+    };
+}
+
+export {
+    Transaction,
+    isQuotaError,
+};
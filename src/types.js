@@ -0,0 +1,196 @@
+/**
+ * Field types: How each type of field is validated & stored.
+ *
+ * A field type is an object with a `validate` function, plus optional
+ * `serialize` & `deserialize` functions converting values to & from
+ * something `JSON.stringify` can handle.
+ *
+ * @module localtable/types
+ */
+"use strict";
+
+import {
+    isString,
+    isInteger,
+    isFloat,
+    isBool,
+    isPlainObject,
+    isFunction,
+    isId,
+    isDate,
+    isBigInt,
+    isSet,
+    isMap,
+    isBytes,
+} from "./validation.js";
+
+/**
+ * Encodes binary data as base64.
+ * @param {Uint8Array} bytes - The data
+ * @return {string} The base64 text
+ */
+const toBase64 = function(bytes) {
+    let binary = "";
+
+    // Chunked, to stay under the engine's limit on arguments.
+    for(let offset = 0; offset < bytes.length; offset += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+    }
+
+    return btoa(binary);
+};
+
+/**
+ * Decodes base64 into binary data.
+ * @param {string} text - The base64 text
+ * @return {Uint8Array} The data
+ */
+const fromBase64 = function(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+
+    for(let offset = 0; offset < binary.length; offset++) {
+        bytes[offset] = binary.charCodeAt(offset);
+    }
+
+    return bytes;
+};
+
+// The built-in types, which can't be replaced.
+const builtinTypes = {
+    "str": {"validate": isString},
+    "int": {"validate": isInteger},
+    "float": {"validate": isFloat},
+    "timestamp": {"validate": isInteger},
+    "bool": {"validate": isBool},
+    // Any JSON-friendly object or array, unless the field declares the
+    // `fields` it has.
+    "obj": {"validate": (value, fieldAttrs) => isPlainObject(value) || (Array.isArray(value) && ! (fieldAttrs && fieldAttrs["fields"]))},
+    "ref": {"validate": isId},
+    "date": {
+        "validate": isDate,
+        "serialize": (value) => value.toISOString(),
+        "deserialize": (data) => new Date(data),
+    },
+    "bigint": {
+        "validate": isBigInt,
+        "serialize": (value) => value.toString(),
+        "deserialize": (data) => BigInt(data),
+    },
+    "set": {
+        "validate": isSet,
+        "serialize": (value) => [...value],
+        "deserialize": (data) => new Set(data),
+    },
+    "map": {
+        "validate": isMap,
+        "serialize": (value) => [...value.entries()],
+        "deserialize": (data) => new Map(data),
+    },
+    "bytes": {
+        "validate": isBytes,
+        "serialize": toBase64,
+        "deserialize": fromBase64,
+    },
+};
+
+const registeredTypes = {};
+
+/**
+ * Checks a field type definition is usable.
+ * @function
+ * @param {string} typeName - The name of the type
+ * @param {object} fieldType - The type definition
+ * @throws If the definition is missing a `validate` function, or has
+ *     non-function `serialize`/`deserialize`
+ * @return {null}
+ */
+const checkFieldType = function(typeName, fieldType) {
+    if(! fieldType || ! isFunction(fieldType["validate"])) {
+        throw new Error(`Field type '${typeName}' needs a 'validate' function!`);
+    }
+
+    for(const hook of ["serialize", "deserialize"]) {
+        if(fieldType.hasOwnProperty(hook) && ! isFunction(fieldType[hook])) {
+            throw new Error(`Field type '${typeName}' has a non-function '${hook}'!`);
+        }
+    }
+};
+
+/**
+ * Registers a custom field type, for use by every table.
+ * @function
+ * @param {string} typeName - The name fields will use as their `type`
+ * @param {object} fieldType - The type definition. See the module docs.
+ * @throws If the name is a built-in type, or the definition is invalid
+ * @return {null}
+ */
+const registerFieldType = function(typeName, fieldType) {
+    if(builtinTypes.hasOwnProperty(typeName) || typeName.startsWith("array<")) {
+        throw new Error(`Can't replace the built-in field type '${typeName}'!`);
+    }
+
+    checkFieldType(typeName, fieldType);
+    registeredTypes[typeName] = fieldType;
+};
+
+/**
+ * Fetches a built-in or registered field type.
+ * @function
+ * @param {string} typeName - The name of the type
+ * @return {object|null} The type definition, or `null` if unknown
+ */
+const getFieldType = function(typeName) {
+    if(builtinTypes.hasOwnProperty(typeName)) {
+        return builtinTypes[typeName];
+    }
+
+    if(registeredTypes.hasOwnProperty(typeName)) {
+        return registeredTypes[typeName];
+    }
+
+    return null;
+};
+
+/**
+ * Builds the type for an array of another type (an `array<T>` field).
+ * @function
+ * @param {object} itemType - The type of each item
+ * @return {object} The array's type definition
+ */
+const arrayOf = function(itemType) {
+    const serializeItem = itemType["serialize"] || ((value) => value);
+    const deserializeItem = itemType["deserialize"] || ((data) => data);
+
+    return {
+        "validate": (value) => Array.isArray(value) && value.every((item) => itemType["validate"](item)),
+        "serialize": (value) => value.map(serializeItem),
+        "deserialize": (data) => data.map(deserializeItem),
+    };
+};
+
+/**
+ * Lists the legacy validator for each built-in type, as exposed by the
+ * deprecated `table.fieldTypes`.
+ * @function
+ * @return {object} Maps type names to validation functions
+ */
+const builtinValidators = function() {
+    const validators = {};
+
+    for(const [typeName, fieldType] of Object.entries(builtinTypes)) {
+        validators[typeName] = fieldType["validate"];
+    }
+
+    return validators;
+};
+
+export {
+    toBase64,
+    fromBase64,
+    checkFieldType,
+    registerFieldType,
+    getFieldType,
+    arrayOf,
+    builtinValidators,
+};
@@ -21,7 +21,7 @@ const isString = function(value) {
  * @return {boolean} True if an integer, else False
  */
 const isInteger = function(value) {
-    if(! typeof value === "number") {
+    if(typeof value !== "number") {
         return false;
     }
 
@@ -62,6 +62,22 @@ const isObject = function(value) {
     return typeof value === "object";
 };
 
+/**
+ * Validates if the value is a plain object (not `null`, an array, or a
+ * class instance like a `Date`).
+ * @function
+ * @param {any} value - The data to validate
+ * @return {boolean} True if a plain object, else False
+ */
+const isPlainObject = function(value) {
+    if(value === null || typeof value !== "object") {
+        return false;
+    }
+
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+};
+
 /**
  * Validates if the value is a function.
  * @function
@@ -72,11 +88,78 @@ const isFunction = function(value) {
     return typeof value === "function";
 };
 
+/**
+ * Validates if the value can be used as a row id (a string or an integer).
+ * @function
+ * @param {any} value - The data to validate
+ * @return {boolean} True if an id, else False
+ */
+const isId = function(value) {
+    return isString(value) || Number.isInteger(value);
+};
+
+/**
+ * Validates if the value is a valid `Date`.
+ * @function
+ * @param {any} value - The data to validate
+ * @return {boolean} True if a `Date` (that isn't "Invalid Date"), else False
+ */
+const isDate = function(value) {
+    return value instanceof Date && ! Number.isNaN(value.getTime());
+};
+
+/**
+ * Validates if the value is a `BigInt`.
+ * @function
+ * @param {any} value - The data to validate
+ * @return {boolean} True if a `BigInt`, else False
+ */
+const isBigInt = function(value) {
+    return typeof value === "bigint";
+};
+
+/**
+ * Validates if the value is a `Set`.
+ * @function
+ * @param {any} value - The data to validate
+ * @return {boolean} True if a `Set`, else False
+ */
+const isSet = function(value) {
+    return value instanceof Set;
+};
+
+/**
+ * Validates if the value is a `Map`.
+ * @function
+ * @param {any} value - The data to validate
+ * @return {boolean} True if a `Map`, else False
+ */
+const isMap = function(value) {
+    return value instanceof Map;
+};
+
+/**
+ * Validates if the value is binary data (a `Uint8Array`).
+ * @function
+ * @param {any} value - The data to validate
+ * @return {boolean} True if a `Uint8Array`, else False
+ */
+const isBytes = function(value) {
+    return value instanceof Uint8Array;
+};
+
 export {
     isString,
     isInteger,
     isFloat,
     isBool,
     isObject,
+    isPlainObject,
     isFunction,
+    isId,
+    isDate,
+    isBigInt,
+    isSet,
+    isMap,
+    isBytes,
 };
@@ -0,0 +1,231 @@
+import assert from "assert";
+
+import { AsyncLocalTable } from "../src/async.js";
+import { IndexedDBBackend } from "../src/backends/indexeddb.js";
+import { ValidationError, StorageFullError, ConflictError } from "../src/errors.js";
+import { FakeIndexedDB, FakeKeyRange } from "./support/indexeddb.js";
+
+const options = {
+    "fields": [
+        {"name": "message", "type": "str"},
+    ],
+};
+
+describe("AsyncLocalTable", function() {
+    let factory;
+    let backend;
+
+    beforeEach(function() {
+        factory = new FakeIndexedDB();
+        backend = new IndexedDBBackend("test", {"indexedDB": factory, "IDBKeyRange": FakeKeyRange});
+    });
+
+    it("saves the writes to the backend", async function() {
+        const table = await AsyncLocalTable.open(backend, "records", options);
+
+        assert.equal(await table.insert(1, {message: "Hello"}), 1);
+        await table.update(1, {message: "Hi"});
+        await table.insertMany([{id: 2, message: "Bye"}]);
+        await table.transaction((records) => records.insert(3, {message: "Later"}));
+        await table.delete(2);
+
+        const reopened = await AsyncLocalTable.open(backend, "records", options);
+        assert.deepEqual(await reopened.all(), [
+            {id: 1, message: "Hi"},
+            {id: 3, message: "Later"},
+        ]);
+        assert.equal(await reopened.count(), 2);
+        assert.equal(await reopened.exists(3), true);
+        assert.equal(reopened.query().where({message: {"=": "Hi"}}).first().id, 1);
+    });
+
+    it("rejects invalid writes", async function() {
+        const table = await AsyncLocalTable.open(backend, "records", options);
+
+        await assert.rejects(() => table.insert(1, {message: 5}), ValidationError);
+        await assert.rejects(() => table.get(1), /Couldn't find data/);
+    });
+
+    it("reloads if saving fails", async function() {
+        const table = await AsyncLocalTable.open(backend, "records", options);
+        await table.insert(1, {message: "Hello"});
+        factory.databases.get("test").failWrites = true;
+
+        await assert.rejects(() => table.insert(2, {message: "Lost"}), /QuotaExceededError/);
+        assert.equal(await table.exists(2), false);
+        assert.equal(await table.count(), 1);
+
+        factory.databases.get("test").failWrites = false;
+        await table.insert(2, {message: "Saved"});
+        assert.equal(await table.count(), 2);
+    });
+
+    it("keeps writes apart when an earlier one fails", async function() {
+        const table = await AsyncLocalTable.open(backend, "records", options);
+        const write = backend.write.bind(backend);
+        let failures = 1;
+        backend.write = (changes) => (failures-- > 0) ? Promise.reject(new Error("Nope")) : write(changes);
+
+        const results = await Promise.allSettled([
+            table.insert(1, {message: "Hello"}),
+            table.insert(2, {message: "Bye"}),
+        ]);
+        assert.deepEqual(results.map((result) => result.status), ["rejected", "fulfilled"]);
+
+        // The failed write's row isn't in the saved id list.
+        const saved = new Map(await backend.load("records_"));
+        assert.equal(saved.get("records_list"), "[2]");
+
+        const reopened = await AsyncLocalTable.open(backend, "records", options);
+        assert.deepEqual(await reopened.all(), [{id: 2, message: "Bye"}]);
+    });
+
+    it("raises a StorageFullError if the backend is full", async function() {
+        const table = await AsyncLocalTable.open(backend, "records", options);
+        factory.databases.get("test").failWrites = new DOMException("The quota has been exceeded.", "QuotaExceededError");
+
+        await assert.rejects(() => table.insert(1, {message: "Lost"}), (err) => {
+            assert.ok(err instanceof StorageFullError);
+            assert.deepEqual(err.tables, ["records"]);
+            assert.ok(err.bytes > 0);
+            return true;
+        });
+        assert.equal(await table.count(), 0);
+    });
+
+    it("summarizes the table's size", async function() {
+        const table = await AsyncLocalTable.open(backend, "records", options);
+        await table.insert(1, {message: "Hello"});
+
+        const stats = await table.stats();
+        assert.equal(stats.rows, 1);
+        assert.deepEqual(stats.largestRows.map((row) => row.id), [1]);
+    });
+
+    it("purges expired rows", async function() {
+        const clock = {now: 0};
+        const table = await AsyncLocalTable.open(backend, "records", Object.assign({
+            "ttl": 1000,
+            "clock": () => clock.now,
+        }, options));
+        await table.insert(1, {message: "Hello"});
+
+        clock.now = 1000;
+        assert.equal(await table.count(), 0);
+        assert.equal(await table.purgeExpired(), 1);
+
+        const reopened = await AsyncLocalTable.open(backend, "records", options);
+        assert.equal(await reopened.count(), 0);
+    });
+
+    it("keeps & reverts the history", async function() {
+        const withHistory = Object.assign({"history": true}, options);
+        const table = await AsyncLocalTable.open(backend, "records", withHistory);
+        await table.insert(1, {message: "Hello"}, {actor: "alice"});
+        await table.update(1, {message: "Hi"});
+        await table.revertTo(1, 1);
+
+        const reopened = await AsyncLocalTable.open(backend, "records", withHistory);
+        assert.deepEqual(await reopened.get(1), {id: 1, message: "Hello"});
+        assert.deepEqual((await reopened.history(1)).map((entry) => entry.version), [1, 2, 3]);
+        assert.equal((await reopened.history(1))[0].actor, "alice");
+
+        await reopened.clearHistory(1);
+        assert.deepEqual(await reopened.history(1), []);
+    });
+
+    it("rejects conflicting updates", async function() {
+        const table = await AsyncLocalTable.open(backend, "records", Object.assign({"revisions": true}, options));
+        await table.insert(1, {message: "Hello"});
+        const row = await table.get(1);
+
+        await Promise.all([
+            table.update(1, {message: "Hi"}, {expectedRevision: row._rev}),
+            assert.rejects(() => table.update(1, {message: "Hey"}, {expectedRevision: row._rev}), ConflictError),
+        ]);
+        assert.deepEqual(await table.get(1), {id: 1, message: "Hi", _rev: 2});
+    });
+
+    it("round-trips snapshots", async function() {
+        const table = await AsyncLocalTable.open(backend, "records", options);
+        await table.insert(1, {message: "Hello"});
+        const snapshot = await table.export();
+
+        const other = new IndexedDBBackend("other", {"indexedDB": factory, "IDBKeyRange": FakeKeyRange});
+        const copy = await AsyncLocalTable.open(other, "records", options);
+        const summary = await copy.import(snapshot);
+
+        assert.equal(summary.inserted, 1);
+        const reopened = await AsyncLocalTable.open(other, "records", options);
+        assert.deepEqual(await reopened.get(1), {id: 1, message: "Hello"});
+    });
+
+    it("imports & exports CSV", async function() {
+        const table = await AsyncLocalTable.open(backend, "records", options);
+        const summary = await table.fromCSV("id,message\n1,Hello\n2,Bye\n");
+        assert.equal(summary.inserted, 2);
+        assert.equal(await table.toCSV(), "id,message\r\n1,Hello\r\n2,Bye\r\n");
+        assert.ok(await table.usage() > 0);
+
+        const reopened = await AsyncLocalTable.open(backend, "records", options);
+        assert.deepEqual(await reopened.get(2), {id: 2, message: "Bye"});
+    });
+
+    it("saves rebuilt indexes", async function() {
+        const indexed = {"fields": [{"name": "message", "type": "str", "index": true}]};
+        const table = await AsyncLocalTable.open(backend, "records", indexed);
+        await table.insert(1, {message: "Hello"});
+        const built = new Map(await backend.load("records_")).get("records_index_message");
+        await backend.write([["records_index_message", "[]"]]);
+
+        const reindexed = await AsyncLocalTable.open(backend, "records", indexed);
+        await reindexed.reindex();
+
+        const stored = new Map(await backend.load("records_"));
+        assert.equal(stored.get("records_index_message"), built);
+    });
+
+    it("saves compressed rows", async function() {
+        const message = "Hello there, how are you doing today? ".repeat(5);
+        const table = await AsyncLocalTable.open(backend, "records", options);
+        await table.insert(1, {message: message});
+
+        const compressed = await AsyncLocalTable.open(backend, "records", Object.assign({"compression": "lz-string"}, options));
+        await compressed.compressAll();
+
+        const stored = new Map(await backend.load("records_"));
+        assert.ok(stored.get("records_detail_1").startsWith("~lz-string~"));
+        assert.deepEqual(await compressed.get(1), {id: 1, message: message});
+    });
+
+    it("watches live queries", async function() {
+        const table = await AsyncLocalTable.open(backend, "records", options);
+        const seen = [];
+        const stop = table.watch({message: {"=": "Hello"}}, (rows) => seen.push(rows.length));
+
+        await table.insert(1, {message: "Hello"});
+        stop();
+        await table.insert(2, {message: "Hello"});
+        assert.deepEqual(seen, [0, 1]);
+    });
+
+    it("closes the backend once the writes are saved", async function() {
+        const table = await AsyncLocalTable.open(backend, "records", options);
+        table.insert(1, {message: "Hello"});
+        await table.close();
+
+        assert.equal(factory.databases.get("test").closed, true);
+        const reopened = await AsyncLocalTable.open(backend, "records", options);
+        assert.equal(await reopened.count(), 1);
+    });
+
+    it("passes along events", async function() {
+        const table = await AsyncLocalTable.open(backend, "records", options);
+        const seen = [];
+        table.on("insert", (event) => seen.push(event.id));
+
+        await table.insert(1, {message: "Hello"});
+        await table.settle();
+        assert.deepEqual(seen, [1]);
+    });
+});
@@ -0,0 +1,324 @@
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { MemoryStorage } from "../src/backends/memory.js";
+import { FileStorage } from "../src/backends/file.js";
+import { IndexedDBBackend } from "../src/backends/indexeddb.js";
+import { StorageBackend } from "../src/backends/storage.js";
+import { EncryptedBackend } from "../src/backends/encrypted.js";
+import { LocalTable } from "../src/table.js";
+import { AsyncLocalTable } from "../src/async.js";
+import { DecryptionError } from "../src/errors.js";
+import { FakeIndexedDB, FakeKeyRange } from "./support/indexeddb.js";
+import { LimitedStorage } from "./support/storage.js";
+
+const makeKey = function() {
+    return crypto.subtle.generateKey({"name": "AES-GCM", "length": 256}, false, ["encrypt", "decrypt"]);
+};
+
+describe("backends", function() {
+    describe("MemoryStorage", function() {
+        it("provides the Storage API", function() {
+            const store = new MemoryStorage([["a", "1"]]);
+
+            store.setItem("b", 2);
+            assert.equal(store.length, 2);
+            assert.equal(store.getItem("b"), "2");
+            assert.equal(store.getItem("missing"), null);
+            assert.equal(store.key(0), "a");
+            assert.equal(store.key(2), null);
+
+            store.removeItem("a");
+            assert.deepEqual(store.entries(), [["b", "2"]]);
+
+            store.clear();
+            assert.equal(store.length, 0);
+        });
+
+        it("keeps listing the keys as they change", function() {
+            const store = new MemoryStorage([["a", "1"], ["b", "2"]]);
+            const keys = () => [...Array(store.length).keys()].map((index) => store.key(index));
+
+            assert.deepEqual(keys(), ["a", "b"]);
+            store.setItem("a", "3");
+            store.setItem("c", "4");
+            assert.deepEqual(keys(), ["a", "b", "c"]);
+            store.removeItem("b");
+            assert.deepEqual(keys(), ["a", "c"]);
+            store.clear();
+            assert.deepEqual(keys(), []);
+        });
+
+        it("works with LocalTable", function() {
+            const table = new LocalTable(new MemoryStorage(), "records", {
+                "fields": [{"name": "message", "type": "str"}],
+            });
+            table.insert(1, {message: "Hello"});
+
+            assert.equal(table.get(1).message, "Hello");
+        });
+    });
+
+    describe("FileStorage", function() {
+        let directory;
+
+        beforeEach(function() {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), "localtable-"));
+        });
+
+        afterEach(function() {
+            fs.rmSync(directory, {recursive: true, force: true});
+        });
+
+        it("keeps the data in a JSON file", function() {
+            const filePath = path.join(directory, "data.json");
+            const table = new LocalTable(new FileStorage(filePath), "records", {
+                "fields": [{"name": "message", "type": "str"}],
+            });
+            table.insert(1, {message: "Hello"});
+
+            assert.deepEqual(JSON.parse(fs.readFileSync(filePath, "utf8")), {
+                "records_list": "[1]",
+                "records_detail_1": '{"message":"Hello"}',
+            });
+
+            const reopened = new LocalTable(new FileStorage(filePath), "records", {
+                "fields": [{"name": "message", "type": "str"}],
+            });
+            assert.equal(reopened.get(1).message, "Hello");
+        });
+
+        it("can wait for a flush", function() {
+            const filePath = path.join(directory, "data.json");
+            const store = new FileStorage(filePath, {"autoFlush": false});
+
+            store.setItem("a", "1");
+            assert.equal(fs.existsSync(filePath), false);
+
+            store.flush();
+            assert.deepEqual(JSON.parse(fs.readFileSync(filePath, "utf8")), {"a": "1"});
+            assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+        });
+
+        it("rejects other JSON", function() {
+            const filePath = path.join(directory, "data.json");
+            fs.writeFileSync(filePath, "[1, 2]");
+
+            assert.throws(() => new FileStorage(filePath), /doesn't hold a JSON object/);
+        });
+    });
+
+    describe("IndexedDBBackend", function() {
+        const makeBackend = (factory = new FakeIndexedDB()) => {
+            return new IndexedDBBackend("test", {"indexedDB": factory, "IDBKeyRange": FakeKeyRange});
+        };
+
+        it("writes & loads by prefix", async function() {
+            const backend = makeBackend();
+
+            await backend.write([["records_list", "[1]"], ["records_detail_1", "{}"], ["other_list", "[]"]]);
+            await backend.write([["records_detail_1", null]]);
+
+            assert.deepEqual(await backend.load("records_"), [["records_list", "[1]"]]);
+            assert.equal((await backend.load()).length, 2);
+        });
+
+        it("rejects failed writes", async function() {
+            const factory = new FakeIndexedDB();
+            const backend = makeBackend(factory);
+            await backend.write([["a", "1"]]);
+            factory.databases.get("test").failWrites = true;
+
+            await assert.rejects(() => backend.write([["b", "2"]]), /QuotaExceededError/);
+            assert.deepEqual(await backend.load(), [["a", "1"]]);
+        });
+
+        it("closes the connection", async function() {
+            const factory = new FakeIndexedDB();
+            const backend = makeBackend(factory);
+            await backend.load();
+            await backend.close();
+
+            assert.equal(factory.databases.get("test").closed, true);
+        });
+    });
+
+    describe("StorageBackend", function() {
+        it("writes & loads by prefix", async function() {
+            const store = new MemoryStorage([["other_list", "[]"]]);
+            const backend = new StorageBackend(store);
+
+            await backend.write([["records_list", "[1]"], ["records_detail_1", "{}"]]);
+            await backend.write([["records_detail_1", null]]);
+
+            assert.deepEqual(await backend.load("records_"), [["records_list", "[1]"]]);
+            assert.equal((await backend.load()).length, 2);
+        });
+
+        it("undoes a failed write", async function() {
+            const store = new LimitedStorage(100);
+            const backend = new StorageBackend(store);
+            await backend.write([["a", "1"]]);
+
+            await assert.rejects(() => backend.write([["a", "2"], ["b", "x".repeat(100)]]), /quota/);
+            assert.deepEqual(await backend.load(), [["a", "1"]]);
+        });
+    });
+
+    describe("EncryptedBackend", function() {
+        const options = {
+            "fields": [
+                {"name": "email", "type": "str", "index": true},
+            ],
+        };
+
+        it("encrypts the stored rows", async function() {
+            const store = new MemoryStorage();
+            const encrypted = Object.assign({"encryption": {"key": await makeKey()}}, options);
+            const table = await AsyncLocalTable.open(new StorageBackend(store), "people", encrypted);
+            await table.insert(1, {email: "jane@example.com"});
+
+            assert.ok(store.getItem("people_detail_1").startsWith("~aes-gcm~"));
+            assert.ok(store.getItem("people_index_email").startsWith("~aes-gcm~"));
+            assert.equal(store.getItem("people_list"), "[1]");
+            assert.ok(! store.entries().some(([key, value]) => value.includes("jane")));
+
+            const reopened = await AsyncLocalTable.open(new StorageBackend(store), "people", encrypted);
+            assert.deepEqual(await reopened.get(1), {id: 1, email: "jane@example.com"});
+            assert.equal((await reopened.filter({email: {"=": "jane@example.com"}})).length, 1);
+        });
+
+        it("optionally encrypts the id list & leaves the indexes readable", async function() {
+            const store = new MemoryStorage();
+            const table = await AsyncLocalTable.open(new StorageBackend(store), "people", Object.assign({
+                "encryption": {"key": await makeKey(), "encryptIds": true, "plaintextIndexes": true},
+            }, options));
+            await table.insert(1, {email: "jane@example.com"});
+
+            assert.ok(store.getItem("people_list").startsWith("~aes-gcm~"));
+            assert.ok(store.getItem("people_index_email").includes("jane@example.com"));
+            assert.ok(store.getItem("people_detail_1").startsWith("~aes-gcm~"));
+        });
+
+        it("only leaves the table's own lists & indexes readable", async function() {
+            const store = new MemoryStorage();
+            const table = await AsyncLocalTable.open(new StorageBackend(store), "saved_index_notes", Object.assign({
+                "encryption": {"key": await makeKey(), "plaintextIndexes": true},
+                "history": true,
+            }, options));
+            await table.insert("list", {email: "jane@example.com"});
+            await table.update("list", {email: "joe@example.com"});
+
+            assert.ok(store.getItem("saved_index_notes_index_email").includes("joe@example.com"));
+            assert.equal(store.getItem("saved_index_notes_list"), "[\"list\"]");
+            // Despite their names, these are a row & its history.
+            assert.ok(store.getItem("saved_index_notes_detail_list").startsWith("~aes-gcm~"));
+            assert.ok(store.getItem("saved_index_notes_history_list").startsWith("~aes-gcm~"));
+
+            // Without the table's key prefix, nothing's left readable.
+            const backend = new EncryptedBackend(new StorageBackend(store), await makeKey(), {"plaintextIndexes": true});
+            await backend.write([["people_list", "[1]"], ["people_index_email", "{}"]]);
+            assert.ok(store.getItem("people_list").startsWith("~aes-gcm~"));
+            assert.ok(store.getItem("people_index_email").startsWith("~aes-gcm~"));
+        });
+
+        it("needs an asynchronous table", async function() {
+            const encrypted = Object.assign({"encryption": {"key": await makeKey()}}, options);
+            assert.throws(() => new LocalTable(new MemoryStorage(), "people", encrypted), /must be opened with `AsyncLocalTable.open`/);
+        });
+
+        it("fails clearly with the wrong key", async function() {
+            const store = new MemoryStorage();
+            const inner = new StorageBackend(store);
+            const table = await AsyncLocalTable.open(new EncryptedBackend(inner, await makeKey()), "people", options);
+            await table.insert(1, {email: "jane@example.com"});
+            const wrongKey = await makeKey();
+
+            await assert.rejects(() => AsyncLocalTable.open(new EncryptedBackend(inner, wrongKey), "people", options), (err) => {
+                assert.ok(err instanceof DecryptionError);
+                assert.match(err.message, /Couldn't decrypt 'people_/);
+                return true;
+            });
+        });
+
+        it("notices values moved between keys", async function() {
+            const store = new MemoryStorage();
+            const backend = new EncryptedBackend(new StorageBackend(store), await makeKey());
+            await backend.write([["a_detail_1", "{\"secret\":1}"], ["a_detail_2", "{\"secret\":2}"]]);
+            store.setItem("a_detail_2", store.getItem("a_detail_1"));
+
+            await assert.rejects(() => backend.load(), /Couldn't decrypt 'a_detail_2'/);
+        });
+
+        it("rejects plaintext in place of encrypted values", async function() {
+            const store = new MemoryStorage();
+            const key = await makeKey();
+            const encrypted = Object.assign({"encryption": {"key": key}}, options);
+            const table = await AsyncLocalTable.open(new StorageBackend(store), "people", encrypted);
+            await table.insert(1, {email: "jane@example.com"});
+            store.setItem("people_detail_1", "{\"email\":\"mallory@example.com\"}");
+
+            await assert.rejects(() => AsyncLocalTable.open(new StorageBackend(store), "people", encrypted), (err) => {
+                assert.ok(err instanceof DecryptionError);
+                assert.equal(err.key, "people_detail_1");
+                return true;
+            });
+
+            // The id list is stored readable, so it's still accepted as is.
+            assert.equal(store.getItem("people_list"), "[1]");
+        });
+
+        it("encrypts an existing table in place", async function() {
+            const store = new MemoryStorage();
+            const key = await makeKey();
+            new LocalTable(store, "people", options).insert(1, {email: "jane@example.com"});
+
+            const migrating = await AsyncLocalTable.open(new StorageBackend(store), "people", Object.assign({"encryption": {"key": key, "allowPlaintext": true}}, options));
+            await migrating.rotateKey(key);
+            assert.ok(store.getItem("people_detail_1").startsWith("~aes-gcm~"));
+
+            const reopened = await AsyncLocalTable.open(new StorageBackend(store), "people", Object.assign({"encryption": {"key": key}}, options));
+            assert.equal((await reopened.get(1)).email, "jane@example.com");
+        });
+
+        it("rotates the key, encrypting any plaintext values", async function() {
+            const store = new MemoryStorage();
+            const inner = new StorageBackend(store);
+            const plain = new LocalTable(store, "people", options);
+            plain.insert(1, {email: "jane@example.com"});
+
+            const oldKey = await makeKey();
+            await assert.rejects(() => new EncryptedBackend(inner, oldKey).rotateKey(oldKey, "people_"), DecryptionError);
+            const backend = new EncryptedBackend(inner, oldKey, {"allowPlaintext": true});
+            await backend.rotateKey(oldKey, "people_");
+            assert.ok(store.getItem("people_detail_1").startsWith("~aes-gcm~"));
+
+            const newKey = await makeKey();
+            await backend.rotateKey(newKey);
+            assert.equal(backend.key, newKey);
+
+            await assert.rejects(() => new EncryptedBackend(inner, oldKey).load(), DecryptionError);
+            const table = await AsyncLocalTable.open(new EncryptedBackend(inner, newKey), "people", options);
+            assert.equal((await table.get(1)).email, "jane@example.com");
+        });
+
+        it("rotates a table's key", async function() {
+            const store = new MemoryStorage();
+            const oldKey = await makeKey();
+            const newKey = await makeKey();
+            const table = await AsyncLocalTable.open(new StorageBackend(store), "people", Object.assign({"encryption": {"key": oldKey}}, options));
+            // Not awaited, so rotating has to wait for the insert.
+            table.insert(1, {email: "jane@example.com"});
+            await table.rotateKey(newKey);
+
+            const reopened = await AsyncLocalTable.open(new StorageBackend(store), "people", Object.assign({"encryption": {"key": newKey}}, options));
+            assert.equal((await reopened.get(1)).email, "jane@example.com");
+            await assert.rejects(() => AsyncLocalTable.open(new StorageBackend(store), "people", Object.assign({"encryption": {"key": oldKey}}, options)), DecryptionError);
+
+            const plain = await AsyncLocalTable.open(new StorageBackend(new MemoryStorage()), "people", options);
+            await assert.rejects(() => plain.rotateKey(newKey), /The 'people' table isn't encrypted!/);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import assert from "assert";
+
+import {
+    compressLZ,
+    decompressLZ,
+    registerCodec,
+    getCodec,
+    encodeValue,
+    decodeValue,
+} from "../src/codecs.js";
+
+describe("codecs", function() {
+    describe("compressLZ", function() {
+        it("round-trips text", function() {
+            const samples = [
+                "",
+                "a",
+                "Hello, World!",
+                JSON.stringify([...Array(500).keys()]),
+                "日本語のテキスト 😀 & ümlauts",
+                "\ud800 an unpaired surrogate",
+            ];
+
+            for(const text of samples) {
+                assert.equal(decompressLZ(compressLZ(text)), text);
+            }
+        });
+
+        it("shrinks repetitive text into valid UTF-16", function() {
+            const text = JSON.stringify([...Array(500).keys()]);
+            const compressed = compressLZ(text);
+
+            assert.ok(compressed.length < text.length / 3);
+            assert.ok(compressed.isWellFormed());
+        });
+
+        it("rejects truncated data", function() {
+            const compressed = compressLZ("Hello, World! Hello, World!");
+            assert.throws(() => decompressLZ(compressed.slice(0, 3)), /ended unexpectedly/);
+        });
+    });
+
+    describe("registerCodec", function() {
+        const reversed = {
+            "compress": (text) => [...text].reverse().join(""),
+            "decompress": (text) => [...text].reverse().join(""),
+        };
+
+        it("adds a custom codec", function() {
+            registerCodec("codecsTestReversed", reversed);
+            assert.equal(getCodec("codecsTestReversed"), reversed);
+            assert.equal(getCodec("codecsTestMissing"), null);
+        });
+
+        it("rejects invalid codecs", function() {
+            assert.throws(() => registerCodec("lz-string", reversed), /built-in/);
+            assert.throws(() => registerCodec("a~b", reversed), /Invalid codec name/);
+            assert.throws(() => registerCodec("codecsTestBroken", {"compress": () => ""}), /needs 'compress' & 'decompress'/);
+        });
+    });
+
+    describe("encodeValue", function() {
+        it("marks compressed values", function() {
+            const text = JSON.stringify({"message": "Hello ".repeat(50)});
+            const encoded = encodeValue("lz-string", text);
+
+            assert.ok(encoded.startsWith("~lz-string~"));
+            assert.ok(encoded.length < text.length);
+            assert.equal(decodeValue(encoded), text);
+        });
+
+        it("leaves values alone if compressing doesn't help", function() {
+            assert.equal(encodeValue("lz-string", "[1]"), "[1]");
+            assert.equal(encodeValue(null, "[1,2,3,4,5,6,7,8,9,10]"), "[1,2,3,4,5,6,7,8,9,10]");
+            assert.equal(decodeValue("[1]"), "[1]");
+        });
+
+        it("fails on unknown codecs", function() {
+            assert.throws(() => encodeValue("codecsTestMissing", "[1]"), /Unknown codec 'codecsTestMissing'/);
+            assert.throws(() => decodeValue("~codecsTestMissing~abc"), /Unknown codec 'codecsTestMissing'/);
+        });
+    });
+});
@@ -0,0 +1,65 @@
+import assert from "assert";
+
+import { formatCSV, parseCSV } from "../src/csv.js";
+
+describe("csv", function() {
+    describe("formatCSV", function() {
+        it("quotes only when needed", function() {
+            const text = formatCSV([
+                ["id", "message"],
+                ["1", "plain"],
+                ["2", "a, b"],
+                ["3", "say \"hi\""],
+                ["4", "two\nlines"],
+            ]);
+
+            assert.equal(text, [
+                "id,message",
+                "1,plain",
+                "2,\"a, b\"",
+                "3,\"say \"\"hi\"\"\"",
+                "4,\"two\nlines\"",
+                "",
+            ].join("\r\n"));
+        });
+
+        it("uses the delimiter", function() {
+            assert.equal(formatCSV([["a", "b;c", "d,e"]], {"delimiter": ";"}), "a;\"b;c\";d,e\r\n");
+        });
+    });
+
+    describe("parseCSV", function() {
+        it("round-trips formatted text", function() {
+            const records = [
+                ["id", "message"],
+                ["1", "a, b"],
+                ["2", "say \"hi\"\r\nthere"],
+                ["3", ""],
+            ];
+            const parsed = parseCSV(formatCSV(records));
+
+            assert.deepEqual(parsed.map((record) => record.values), records);
+        });
+
+        it("tracks the line each record starts on", function() {
+            const parsed = parseCSV("id,message\n1,\"two\nlines\"\n\n2,hi\n");
+
+            assert.deepEqual(parsed.map((record) => record.line), [1, 2, 5]);
+        });
+
+        it("handles empty & quoted empty values", function() {
+            const parsed = parseCSV("a,,\"\"\n\"\"\n");
+
+            assert.deepEqual(parsed.map((record) => record.values), [["a", "", ""], [""]]);
+        });
+
+        it("skips a byte order mark", function() {
+            assert.deepEqual(parseCSV("﻿id\n1")[0].values, ["id"]);
+        });
+
+        it("names the line of malformed quoting", function() {
+            assert.throws(() => parseCSV("id,message\n1,\"open\n2,x"), /Unterminated quoted field starting on line 2/);
+            assert.throws(() => parseCSV("id,message\n1,\"done\"oops"), /Unexpected text after a quoted field on line 2/);
+        });
+    });
+});
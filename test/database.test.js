@@ -0,0 +1,348 @@
+import assert from "assert";
+
+import { LocalDatabase } from "../src/database.js";
+import { LocalTable } from "../src/table.js";
+import { ValidationError, IntegrityError } from "../src/errors.js";
+import { MockStorage } from "./support/storage.js";
+
+const makeDatabase = function(onDelete) {
+    const db = new LocalDatabase(new MockStorage());
+
+    db.table("projects", {
+        "fields": [
+            {"name": "name", "type": "str"},
+        ],
+    });
+    db.table("tasks", {
+        "fields": [
+            {"name": "title", "type": "str"},
+            {"name": "projectId", "type": "ref", "ref": {"table": "projects", "onDelete": onDelete}, "index": true},
+        ],
+    });
+
+    db.table("projects").insert(1, {name: "Launch"});
+    db.table("projects").insert(2, {name: "Cleanup"});
+    db.table("tasks").insert(1, {title: "Write docs", projectId: 1});
+    db.table("tasks").insert(2, {title: "Ship it", projectId: 1});
+    db.table("tasks").insert(3, {title: "Sweep", projectId: 2});
+    return db;
+};
+
+describe("LocalDatabase", function() {
+    describe("table", function() {
+        it("registers & returns the tables", function() {
+            const db = new LocalDatabase(new MockStorage());
+            const projects = db.table("projects", {"fields": []});
+
+            assert.ok(projects instanceof LocalTable);
+            assert.equal(projects.database, db);
+            assert.equal(db.table("projects"), projects);
+            assert.equal(db.hasTable("projects"), true);
+            assert.deepEqual(db.tableNames(), ["projects"]);
+            assert.throws(() => db.table("nope"), /Unknown table 'nope'/);
+            assert.throws(() => db.table("", {"fields": []}), /non-empty strings/);
+        });
+
+        it("keeps the tables' keys from clashing", function() {
+            const store = new MockStorage();
+            const db = new LocalDatabase(store);
+            const records = db.table("records", {"fields": [{"name": "message", "type": "str"}]});
+            const details = db.table("records_detail", {"fields": [{"name": "message", "type": "str"}]});
+
+            records.insert(1, {message: "Hello"});
+            details.insert(1, {message: "Goodbye"});
+
+            assert.ok(store.getItem("records_detail_1"));
+            assert.ok(store.getItem("records%5Fdetail_detail_1"));
+            assert.equal(records.get(1).message, "Hello");
+            assert.equal(details.get(1).message, "Goodbye");
+        });
+
+        it("prefixes the keys", function() {
+            const store = new MockStorage();
+            const db = new LocalDatabase(store, {"prefix": "app"});
+
+            db.table("records", {"fields": []});
+            assert.deepEqual(Object.keys(store._data), ["app:records_list"]);
+        });
+    });
+
+    describe("listTables", function() {
+        it("finds the tables in storage", function() {
+            const store = new MockStorage();
+            const db = new LocalDatabase(store, {"prefix": "app"});
+            db.table("records", {"fields": []});
+            db.table("user_data", {"fields": [{"name": "name", "type": "str"}]}).insert(1, {name: "Jane"});
+
+            // Other data & other databases are ignored.
+            store.setItem("theme", "dark");
+            new LocalDatabase(store, {"prefix": "other"}).table("things", {"fields": []});
+
+            const reopened = new LocalDatabase(store, {"prefix": "app"});
+            assert.deepEqual(reopened.listTables(), ["records", "user_data"]);
+            assert.deepEqual(reopened.tableNames(), []);
+        });
+    });
+
+    describe("dropAll", function() {
+        it("drops every table", function() {
+            const store = new MockStorage();
+            const db = new LocalDatabase(store, {"prefix": "app"});
+            const drops = [];
+            const records = db.table("records", {"fields": [{"name": "message", "type": "str", "index": true}]});
+            records.insert(1, {message: "Hello"});
+            records.on("drop", () => drops.push("records"));
+            store.setItem("theme", "dark");
+
+            // One only in storage.
+            new LocalDatabase(store, {"prefix": "app"})
+                .table("legacy", {"fields": [{"name": "name", "type": "str"}]})
+                .insert(1, {name: "Old"});
+
+            db.dropAll();
+
+            assert.deepEqual(Object.keys(store._data), ["theme"]);
+            assert.deepEqual(drops, ["records"]);
+            assert.equal(records.count(), 0);
+        });
+
+        it("leaves other data alone without a prefix", function() {
+            const store = new MockStorage();
+            const db = new LocalDatabase(store);
+            db.table("records", {"fields": [{"name": "message", "type": "str"}]}).insert(1, {message: "Hello"});
+            store.setItem("user_settings", "{}");
+            store.setItem("session_token", "abc");
+            store.setItem("records_other", "x");
+
+            assert.deepEqual(db.listTables(), ["records"]);
+            assert.deepEqual(Object.keys(db.usage().tables), ["records"]);
+
+            db.dropAll();
+            assert.deepEqual(Object.keys(store._data), ["user_settings", "session_token", "records_other"]);
+        });
+    });
+
+    describe("usage", function() {
+        it("totals the bytes used by each table", function() {
+            const store = new MockStorage();
+            const db = new LocalDatabase(store, {"prefix": "app"});
+            const records = db.table("records", {"fields": [{"name": "message", "type": "str"}]});
+            records.insert(1, {message: "Hi"});
+            db.table("tags", {"fields": []});
+            store.setItem("theme", "dark");
+
+            const usage = db.usage();
+            assert.equal(usage.tables.records, records.usage());
+            assert.equal(usage.tables.tags, db.table("tags").usage());
+            assert.equal(usage.total, records.usage() + db.table("tags").usage());
+        });
+    });
+
+    describe("referencesTo", function() {
+        it("finds the ref fields", function() {
+            const db = makeDatabase("cascade");
+            const references = db.referencesTo("projects");
+
+            assert.equal(references.length, 1);
+            assert.equal(references[0].table, db.table("tasks"));
+            assert.equal(references[0].field.name, "projectId");
+        });
+    });
+
+    describe("ref fields", function() {
+        it("validates the referenced row exists", function() {
+            const db = makeDatabase("restrict");
+
+            assert.throws(() => db.table("tasks").insert(4, {title: "Nope", projectId: 7}), (err) => {
+                assert.ok(err instanceof ValidationError);
+                assert.deepEqual(err.errors.map((error) => error.code), ["ref"]);
+                return true;
+            });
+        });
+
+        it("requires a database", function() {
+            const tasks = new LocalTable(new MockStorage(), "tasks", {
+                "fields": [
+                    {"name": "projectId", "type": "ref", "ref": {"table": "projects"}},
+                ],
+            });
+
+            assert.throws(() => tasks.insert(1, {projectId: 1}), /isn't a registered table/);
+        });
+    });
+
+    describe("onDelete", function() {
+        it("restricts deletes by default", function() {
+            const db = makeDatabase(undefined);
+
+            assert.throws(() => db.table("projects").delete(1), (err) => {
+                assert.ok(err instanceof IntegrityError);
+                assert.equal(err.referringTable, "tasks");
+                assert.equal(err.referringId, 1);
+                return true;
+            });
+            assert.throws(() => db.table("projects").drop(), IntegrityError);
+            assert.equal(db.table("projects").count(), 2);
+
+            db.table("tasks").delete(3);
+            db.table("projects").delete(2);
+            assert.equal(db.table("projects").count(), 1);
+        });
+
+        it("cascades deletes", function() {
+            const db = makeDatabase("cascade");
+
+            db.table("projects").delete(1);
+            assert.deepEqual(db.table("tasks").all().map((row) => row.id), [3]);
+
+            db.table("projects").deleteWhere({name: {"=": "Cleanup"}});
+            assert.equal(db.table("tasks").count(), 0);
+        });
+
+        it("cascades drops", function() {
+            const db = makeDatabase("cascade");
+
+            db.table("projects").drop();
+            assert.equal(db.table("tasks").count(), 0);
+        });
+
+        it("sets references to null", function() {
+            const db = makeDatabase("setNull");
+
+            db.table("projects").delete(1);
+            assert.deepEqual(
+                db.table("tasks").all().map((row) => row.projectId),
+                [null, null, 2]
+            );
+        });
+
+        it("handles cycles of cascades", function() {
+            const db = new LocalDatabase(new MockStorage());
+            const people = db.table("people", {
+                "fields": [
+                    {"name": "name", "type": "str"},
+                    {"name": "managerId", "type": "ref", "ref": {"table": "people", "onDelete": "cascade"}, "nullable": true},
+                ],
+            });
+
+            people.insert(1, {name: "Boss", managerId: null});
+            people.insert(2, {name: "Middle", managerId: 1});
+            people.insert(3, {name: "Worker", managerId: 2});
+            people.update(1, {managerId: 3});
+
+            people.delete(2);
+            assert.equal(people.count(), 0);
+        });
+
+        it("rolls back everything if a delete is restricted partway", function() {
+            const db = makeDatabase("cascade");
+            db.table("comments", {
+                "fields": [
+                    {"name": "taskId", "type": "ref", "ref": {"table": "tasks"}},
+                ],
+            });
+            db.table("comments").insert(1, {taskId: 2});
+
+            assert.throws(() => db.table("projects").delete(1), IntegrityError);
+            assert.equal(db.table("projects").count(), 2);
+            assert.equal(db.table("tasks").count(), 3);
+        });
+
+        it("deletes within the table's own transaction", function() {
+            const db = makeDatabase("cascade");
+            const projects = db.table("projects");
+
+            projects.transaction(() => {
+                projects.delete(2);
+                db.transaction(() => projects.delete(1));
+            });
+
+            assert.equal(projects.count(), 0);
+            assert.equal(db.table("tasks").count(), 0);
+        });
+
+        it("rolls back cascades with the table's transaction", function() {
+            const db = makeDatabase("cascade");
+            const projects = db.table("projects");
+
+            assert.throws(() => projects.transaction(() => {
+                projects.delete(1);
+                throw new Error("Nope");
+            }), /Nope/);
+
+            assert.equal(projects.count(), 2);
+            assert.deepEqual(db.table("tasks").all().map((row) => row.id), [1, 2, 3]);
+        });
+
+        it("rolls back nulled references with the table's transaction", function() {
+            const db = makeDatabase("setNull");
+            const projects = db.table("projects");
+
+            assert.throws(() => projects.transaction(() => {
+                projects.delete(1);
+                throw new Error("Nope");
+            }), /Nope/);
+
+            assert.equal(projects.count(), 2);
+            assert.deepEqual(db.table("tasks").all().map((row) => row.projectId), [1, 1, 2]);
+        });
+
+        it("waits until soft deleted rows are deleted for good", function() {
+            const db = new LocalDatabase(new MockStorage());
+            const projects = db.table("projects", {
+                "fields": [
+                    {"name": "name", "type": "str"},
+                ],
+                "softDelete": true,
+            });
+            const tasks = db.table("tasks", {
+                "fields": [
+                    {"name": "projectId", "type": "ref", "ref": {"table": "projects", "onDelete": "cascade"}},
+                ],
+            });
+            projects.insert(1, {name: "Launch"});
+            tasks.insert(1, {projectId: 1});
+
+            projects.delete(1);
+            assert.equal(tasks.count(), 1);
+
+            projects.restore(1);
+            projects.delete(1);
+            projects.emptyTrash();
+            assert.equal(tasks.count(), 0);
+            assert.deepEqual(projects.trashed(), []);
+        });
+    });
+
+    describe("include", function() {
+        it("attaches the referenced rows", function() {
+            const db = makeDatabase("cascade");
+            const rows = db.table("tasks").query()
+                .include("projectId")
+                .select(["title"])
+                .all();
+
+            assert.deepEqual(rows, [
+                {title: "Write docs", project: {id: 1, name: "Launch"}},
+                {title: "Ship it", project: {id: 1, name: "Launch"}},
+                {title: "Sweep", project: {id: 2, name: "Cleanup"}},
+            ]);
+        });
+
+        it("attaches the referring rows", function() {
+            const db = makeDatabase("cascade");
+            const project = db.table("projects").query()
+                .where({name: {"=": "Launch"}})
+                .include({table: "tasks", field: "projectId"})
+                .first();
+
+            assert.deepEqual(project.tasks.map((row) => row.title), ["Write docs", "Ship it"]);
+        });
+
+        it("requires a ref field", function() {
+            const db = makeDatabase("cascade");
+
+            assert.throws(() => db.table("tasks").query().include("title"), /isn't a ref field/);
+        });
+    });
+});
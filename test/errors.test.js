@@ -0,0 +1,122 @@
+import assert from "assert";
+
+import {
+    ValidationError,
+    UniqueError,
+    IntegrityError,
+    StorageFullError,
+    DecryptionError,
+    ConflictError,
+} from "../src/errors.js";
+
+describe("errors", function() {
+    describe("ValidationError", function() {
+        const errors = [
+            {"field": "email", "code": "required", "message": "Missing data for email"},
+            {"field": "age", "code": "min", "message": "'age' must be at least 13"},
+            {"field": "age", "code": "custom", "message": "Too young"},
+        ];
+
+        it("keeps the structured errors", function() {
+            const err = new ValidationError(errors);
+
+            assert.ok(err instanceof Error);
+            assert.equal(err.name, "ValidationError");
+            assert.deepEqual(err.errors, errors);
+            assert.equal(
+                err.message,
+                "Invalid data! Missing data for email, 'age' must be at least 13, Too young"
+            );
+        });
+
+        it("groups the messages by field", function() {
+            const err = new ValidationError(errors);
+
+            assert.deepEqual(err.byField(), {
+                "email": ["Missing data for email"],
+                "age": ["'age' must be at least 13", "Too young"],
+            });
+        });
+    });
+
+    describe("UniqueError", function() {
+        it("names the conflicting row", function() {
+            const err = new UniqueError(["firstName", "lastName"], ["Jane", "Doe"], 7);
+
+            assert.ok(err instanceof Error);
+            assert.equal(err.name, "UniqueError");
+            assert.deepEqual(err.fields, ["firstName", "lastName"]);
+            assert.deepEqual(err.values, ["Jane", "Doe"]);
+            assert.equal(err.conflictingId, 7);
+            assert.equal(
+                err.message,
+                `Unique constraint on 'firstName, lastName' failed! "Jane", "Doe" is already used by '7'.`
+            );
+        });
+    });
+
+    describe("IntegrityError", function() {
+        it("names the referring row", function() {
+            const err = new IntegrityError("projects", 1, "tasks", "projectId", 3);
+
+            assert.ok(err instanceof Error);
+            assert.equal(err.name, "IntegrityError");
+            assert.equal(err.table, "projects");
+            assert.equal(err.id, 1);
+            assert.equal(err.referringTable, "tasks");
+            assert.equal(err.referringField, "projectId");
+            assert.equal(err.referringId, 3);
+            assert.equal(
+                err.message,
+                "Can't delete '1' from 'projects'! It's referred to by '3' in 'tasks.projectId'."
+            );
+        });
+    });
+
+    describe("StorageFullError", function() {
+        it("wraps the storage's error", function() {
+            const cause = new DOMException("The quota has been exceeded.", "QuotaExceededError");
+            const err = new StorageFullError(["projects", "tasks"], 120, cause);
+
+            assert.ok(err instanceof Error);
+            assert.equal(err.name, "StorageFullError");
+            assert.deepEqual(err.tables, ["projects", "tasks"]);
+            assert.equal(err.bytes, 120);
+            assert.equal(err.cause, cause);
+            assert.equal(
+                err.message,
+                "Storage is full! Couldn't save 120 more bytes to 'projects', 'tasks'. (The quota has been exceeded.)"
+            );
+        });
+    });
+
+    describe("DecryptionError", function() {
+        it("names the key that failed", function() {
+            const cause = new Error("The operation failed for an operation-specific reason");
+            const err = new DecryptionError("people_detail_1", cause);
+
+            assert.ok(err instanceof Error);
+            assert.equal(err.name, "DecryptionError");
+            assert.equal(err.key, "people_detail_1");
+            assert.equal(err.cause, cause);
+            assert.equal(
+                err.message,
+                "Couldn't decrypt 'people_detail_1'! Either the key is wrong or the data was altered."
+            );
+        });
+    });
+
+    describe("ConflictError", function() {
+        it("includes both revisions", function() {
+            const err = new ConflictError("notes", 1, 2, 3);
+
+            assert.ok(err instanceof Error);
+            assert.equal(err.name, "ConflictError");
+            assert.equal(err.table, "notes");
+            assert.equal(err.id, 1);
+            assert.equal(err.expectedRevision, 2);
+            assert.equal(err.actualRevision, 3);
+            assert.equal(err.message, "Can't update '1' in 'notes'! Expected revision 2, but it's at revision 3.");
+        });
+    });
+});
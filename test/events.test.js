@@ -0,0 +1,79 @@
+import assert from "assert";
+
+import { EventEmitter } from "../src/events.js";
+
+describe("EventEmitter", function() {
+    describe("on", function() {
+        it("calls the handlers with the payload", function() {
+            const emitter = new EventEmitter();
+            const seen = [];
+
+            emitter.on("insert", (payload) => seen.push(["first", payload]));
+            emitter.on("insert", (payload) => seen.push(["second", payload]));
+            emitter.on("delete", (payload) => seen.push(["delete", payload]));
+            emitter.emit("insert", 1);
+
+            assert.deepEqual(seen, [["first", 1], ["second", 1]]);
+        });
+
+        it("returns a function to unregister", function() {
+            const emitter = new EventEmitter();
+            const seen = [];
+
+            const unregister = emitter.on("insert", (payload) => seen.push(payload));
+            emitter.emit("insert", 1);
+            unregister();
+            emitter.emit("insert", 2);
+
+            assert.deepEqual(seen, [1]);
+        });
+    });
+
+    describe("emit", function() {
+        it("keeps going if a handler fails, then re-throws", function() {
+            const emitter = new EventEmitter();
+            const seen = [];
+
+            emitter.on("insert", () => {
+                throw new Error("Nope!");
+            });
+            emitter.on("insert", (payload) => seen.push(payload));
+
+            assert.throws(() => emitter.emit("insert", 1), /Nope!/);
+            assert.deepEqual(seen, [1]);
+        });
+
+        it("passes failures to the error handlers", function() {
+            const emitter = new EventEmitter();
+            const failure = new Error("Nope!");
+            const seen = [];
+
+            emitter.on("insert", () => {
+                throw failure;
+            });
+            emitter.on("insert", (payload) => seen.push(payload));
+            emitter.on("error", (payload) => seen.push(payload));
+            emitter.emit("insert", 1);
+
+            assert.deepEqual(seen, [1, {error: failure, eventName: "insert", event: 1}]);
+        });
+
+        it("re-throws failing error handlers", function() {
+            const emitter = new EventEmitter();
+
+            emitter.on("insert", () => {
+                throw new Error("Nope!");
+            });
+            emitter.on("error", () => {
+                throw new Error("Really nope!");
+            });
+
+            assert.throws(() => emitter.emit("insert", 1), /Really nope!/);
+        });
+
+        it("ignores events without handlers", function() {
+            const emitter = new EventEmitter();
+            emitter.emit("insert", 1);
+        });
+    });
+});
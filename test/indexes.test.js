@@ -0,0 +1,95 @@
+import assert from "assert";
+
+import {
+    isIndexable,
+    compareValues,
+    addToIndex,
+    removeFromIndex,
+    indexedIds,
+    lookupIds,
+} from "../src/indexes.js";
+
+describe("indexes", function() {
+    describe("isIndexable", function() {
+        it("matches strings, numbers & booleans", function() {
+            assert.equal(isIndexable("open"), true);
+            assert.equal(isIndexable(5), true);
+            assert.equal(isIndexable(false), true);
+        });
+
+        it("doesn't match objects, nulls or NaN", function() {
+            assert.equal(isIndexable({"test": "string"}), false);
+            assert.equal(isIndexable(null), false);
+            assert.equal(isIndexable(NaN), false);
+        });
+    });
+
+    describe("compareValues", function() {
+        it("orders by type, then by value", function() {
+            assert.ok(compareValues(true, 1) < 0);
+            assert.ok(compareValues(100, "1") < 0);
+            assert.ok(compareValues(2, 10) < 0);
+            assert.ok(compareValues("b", "a") > 0);
+            assert.equal(compareValues("a", "a"), 0);
+        });
+    });
+
+    describe("addToIndex", function() {
+        it("keeps the entries sorted", function() {
+            const entries = [];
+
+            addToIndex(entries, 5, 1);
+            addToIndex(entries, 2, 2);
+            addToIndex(entries, 5, 3);
+            addToIndex(entries, 9, 4);
+
+            assert.deepEqual(entries, [[2, [2]], [5, [1, 3]], [9, [4]]]);
+        });
+
+        it("ignores unindexable values", function() {
+            const entries = [];
+
+            assert.equal(addToIndex(entries, null, 1), false);
+            assert.deepEqual(entries, []);
+        });
+    });
+
+    describe("removeFromIndex", function() {
+        it("removes ids & empty entries", function() {
+            const entries = [[2, [2]], [5, [1, 3]]];
+
+            assert.equal(removeFromIndex(entries, 5, 1), true);
+            assert.equal(removeFromIndex(entries, 2, 2), true);
+            assert.equal(removeFromIndex(entries, 2, 2), false);
+
+            assert.deepEqual(entries, [[5, [3]]]);
+        });
+    });
+
+    describe("indexedIds", function() {
+        it("collects all the ids", function() {
+            const ids = indexedIds([[2, [2]], [5, [1, 3]]]);
+            assert.deepEqual([...ids].sort(), [1, 2, 3]);
+        });
+    });
+
+    describe("lookupIds", function() {
+        const entries = [[2, [1]], [5, [2, 3]], [9, [4]], ["x", [5]]];
+
+        it("handles equality", function() {
+            assert.deepEqual([...lookupIds(entries, "=", 5)], [2, 3]);
+            assert.deepEqual([...lookupIds(entries, "!=", 5)].sort(), [1, 4, 5]);
+        });
+
+        it("handles ranges, including other types as candidates", function() {
+            assert.deepEqual([...lookupIds(entries, "<", 5)].sort(), [1, 5]);
+            assert.deepEqual([...lookupIds(entries, "<=", 5)].sort(), [1, 2, 3, 5]);
+            assert.deepEqual([...lookupIds(entries, ">", 5)].sort(), [4, 5]);
+            assert.deepEqual([...lookupIds(entries, ">=", 6)].sort(), [4, 5]);
+        });
+
+        it("can't help with unindexable values", function() {
+            assert.equal(lookupIds(entries, "=", null), null);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+import assert from "assert";
+
+import { escapeName, unescapeName, parseKey, storedSize, storageKeys } from "../src/keys.js";
+import { MockStorage } from "./support/storage.js";
+
+describe("keys", function() {
+    describe("escapeName", function() {
+        it("escapes the reserved characters", function() {
+            assert.equal(escapeName("records"), "records");
+            assert.equal(escapeName("records_detail"), "records%5Fdetail");
+            assert.equal(escapeName("app:users"), "app%3Ausers");
+            assert.equal(escapeName("100%"), "100%25");
+        });
+    });
+
+    describe("unescapeName", function() {
+        it("reverses the escaping", function() {
+            for(const name of ["records", "records_detail", "app:users", "100%", "%5F"]) {
+                assert.equal(unescapeName(escapeName(name)), name);
+            }
+        });
+    });
+
+    describe("parseKey", function() {
+        it("finds the kind of key", function() {
+            assert.deepEqual(parseKey("records", "records_list"), {kind: "list", name: null});
+            assert.deepEqual(parseKey("records", "records_revision"), {kind: "revision", name: null});
+            assert.deepEqual(parseKey("records", "records_detail_a_index_b"), {kind: "detail", name: "a_index_b"});
+            assert.deepEqual(parseKey("records", "records_history_list"), {kind: "history", name: "list"});
+            assert.deepEqual(parseKey("records", "records_history"), {kind: "history", name: null});
+            assert.deepEqual(parseKey("app:records", "app:records_unique_a%2Bb"), {kind: "unique", name: "a%2Bb"});
+        });
+
+        it("ignores other keys", function() {
+            assert.equal(parseKey("records", "users_list"), null);
+            assert.equal(parseKey("records", "records_other"), null);
+            assert.equal(parseKey("records", "records_list_detail"), null);
+            assert.equal(parseKey("records", "records"), null);
+        });
+    });
+
+    describe("storedSize", function() {
+        it("counts two bytes per character", function() {
+            assert.equal(storedSize("key", "value"), 16);
+            assert.equal(storedSize("key", null), 0);
+        });
+    });
+
+    describe("storageKeys", function() {
+        it("lists the keys", function() {
+            const store = new MockStorage();
+            store.setItem("a", "1");
+            store.setItem("b", "2");
+
+            assert.deepEqual(storageKeys(store), ["a", "b"]);
+        });
+
+        it("requires key support", function() {
+            assert.throws(() => storageKeys({length: 0}), /doesn't support listing/);
+        });
+    });
+});
@@ -0,0 +1,69 @@
+import assert from "assert";
+
+import { Migration } from "../src/migrations.js";
+
+describe("Migration", function() {
+    describe("addField", function() {
+        it("adds the default to rows without the field", function() {
+            const migration = new Migration();
+            migration.addField({"name": "loginCount", "type": "int", "default": 0});
+
+            assert.deepEqual(migration.apply({id: 1}), {id: 1, loginCount: 0});
+            assert.deepEqual(
+                migration.apply({id: 2, loginCount: 3}),
+                {id: 2, loginCount: 3}
+            );
+        });
+    });
+
+    describe("renameField", function() {
+        it("renames the field", function() {
+            const migration = new Migration();
+            migration.renameField("name", "firstName");
+
+            assert.deepEqual(
+                migration.apply({id: 1, name: "Jane"}),
+                {id: 1, firstName: "Jane"}
+            );
+        });
+    });
+
+    describe("dropField", function() {
+        it("removes the field", function() {
+            const migration = new Migration();
+            migration.dropField("legacy");
+
+            assert.deepEqual(migration.apply({id: 1, legacy: true}), {id: 1});
+        });
+    });
+
+    describe("transformField", function() {
+        it("changes the value", function() {
+            const migration = new Migration();
+            migration.transformField("createdAt", (value) => Date.parse(value));
+
+            assert.deepEqual(
+                migration.apply({id: 1, createdAt: "2021-11-24T00:00:00Z"}),
+                {id: 1, createdAt: 1637712000000}
+            );
+        });
+    });
+
+    describe("apply", function() {
+        it("runs the operations in order, without altering the row", function() {
+            const migration = new Migration()
+                .renameField("name", "firstName")
+                .transformRows((row) => {
+                    row.fullName = `${row.firstName} Doe`;
+                    return row;
+                });
+            const row = {id: 1, name: "Jane"};
+
+            assert.deepEqual(
+                migration.apply(row),
+                {id: 1, firstName: "Jane", fullName: "Jane Doe"}
+            );
+            assert.deepEqual(row, {id: 1, name: "Jane"});
+        });
+    });
+});
@@ -0,0 +1,158 @@
+import assert from "assert";
+
+import { LocalTable } from "../src/table.js";
+import { MockStorage } from "./support/storage.js";
+
+const makeTable = function(options = {}) {
+    const table = new LocalTable(new MockStorage(), "posts", Object.assign({
+        "fields": [
+            {"name": "title", "type": "str"},
+            {"name": "author", "type": "str"},
+            {"name": "createdAt", "type": "timestamp"},
+            {"name": "score", "type": "int", "required": false},
+        ],
+    }, options));
+
+    table.insert(1, {title: "First", author: "jane", createdAt: 300, score: 5});
+    table.insert(2, {title: "Second", author: "john", createdAt: 100, score: 2});
+    table.insert(3, {title: "Third", author: "jane", createdAt: 200});
+    table.insert(4, {title: "Fourth", author: "joe", createdAt: 400, score: 5});
+    table.insert(5, {title: "Fifth", author: "jane", createdAt: 500, score: 1});
+    return table;
+};
+
+const ids = (rows) => rows.map((row) => row.id);
+
+describe("Query", function() {
+    describe("where", function() {
+        it("combines filters AND-style", function() {
+            const table = makeTable();
+            const rows = table.query()
+                .where({author: {"=": "jane"}})
+                .where((row) => row.createdAt > 250)
+                .all();
+
+            assert.deepEqual(ids(rows), [1, 5]);
+        });
+
+        it("fails with an invalid lookup type", function() {
+            const table = makeTable();
+            assert.throws(() => table.query().where({author: {"~": "j"}}));
+        });
+    });
+
+    describe("orderBy", function() {
+        it("orders ascending & descending", function() {
+            const table = makeTable();
+
+            assert.deepEqual(ids(table.query().orderBy("createdAt").all()), [2, 3, 1, 4, 5]);
+            assert.deepEqual(ids(table.query().orderBy("createdAt", "desc").all()), [5, 4, 1, 3, 2]);
+        });
+
+        it("breaks ties & puts missing values last", function() {
+            const table = makeTable();
+            const rows = table.query()
+                .orderBy("score", "desc")
+                .orderBy("createdAt", "desc")
+                .all();
+
+            assert.deepEqual(ids(rows), [4, 1, 2, 5, 3]);
+        });
+
+        it("gives the same results using an index", function() {
+            const table = makeTable({"indexes": ["score", "createdAt"]});
+
+            assert.deepEqual(
+                ids(table.query().orderBy("score", "desc").orderBy("createdAt", "desc").all()),
+                [4, 1, 2, 5, 3]
+            );
+            assert.deepEqual(
+                ids(table.query().orderBy("createdAt", "desc").all()),
+                [5, 4, 1, 3, 2]
+            );
+        });
+
+        it("only narrows down the filters once using an index", function() {
+            const table = makeTable({"indexes": ["author", "createdAt"]});
+            let lookups = 0;
+            const candidateIds = table._candidateIds.bind(table);
+            table._candidateIds = (filterBy) => {
+                lookups++;
+                return candidateIds(filterBy);
+            };
+
+            const rows = table.query().where({author: {"=": "jane"}}).orderBy("createdAt").all();
+            assert.deepEqual(ids(rows), [3, 1, 5]);
+            assert.equal(lookups, 1);
+        });
+
+        it("fails with an invalid direction", function() {
+            const table = makeTable();
+            assert.throws(() => table.query().orderBy("score", "up"));
+        });
+    });
+
+    describe("offset & limit", function() {
+        it("paginates the results", function() {
+            const table = makeTable();
+            const rows = table.query().orderBy("createdAt").offset(1).limit(2).all();
+
+            assert.deepEqual(ids(rows), [3, 1]);
+        });
+
+        it("stops loading rows once the limit is reached", function() {
+            const table = makeTable({"indexes": ["createdAt"]});
+            const loaded = [];
+            const getItem = table.storage.getItem.bind(table.storage);
+            table.storage.getItem = (key) => {
+                loaded.push(key);
+                return getItem(key);
+            };
+
+            const rows = table.query().orderBy("createdAt", "desc").limit(2).all();
+
+            assert.deepEqual(ids(rows), [5, 4]);
+            assert.deepEqual(
+                loaded.filter((key) => key.startsWith("posts_detail_")),
+                ["posts_detail_5", "posts_detail_4"]
+            );
+        });
+    });
+
+    describe("select", function() {
+        it("only includes the selected fields", function() {
+            const table = makeTable();
+            const rows = table.query().where({author: {"=": "joe"}}).select(["id", "title"]).all();
+
+            assert.deepEqual(rows, [{id: 4, title: "Fourth"}]);
+        });
+    });
+
+    describe("first", function() {
+        it("returns the first row", function() {
+            const table = makeTable();
+
+            assert.equal(table.query().orderBy("createdAt").first().id, 2);
+            assert.equal(table.query().where({author: {"=": "nobody"}}).first(), null);
+        });
+    });
+
+    describe("count", function() {
+        it("counts the matched rows", function() {
+            const table = makeTable();
+
+            assert.equal(table.query().count(), 5);
+            assert.equal(table.query().where({author: {"=": "jane"}}).count(), 3);
+            assert.equal(table.query().where({author: {"=": "jane"}}).offset(1).limit(5).count(), 2);
+        });
+    });
+
+    describe("exists", function() {
+        it("checks for any matched rows", function() {
+            const table = makeTable();
+
+            assert.equal(table.query().where({score: {">": 4}}).exists(), true);
+            assert.equal(table.query().where({createdAt: {">": 500}}).exists(), false);
+        });
+    });
+});
@@ -0,0 +1,67 @@
+import assert from "assert";
+
+import { writeSnapshot, readSnapshot } from "../src/snapshots.js";
+
+const header = {"table": "records", "idField": "id", "version": null, "fields": []};
+const rows = [{"id": 1, "message": "Hello"}, {"id": 2, "message": "Goodbye"}];
+
+describe("snapshots", function() {
+    describe("writeSnapshot", function() {
+        it("writes JSON", function() {
+            const parsed = JSON.parse(writeSnapshot(header, rows, "json"));
+
+            assert.equal(parsed.format, "localtable");
+            assert.equal(parsed.formatVersion, 1);
+            assert.equal(parsed.table, "records");
+            assert.equal(parsed.count, 2);
+            assert.deepEqual(parsed.rows, rows);
+        });
+
+        it("writes NDJSON", function() {
+            const lines = writeSnapshot(header, rows, "ndjson").trim().split("\n");
+
+            assert.equal(lines.length, 3);
+            assert.equal(JSON.parse(lines[0]).count, 2);
+            assert.deepEqual(JSON.parse(lines[2]), rows[1]);
+        });
+
+        it("fails with an unknown format", function() {
+            assert.throws(() => writeSnapshot(header, rows, "xml"), /Unknown snapshot format 'xml'/);
+        });
+    });
+
+    describe("readSnapshot", function() {
+        it("reads both formats", function() {
+            for(const format of ["json", "ndjson"]) {
+                const snapshot = readSnapshot(writeSnapshot(header, rows, format));
+
+                assert.equal(snapshot.header.table, "records");
+                assert.equal(snapshot.header.rows, undefined);
+                assert.deepEqual(snapshot.rows, rows);
+            }
+        });
+
+        it("reads parsed snapshots", function() {
+            const snapshot = readSnapshot(JSON.parse(writeSnapshot(header, rows, "json")));
+            assert.deepEqual(snapshot.rows, rows);
+        });
+
+        it("names the bad line", function() {
+            const lines = writeSnapshot(header, rows, "ndjson").split("\n");
+            lines[2] = "{oops";
+
+            assert.throws(() => readSnapshot(lines.join("\n")), /Invalid JSON on line 3/);
+        });
+
+        it("rejects other data", function() {
+            assert.throws(() => readSnapshot('{"rows": []}'), /isn't a LocalTable snapshot/);
+            assert.throws(() => readSnapshot("nope"), /Invalid JSON on line 1/);
+        });
+
+        it("checks the row count", function() {
+            const lines = writeSnapshot(header, rows, "ndjson").trim().split("\n");
+
+            assert.throws(() => readSnapshot(lines.slice(0, 2).join("\n")), /should have 2 rows, but has 1/);
+        });
+    });
+});
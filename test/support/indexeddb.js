@@ -0,0 +1,111 @@
+// Just enough of IndexedDB to test `IndexedDBBackend` against.
+
+const later = (fn) => setTimeout(fn, 0);
+
+const respond = (request, fn) => {
+    later(() => {
+        request.result = fn();
+        request.onsuccess();
+    });
+    return request;
+};
+
+const inRange = (key, range) => {
+    return range === undefined || (key >= range.lower && key <= range.upper);
+};
+
+class FakeTransaction {
+    constructor(db, storeName, mode) {
+        this.db = db;
+        this.data = db.stores.get(storeName);
+        this.mode = mode;
+        this.pending = [];
+
+        later(() => {
+            if(this.mode === "readwrite" && this.db.failWrites) {
+                // Either the error to fail with, or `true` for a generic one.
+                const failure = this.db.failWrites;
+                this.error = (failure instanceof Error) ? failure : new Error("QuotaExceededError");
+                this.onerror();
+                return;
+            }
+
+            for(const [key, value] of this.pending) {
+                if(value === null) {
+                    this.data.delete(key);
+                } else {
+                    this.data.set(key, value);
+                }
+            }
+
+            if(this.oncomplete) {
+                this.oncomplete();
+            }
+        });
+    };
+
+    objectStore() {
+        const sortedKeys = (range) => [...this.data.keys()].filter((key) => inRange(key, range)).sort();
+
+        return {
+            getAllKeys: (range) => respond({}, () => sortedKeys(range)),
+            getAll: (range) => respond({}, () => sortedKeys(range).map((key) => this.data.get(key))),
+            put: (value, key) => this.pending.push([key, value]),
+            delete: (key) => this.pending.push([key, null]),
+        };
+    };
+}
+
+class FakeDatabase {
+    constructor() {
+        this.stores = new Map();
+        this.failWrites = false;
+        this.closed = false;
+    };
+
+    createObjectStore(name) {
+        this.stores.set(name, new Map());
+    };
+
+    transaction(storeName, mode) {
+        return new FakeTransaction(this, storeName, mode);
+    };
+
+    close() {
+        this.closed = true;
+    };
+}
+
+class FakeIndexedDB {
+    constructor() {
+        this.databases = new Map();
+    };
+
+    open(name) {
+        const request = {};
+
+        later(() => {
+            let db = this.databases.get(name);
+
+            request.result = db || new FakeDatabase();
+
+            if(db === undefined) {
+                this.databases.set(name, request.result);
+                request.onupgradeneeded();
+            }
+
+            request.onsuccess();
+        });
+
+        return request;
+    };
+}
+
+const FakeKeyRange = {
+    bound: (lower, upper) => ({lower, upper}),
+};
+
+export {
+    FakeIndexedDB,
+    FakeKeyRange,
+};
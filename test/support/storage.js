@@ -0,0 +1,66 @@
+class MockStorage {
+    length = 0;
+
+    constructor() {
+        this._data = {};
+    };
+
+    getItem(key) {
+        return this._data[key];
+    };
+
+    setItem(key, value) {
+        if(! this._data.hasOwnProperty(key)) {
+            this.length++;
+        }
+
+        this._data[key] = value;
+    };
+
+    removeItem(key) {
+        if(this._data.hasOwnProperty(key)) {
+            delete this._data[key];
+            this.length--;
+        }
+    };
+
+    key(index) {
+        const keys = Object.keys(this._data);
+        return (index < keys.length) ? keys[index] : null;
+    };
+
+    clear() {
+        this._data = {};
+        this.length = 0;
+    };
+};
+
+// A `MockStorage` with a quota, which (like browsers) counts two bytes per
+// character of the keys & values.
+class LimitedStorage extends MockStorage {
+    constructor(quota) {
+        super();
+        this.quota = quota;
+    };
+
+    used() {
+        return Object.entries(this._data).reduce((total, [key, value]) => {
+            return total + (key.length + value.length) * 2;
+        }, 0);
+    };
+
+    setItem(key, value) {
+        const current = this._data.hasOwnProperty(key) ? (key.length + this._data[key].length) * 2 : 0;
+
+        if(this.used() - current + (key.length + value.length) * 2 > this.quota) {
+            throw new DOMException("The quota has been exceeded.", "QuotaExceededError");
+        }
+
+        super.setItem(key, value);
+    };
+};
+
+export {
+    MockStorage,
+    LimitedStorage,
+};
@@ -1,36 +1,8 @@
 import assert from "assert";
 
 import { LocalTable } from "../src/table.js";
-
-class MockStorage {
-    length = 0;
-
-    constructor() {
-        this._data = {};
-    };
-
-    getItem(key) {
-        return this._data[key];
-    };
-
-    setItem(key, value) {
-        if(! this._data.hasOwnProperty(key)) {
-            this.length++;
-        }
-
-        this._data[key] = value;
-    };
-
-    removeItem(key) {
-        delete this._data.key;
-        this.length--;
-    };
-
-    clear() {
-        this._data = {};
-        this.length = 0;
-    };
-};
+import { ValidationError, UniqueError, StorageFullError, ConflictError } from "../src/errors.js";
+import { MockStorage, LimitedStorage } from "./support/storage.js";
 
 describe("LocalTable", function() {
     describe("constructor", function() {
@@ -105,6 +77,188 @@ describe("LocalTable", function() {
         });
     });
 
+    describe("versioning", function() {
+        it("stores the schema with a versioned table", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+                "version": 1,
+            });
+
+            assert.equal(table.version, 1);
+            assert.deepEqual(JSON.parse(store.getItem("records_meta")), {
+                "version": 1,
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+            });
+        });
+
+        it("runs newer migrations once", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "name", "type": "str"},
+                ],
+            });
+
+            table.insert(1, {name: "Jane"});
+            table.insert(2, {name: "John"});
+
+            let runs = 0;
+            const options = {
+                "fields": [
+                    {"name": "firstName", "type": "str", "index": true},
+                    {"name": "loginCount", "type": "int"},
+                ],
+                "version": 3,
+                "migrations": {
+                    2: (migration) => {
+                        runs++;
+                        migration.renameField("name", "firstName");
+                    },
+                    3: (migration) => {
+                        migration.addField({"name": "loginCount", "default": 0});
+                    },
+                },
+            };
+
+            const migrated = new LocalTable(store, "records", options);
+
+            assert.equal(runs, 1);
+            assert.deepEqual(migrated.get(1), {id: 1, firstName: "Jane", loginCount: 0});
+            assert.equal(migrated.filter({firstName: {"=": "John"}})[0].id, 2);
+            assert.equal(JSON.parse(store.getItem("records_meta")).version, 3);
+
+            new LocalTable(store, "records", options);
+            assert.equal(runs, 1);
+        });
+
+        it("rolls back when a migration fails", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "name", "type": "str"},
+                ],
+                "version": 1,
+            });
+
+            table.insert(1, {name: "Jane"});
+            table.insert(2, {name: "John"});
+
+            const before = JSON.stringify(store._data);
+
+            assert.throws(() => new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "name", "type": "str"},
+                ],
+                "version": 2,
+                "migrations": {
+                    2: (migration) => {
+                        migration.transformField("name", (value) => {
+                            if(value === "John") {
+                                throw new Error("Nope!");
+                            }
+
+                            return value.toUpperCase();
+                        });
+                    },
+                },
+            }));
+            assert.equal(JSON.stringify(store._data), before);
+
+            // Invalid rows fail the migration too.
+            assert.throws(() => new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "name", "type": "str"},
+                    {"name": "age", "type": "int"},
+                ],
+                "version": 2,
+            }));
+            assert.equal(JSON.stringify(store._data), before);
+        });
+
+        it("restores the stored rows when a write fails", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "name", "type": "str"},
+                ],
+                "version": 1,
+            });
+
+            table.insert(1, {name: "Jane"});
+            table.insert(2, {name: "John"});
+
+            const before = JSON.stringify(store._data);
+            const setItem = store.setItem.bind(store);
+            store.setItem = (key, value) => {
+                if(key === "records_detail_2") {
+                    throw new Error("QuotaExceededError");
+                }
+
+                setItem(key, value);
+            };
+
+            assert.throws(() => new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "name", "type": "str"},
+                ],
+                "version": 2,
+                "migrations": {
+                    2: (migration) => migration.transformField("name", (value) => value.toUpperCase()),
+                },
+            }));
+
+            store.setItem = setItem;
+            assert.equal(JSON.stringify(store._data), before);
+        });
+
+        it("hands the migrations the stored values, when types change", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "startsAt", "type": "str"},
+                    {"name": "count", "type": "str"},
+                ],
+                "version": 1,
+            });
+            table.insert(1, {startsAt: "2024-05-01", count: "n/a"});
+            table.insert(2, {startsAt: "2024-06-01", count: "12"});
+
+            const seen = [];
+            const migrated = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "startsAt", "type": "date"},
+                    {"name": "count", "type": "bigint"},
+                ],
+                "version": 2,
+                "migrations": {
+                    2: (migration) => {
+                        migration.transformField("startsAt", (value) => {
+                            seen.push(value);
+                            return new Date(`${value}T00:00:00Z`);
+                        });
+                        migration.transformField("count", (value) => (value === "n/a") ? 0n : BigInt(value));
+                    },
+                },
+            });
+
+            assert.deepEqual(seen, ["2024-05-01", "2024-06-01"]);
+            assert.deepEqual(migrated.get(1), {id: 1, startsAt: new Date("2024-05-01T00:00:00Z"), count: 0n});
+            assert.equal(migrated.get(2).count, 12n);
+        });
+
+        it("fails if the stored schema is newer", function() {
+            const store = new MockStorage();
+            new LocalTable(store, "records", {"fields": [], "version": 2});
+
+            assert.throws(() => new LocalTable(store, "records", {"fields": [], "version": 1}));
+        });
+    });
+
     describe("drop", function() {
         it("drops the table", function() {
             const store = new MockStorage();
@@ -281,6 +435,296 @@ describe("LocalTable", function() {
         });
     });
 
+    describe("filter lookups", function() {
+        const makeTable = function(options = {}) {
+            const table = new LocalTable(new MockStorage(), "articles", Object.assign({
+                "fields": [
+                    {"name": "title", "type": "str"},
+                    {"name": "tags", "type": "obj", "required": false},
+                    {"name": "rating", "type": "int", "nullable": true, "required": false},
+                ],
+            }, options));
+
+            table.insert(1, {title: "Hello World", tags: ["intro", "News"], rating: 3});
+            table.insert(2, {title: "Goodbye, world", tags: ["outro"], rating: null});
+            table.insert(3, {title: "Mid-season report", rating: 5});
+            table.insert(4, {title: "hello again", tags: [], rating: 1});
+            return table;
+        };
+        const matching = (table, filterBy) => table.filter(filterBy).map((row) => row.id);
+
+        it("supports in & notIn", function() {
+            const table = makeTable();
+
+            assert.deepEqual(matching(table, {rating: {"in": [1, 5]}}), [3, 4]);
+            assert.deepEqual(matching(table, {rating: {"notIn": [1, 5]}}), [1, 2]);
+        });
+
+        it("supports contains & icontains", function() {
+            const table = makeTable();
+
+            assert.deepEqual(matching(table, {title: {"contains": "World"}}), [1]);
+            assert.deepEqual(matching(table, {title: {"icontains": "world"}}), [1, 2]);
+            assert.deepEqual(
+                matching(table, {tags: {"exists": true, "contains": "outro"}}),
+                [2]
+            );
+            assert.deepEqual(
+                matching(table, {tags: {"exists": true, "icontains": "news"}}),
+                [1]
+            );
+        });
+
+        it("supports startsWith, endsWith & iexact", function() {
+            const table = makeTable();
+
+            assert.deepEqual(matching(table, {title: {"startsWith": "Hello"}}), [1]);
+            assert.deepEqual(matching(table, {title: {"endsWith": "world"}}), [2]);
+            assert.deepEqual(matching(table, {title: {"iexact": "HELLO AGAIN"}}), [4]);
+        });
+
+        it("supports regex", function() {
+            const table = makeTable();
+
+            assert.deepEqual(matching(table, {title: {"regex": "^[Hh]ello"}}), [1, 4]);
+            assert.deepEqual(matching(table, {title: {"regex": ["report$", "i"]}}), [3]);
+            assert.deepEqual(matching(table, {title: {"regex": /^good/i}}), [2]);
+        });
+
+        it("supports between", function() {
+            const table = makeTable();
+            assert.deepEqual(matching(table, {rating: {"between": [2, 5]}}), [1, 3]);
+        });
+
+        it("supports isNull & exists, including for missing fields", function() {
+            const table = makeTable();
+
+            assert.deepEqual(matching(table, {tags: {"exists": false}}), [3]);
+            assert.deepEqual(matching(table, {tags: {"exists": true}}), [1, 2, 4]);
+            assert.deepEqual(matching(table, {rating: {"isNull": true}}), [2]);
+            assert.deepEqual(matching(table, {tags: {"isNull": true}}), [3]);
+            assert.deepEqual(matching(table, {rating: {"isNull": false}}), [1, 3, 4]);
+        });
+
+        it("gives the same results using an index", function() {
+            const plain = makeTable();
+            const indexed = makeTable({"indexes": ["rating", "title"]});
+            const filters = [
+                {rating: {"in": [1, 5]}},
+                {rating: {"between": [2, 5]}},
+                {title: {"between": ["A", "I"]}},
+                {rating: {"isNull": true}},
+            ];
+
+            for(const filterBy of filters) {
+                assert.deepEqual(indexed.filter(filterBy), plain.filter(filterBy));
+            }
+        });
+
+        it("validates the lookup values", function() {
+            const table = makeTable();
+
+            assert.throws(() => table.filter({rating: {"in": 5}}), /'in' provided at 'rating': expected an array/);
+            assert.throws(() => table.filter({rating: {"between": [1]}}), /expected an array of \[low, high\]/);
+            assert.throws(() => table.filter({title: {"startsWith": 1}}), /expected a string/);
+            assert.throws(() => table.filter({title: {"exists": "yes"}}), /expected a boolean/);
+            assert.throws(() => table.filter({title: {"regex": "(unclosed"}}), /expected a valid pattern/);
+        });
+    });
+
+    describe("filter combinators", function() {
+        const makeTable = function(options = {}) {
+            const table = new LocalTable(new MockStorage(), "tickets", Object.assign({
+                "fields": [
+                    {"name": "status", "type": "str"},
+                    {"name": "assignee", "type": "str"},
+                    {"name": "priority", "type": "int"},
+                ],
+            }, options));
+
+            table.insert(1, {status: "open", assignee: "jane", priority: 1});
+            table.insert(2, {status: "closed", assignee: "me", priority: 3});
+            table.insert(3, {status: "closed", assignee: "john", priority: 2});
+            table.insert(4, {status: "open", assignee: "me", priority: 5});
+            table.insert(5, {status: "pending", assignee: "john", priority: 4});
+            return table;
+        };
+        const ids = (rows) => rows.map((row) => row.id);
+
+        it("supports $or", function() {
+            const table = makeTable();
+            const rows = table.filter({
+                $or: [
+                    {status: {"=": "open"}},
+                    {assignee: {"=": "me"}},
+                ],
+            });
+
+            assert.deepEqual(ids(rows), [1, 2, 4]);
+        });
+
+        it("supports nested $and, $or & $not", function() {
+            const table = makeTable();
+            const savedView = JSON.parse(JSON.stringify({
+                priority: {">": 1},
+                $or: [
+                    {$and: [{status: {"=": "closed"}}, {assignee: {"!=": "me"}}]},
+                    {$not: {status: {"=": "closed"}}},
+                ],
+            }));
+
+            assert.deepEqual(ids(table.filter(savedView)), [3, 4, 5]);
+        });
+
+        it("gives the same results using an index", function() {
+            const plain = makeTable();
+            const indexed = makeTable({"indexes": ["status", "assignee"]});
+            const filterBy = {
+                $or: [
+                    {status: {"=": "open"}},
+                    {$and: [{assignee: {"=": "john"}}, {priority: {">": 2}}]},
+                ],
+            };
+
+            assert.deepEqual(ids(indexed.filter(filterBy)), [1, 4, 5]);
+            assert.deepEqual(indexed.filter(filterBy), plain.filter(filterBy));
+        });
+
+        it("says where an invalid lookup is", function() {
+            const table = makeTable();
+
+            assert.throws(() => table.filter({
+                $or: [
+                    {status: {"=": "open"}},
+                    {$not: {assignee: {"~": "me"}}},
+                ],
+            }), /Invalid lookup type '~' provided at '\$or\[1\]\.\$not\.assignee'/);
+            assert.throws(() => table.filter({$or: []}), /'\$or': expected a non-empty array/);
+            assert.throws(() => table.filter({$xor: []}), /Invalid combinator '\$xor'/);
+            assert.throws(() => table.filter({status: "open"}), /'status': expected an object of lookups/);
+        });
+
+        it("validates before loading any rows", function() {
+            const table = makeTable();
+            table.delete(1);
+            table.delete(2);
+            table.delete(3);
+            table.delete(4);
+            table.delete(5);
+
+            assert.throws(() => table.filter({$not: {status: {"~": "open"}}}));
+        });
+    });
+
+    describe("indexes", function() {
+        const makeTable = function(store) {
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "firstName", "type": "str", "index": true},
+                    {"name": "loginCount", "type": "int", "default": 0},
+                ],
+                "indexes": ["loginCount"],
+            });
+
+            table.insert(1, {firstName: "John", loginCount: 5});
+            table.insert(2, {firstName: "Jane", loginCount: 2});
+            table.insert(3, {firstName: "Joe", loginCount: 10});
+            table.insert(4, {firstName: "John", loginCount: 11});
+            return table;
+        };
+
+        it("keeps the indexes in sync with writes", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+
+            assert.equal(
+                store.getItem("records_index_firstName"),
+                '[["Jane",[2]],["Joe",[3]],["John",[1,4]]]'
+            );
+
+            table.update(3, {firstName: "John"});
+            table.delete(1);
+
+            assert.equal(
+                store.getItem("records_index_firstName"),
+                '[["Jane",[2]],["John",[4,3]]]'
+            );
+
+            table.drop();
+            assert.equal(store.getItem("records_index_firstName"), undefined);
+            assert.equal(store.getItem("records_index_loginCount"), undefined);
+        });
+
+        it("only loads the rows that can match", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            const loaded = [];
+            const getItem = store.getItem.bind(store);
+            store.getItem = (key) => {
+                loaded.push(key);
+                return getItem(key);
+            };
+
+            const filtered = table.filter({
+                firstName: {"=": "John"},
+                loginCount: {">": 6},
+            });
+
+            assert.equal(filtered.length, 1);
+            assert.equal(filtered[0].id, 4);
+            assert.deepEqual(
+                loaded.filter((key) => key.startsWith("records_detail_")),
+                ["records_detail_4"]
+            );
+        });
+
+        it("matches the unindexed filtering", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            const lookups = ["=", "!=", "<", "<=", ">", ">="];
+
+            for(const comparison of lookups) {
+                const expected = table.filter((data) => {
+                    return table._defaultFiltering({loginCount: {[comparison]: 5}}, data);
+                });
+                const actual = table.filter({loginCount: {[comparison]: 5}});
+
+                assert.deepEqual(actual, expected);
+            }
+        });
+
+        it("builds indexes for existing tables", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "firstName", "type": "str"},
+                ],
+            });
+
+            table.insert(1, {firstName: "John"});
+            table.insert(2, {firstName: "Jane"});
+
+            const indexed = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "firstName", "type": "str", "index": true},
+                ],
+            });
+
+            assert.equal(
+                store.getItem("records_index_firstName"),
+                '[["Jane",[2]],["John",[1]]]'
+            );
+            assert.equal(indexed.filter({firstName: {"=": "Jane"}})[0].id, 2);
+        });
+
+        it("fails with an invalid lookup type", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+
+            assert.throws(() => table.filter({firstName: {"~": "J"}}));
+        });
+    });
+
     describe("get", function() {
         it("returns the correct row from the table", function() {
             const store = new MockStorage();
@@ -472,4 +916,2115 @@ describe("LocalTable", function() {
             assert.equal(table.count(), 4);
         });
     });
+
+    describe("bulk operations", function() {
+        const makeTable = function(store) {
+            return new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "message", "type": "str", "index": true},
+                    {"name": "views", "type": "int", "default": 0},
+                ],
+            });
+        };
+        const countWrites = function(store, key) {
+            const writes = {count: 0};
+            const setItem = store.setItem.bind(store);
+            store.setItem = (actualKey, value) => {
+                if(actualKey === key) {
+                    writes.count++;
+                }
+
+                setItem(actualKey, value);
+            };
+            return writes;
+        };
+
+        it("inserts many rows, writing the list once", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            const listWrites = countWrites(store, "records_list");
+            const indexWrites = countWrites(store, "records_index_message");
+
+            const summary = table.insertMany([
+                {id: 1, message: "Hello"},
+                {id: 2, message: "Bonjour"},
+                {id: 3, message: 3},
+                {id: 2, message: "Ohayo"},
+                {message: "No id"},
+                {id: 4, message: "Guten tag"},
+            ]);
+
+            assert.equal(summary.inserted, 3);
+            assert.equal(summary.skipped, 3);
+            assert.deepEqual(summary.errors.map((error) => error.index), [2, 3, 4]);
+            assert.deepEqual(summary.errors.map((error) => error.id), [3, 2, undefined]);
+            assert.match(summary.errors[0].error.message, /Invalid data/);
+
+            assert.equal(listWrites.count, 1);
+            assert.equal(indexWrites.count, 1);
+            assert.deepEqual(table.all().map((row) => row.id), [1, 2, 4]);
+            assert.equal(table.get(4).views, 0);
+            assert.equal(table.filter({message: {"=": "Bonjour"}})[0].id, 2);
+        });
+
+        it("skips rows that are already present", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            table.insert(1, {message: "Hello"});
+
+            const summary = table.insertMany([
+                {id: 1, message: "Hi"},
+                {id: 2, message: "Bonjour"},
+            ]);
+
+            assert.equal(summary.inserted, 1);
+            assert.equal(summary.skipped, 1);
+            assert.equal(table.get(1).message, "Hello");
+        });
+
+        it("upserts many rows", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            table.insert(1, {message: "Hello", views: 5});
+
+            const summary = table.upsertMany([
+                {id: 1, message: "Hi"},
+                {id: 2, message: "Bonjour"},
+                {id: 3, views: 2},
+            ]);
+
+            assert.equal(summary.inserted, 1);
+            assert.equal(summary.updated, 1);
+            assert.equal(summary.skipped, 1);
+            assert.deepEqual(table.get(1), {id: 1, message: "Hi", views: 5});
+            assert.deepEqual(table.filter({message: {"=": "Hello"}}), []);
+        });
+
+        it("updates the rows matching a filter", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            table.insert(1, {message: "Hello", views: 5});
+            table.insert(2, {message: "Bonjour", views: 1});
+            table.insert(3, {message: "Ohayo", views: 7});
+
+            const summary = table.updateWhere({views: {">": 4}}, {message: "Popular"});
+
+            assert.equal(summary.updated, 2);
+            assert.equal(summary.skipped, 0);
+            assert.deepEqual(
+                table.filter({message: {"=": "Popular"}}).map((row) => row.id),
+                [1, 3]
+            );
+            assert.equal(table.get(3).views, 7);
+
+            const failed = table.updateWhere({views: {">": 4}}, {views: "many"});
+            assert.equal(failed.updated, 0);
+            assert.equal(failed.skipped, 2);
+        });
+
+        it("deletes the rows matching a filter", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            table.insert(1, {message: "Hello", views: 5});
+            table.insert(2, {message: "Bonjour", views: 1});
+            table.insert(3, {message: "Ohayo", views: 7});
+
+            const listWrites = countWrites(store, "records_list");
+            const summary = table.deleteWhere({views: {">": 4}});
+
+            assert.equal(summary.deleted, 2);
+            assert.equal(listWrites.count, 1);
+            assert.deepEqual(table.all().map((row) => row.id), [2]);
+            assert.equal(store.getItem("records_detail_1"), undefined);
+            assert.equal(store.getItem("records_index_message"), '[["Bonjour",[2]]]');
+        });
+
+        it("writes nothing if the storage fails", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            table.insert(1, {message: "Hello"});
+
+            const before = JSON.stringify(store._data);
+            const setItem = store.setItem.bind(store);
+            store.setItem = (key, value) => {
+                if(key === "records_list") {
+                    throw new Error("QuotaExceededError");
+                }
+
+                setItem(key, value);
+            };
+
+            assert.throws(() => table.insertMany([
+                {id: 2, message: "Bonjour"},
+                {id: 3, message: "Ohayo"},
+            ]), /QuotaExceededError/);
+
+            store.setItem = setItem;
+            assert.equal(JSON.stringify(store._data), before);
+            assert.equal(table.count(), 1);
+        });
+    });
+
+    describe("primary keys", function() {
+        it("generates autoincrementing ids", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+                "primaryKey": {"strategy": "autoincrement"},
+            });
+
+            assert.equal(table.insert({message: "Hello"}), 1);
+            assert.equal(table.insert({message: "Bonjour"}), 2);
+
+            // Explicit ids still work & get skipped past.
+            assert.equal(table.insert(3, {message: "Ohayo"}), 3);
+            assert.equal(table.insert({message: "Guten tag"}), 4);
+            assert.equal(store.getItem("records_sequence"), "4");
+
+            const summary = table.insertMany([{message: "Hola"}, {id: 10, message: "Ciao"}]);
+            assert.deepEqual(summary.ids, [5, 10]);
+
+            assert.equal(table.get(2).message, "Bonjour");
+            assert.equal(table.count(), 6);
+        });
+
+        it("shares the sequence between instances", function() {
+            const store = new MockStorage();
+            const options = {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+                "primaryKey": {"strategy": "autoincrement"},
+            };
+            const first = new LocalTable(store, "records", options);
+            const second = new LocalTable(store, "records", options);
+
+            assert.equal(first.insert({message: "Hello"}), 1);
+            assert.equal(second.insert({message: "Bonjour"}), 2);
+        });
+
+        it("keeps the id given in the data", function() {
+            const table = new LocalTable(new MockStorage(), "records", {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+                "primaryKey": {"strategy": "autoincrement"},
+            });
+
+            assert.equal(table.insert({id: 50, message: "Hello"}), 50);
+            assert.equal(table.get(50).message, "Hello");
+            assert.equal(table.insert({message: "Bonjour"}), 51);
+
+            // No strategy is needed when the data carries its id.
+            const plain = new LocalTable(new MockStorage(), "records", {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+            });
+            assert.equal(plain.insert({id: 7, message: "Hola"}), 7);
+            assert.equal(plain.get(7).message, "Hola");
+        });
+
+        it("continues from the existing ids", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+            });
+
+            table.insert(7, {message: "Hello"});
+
+            const sequenced = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+                "primaryKey": {"strategy": "autoincrement"},
+            });
+
+            assert.equal(sequenced.insert({message: "Bonjour"}), 8);
+        });
+
+        it("generates UUIDs", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+                "primaryKey": {"strategy": "uuid"},
+            });
+
+            const id = table.insert({message: "Hello"});
+
+            assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+            assert.equal(table.get(id).message, "Hello");
+        });
+
+        it("generates ids with a custom function", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+                "primaryKey": {"strategy": (records) => `msg-${records.count() + 100}`},
+            });
+
+            assert.equal(table.insert({message: "Hello"}), "msg-100");
+        });
+
+        it("requires an id without a strategy", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+            });
+
+            assert.throws(() => table.insert({message: "Hello"}), /Missing data for id/);
+            assert.equal(table.insertMany([{message: "Hello"}]).skipped, 1);
+        });
+
+        it("uses a custom id field", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+                "idField": "slug",
+            });
+
+            table.insertMany([{slug: "hello", message: "Hello"}]);
+
+            assert.equal(table.idField, "slug");
+            assert.deepEqual(table.get("hello"), {slug: "hello", message: "Hello"});
+            assert.equal(store.getItem("records_detail_hello"), '{"message":"Hello"}');
+        });
+    });
+
+    describe("events", function() {
+        const makeTable = function(store) {
+            return new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+            });
+        };
+
+        it("emits events for writes", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            const seen = [];
+
+            table.on("change", (event) => seen.push([event.type, event.id, event.before, event.after]));
+
+            table.insert(1, {message: "Hello"});
+            table.update(1, {message: "Hi"});
+            table.delete(1);
+            table.delete(1);
+            table.drop();
+
+            assert.deepEqual(seen, [
+                ["insert", 1, null, {id: 1, message: "Hello"}],
+                ["update", 1, {id: 1, message: "Hello"}, {id: 1, message: "Hi"}],
+                ["delete", 1, {id: 1, message: "Hi"}, null],
+                ["drop", undefined, undefined, undefined],
+            ]);
+        });
+
+        it("reports failing handlers once the write is kept", function() {
+            const table = makeTable(new MockStorage());
+            const seen = [];
+
+            table.on("insert", () => {
+                throw new Error("Nope!");
+            });
+            table.on("change", (event) => seen.push(event.type));
+
+            assert.throws(() => table.insert(1, {message: "Hello"}), /Nope!/);
+            assert.deepEqual(seen, ["insert"]);
+            assert.equal(table.get(1).message, "Hello");
+
+            table.on("error", (failure) => seen.push([failure.error.message, failure.eventName, failure.event.id]));
+            table.insert(2, {message: "Bye"});
+            assert.deepEqual(seen, ["insert", ["Nope!", "insert", 2], "insert"]);
+        });
+
+        it("only calls handlers for their event type", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            const seen = [];
+
+            const unregister = table.on("update", (event) => seen.push(event.after.message));
+            table.insert(1, {message: "Hello"});
+            table.update(1, {message: "Hi"});
+            unregister();
+            table.update(1, {message: "Hey"});
+
+            assert.deepEqual(seen, ["Hi"]);
+            assert.throws(() => table.on("explode", () => {}), /Invalid event type/);
+        });
+
+        it("waits for transactions to commit", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            const seen = [];
+
+            table.on("insert", (event) => seen.push(event.id));
+
+            table.transaction(() => {
+                table.insert(1, {message: "Hello"});
+                table.insert(2, {message: "Bonjour"});
+                assert.deepEqual(seen, []);
+            });
+            assert.deepEqual(seen, [1, 2]);
+
+            assert.throws(() => table.transaction(() => {
+                table.insert(3, {message: "Ohayo"});
+                throw new Error("Nope!");
+            }));
+            assert.deepEqual(seen, [1, 2]);
+
+            table.insertMany([{id: 4, message: "Hola"}]);
+            assert.deepEqual(seen, [1, 2, 4]);
+        });
+
+        it("watches a live query", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            const results = [];
+
+            table.insert(1, {message: "Hello"});
+
+            const stop = table.watch({message: {"startsWith": "H"}}, (rows) => {
+                results.push(rows.map((row) => row.id));
+            });
+
+            table.insert(2, {message: "Bonjour"});
+            table.insert(3, {message: "Hola"});
+            table.update(1, {message: "Goodbye"});
+            table.update(2, {message: "Bye"});
+            table.drop();
+            stop();
+            table.insert(4, {message: "Hi"});
+
+            assert.deepEqual(results, [[1], [1, 3], [3], []]);
+        });
+    });
+
+    describe("sync", function() {
+        class FakeWindow {
+            constructor() {
+                this.listeners = [];
+            };
+
+            addEventListener(eventType, listener) {
+                assert.equal(eventType, "storage");
+                this.listeners.push(listener);
+            };
+
+            removeEventListener(eventType, listener) {
+                this.listeners = this.listeners.filter((current) => current !== listener);
+            };
+        };
+
+        // Writes through one table, dispatching `storage` events like the
+        // browser does for other tabs.
+        const writeFromOtherTab = function(store, fakeWindow, fn) {
+            const events = [];
+            const setItem = store.setItem.bind(store);
+            const removeItem = store.removeItem.bind(store);
+
+            store.setItem = (key, value) => {
+                events.push({key: key, oldValue: store.getItem(key) || null, newValue: value, storageArea: store});
+                setItem(key, value);
+            };
+            store.removeItem = (key) => {
+                events.push({key: key, oldValue: store.getItem(key) || null, newValue: null, storageArea: store});
+                removeItem(key);
+            };
+
+            try {
+                fn();
+            } finally {
+                store.setItem = setItem;
+                store.removeItem = removeItem;
+            }
+
+            for(const event of events) {
+                fakeWindow.listeners.forEach((listener) => listener(event));
+            }
+        };
+
+        const options = (fakeWindow) => {
+            return {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+                "sync": fakeWindow,
+            };
+        };
+
+        it("keeps the cached ids up to date", function() {
+            const store = new MockStorage();
+            const fakeWindow = new FakeWindow();
+            const thisTab = new LocalTable(store, "records", options(fakeWindow));
+            thisTab.insert(1, {message: "Hello"});
+
+            const otherTab = new LocalTable(store, "records", options(new FakeWindow()));
+
+            writeFromOtherTab(store, fakeWindow, () => {
+                otherTab.insert(2, {message: "Bonjour"});
+            });
+
+            // Without the sync, this would overwrite the list with `[1, 3]`.
+            thisTab.insert(3, {message: "Ohayo"});
+
+            const fresh = new LocalTable(store, "records", options(new FakeWindow()));
+            assert.deepEqual(fresh.all().map((row) => row.id), [1, 2, 3]);
+        });
+
+        it("re-emits the changes", function() {
+            const store = new MockStorage();
+            const fakeWindow = new FakeWindow();
+            const thisTab = new LocalTable(store, "records", options(fakeWindow));
+            const otherTab = new LocalTable(store, "records", options(new FakeWindow()));
+            const seen = [];
+
+            thisTab.on("change", (event) => {
+                seen.push([event.type, event.id, event.before, event.after, event.remote]);
+            });
+
+            writeFromOtherTab(store, fakeWindow, () => {
+                otherTab.insert(1, {message: "Hello"});
+                otherTab.insert("x", {message: "Ex"});
+                otherTab.update(1, {message: "Hi"});
+                otherTab.delete(1);
+            });
+            writeFromOtherTab(store, fakeWindow, () => otherTab.drop());
+
+            assert.deepEqual(seen, [
+                ["insert", 1, null, {id: 1, message: "Hello"}, true],
+                ["insert", "x", null, {id: "x", message: "Ex"}, true],
+                ["update", 1, {id: 1, message: "Hello"}, {id: 1, message: "Hi"}, true],
+                ["delete", 1, {id: 1, message: "Hi"}, null, true],
+                ["delete", "x", {id: "x", message: "Ex"}, null, true],
+                ["drop", undefined, undefined, undefined, true],
+            ]);
+
+            // Handling the drop doesn't recreate the table.
+            assert.equal(store.getItem("records_list"), undefined);
+        });
+
+        it("ignores other tables & storage areas", function() {
+            const store = new MockStorage();
+            const fakeWindow = new FakeWindow();
+            const thisTab = new LocalTable(store, "records", options(fakeWindow));
+            const seen = [];
+
+            thisTab.on("change", (event) => seen.push(event));
+
+            fakeWindow.listeners.forEach((listener) => {
+                listener({key: "notes_detail_1", oldValue: null, newValue: "{}", storageArea: store});
+                listener({key: "records_detail_1", oldValue: null, newValue: "{}", storageArea: new MockStorage()});
+            });
+
+            assert.deepEqual(seen, []);
+        });
+
+        it("ignores tables whose names start with its own", function() {
+            const store = new MockStorage();
+            const fakeWindow = new FakeWindow();
+            const records = new LocalTable(store, "records", options(fakeWindow));
+            const details = new LocalTable(store, "records_detail", options(fakeWindow));
+            const otherTab = new LocalTable(store, "records_detail", options(new FakeWindow()));
+            const seen = [];
+
+            records.on("change", (event) => seen.push(["records", event.type, event.id]));
+            details.on("change", (event) => seen.push(["details", event.type, event.id]));
+            records.insert(1, {message: "Hello"});
+
+            writeFromOtherTab(store, fakeWindow, () => {
+                otherTab.insert(5, {message: "Bonjour"});
+                otherTab.delete(5);
+            });
+
+            assert.deepEqual(seen, [
+                ["records", "insert", 1],
+                ["details", "insert", 5],
+                ["details", "delete", 5],
+            ]);
+            assert.deepEqual(records.all(), [{id: 1, message: "Hello"}]);
+        });
+
+        it("stops listening once closed", function() {
+            const fakeWindow = new FakeWindow();
+            const table = new LocalTable(new MockStorage(), "records", options(fakeWindow));
+
+            assert.equal(fakeWindow.listeners.length, 1);
+            table.close();
+            assert.equal(fakeWindow.listeners.length, 0);
+        });
+    });
+
+    describe("constraints", function() {
+        const makeTable = function() {
+            return new LocalTable(new MockStorage(), "users", {
+                "fields": [
+                    {"name": "username", "type": "str", "minLength": 3, "maxLength": 8, "pattern": "^[a-z]+$"},
+                    {"name": "age", "type": "int", "min": 13, "max": 120},
+                    {"name": "role", "type": "str", "choices": ["admin", "member"], "default": "member"},
+                    {"name": "nickname", "type": "str", "nullable": true, "required": false},
+                    {"name": "tags", "type": "obj", "nullable": false, "maxLength": 2, "required": false},
+                    {
+                        "name": "password",
+                        "type": "str",
+                        "validate": (value, row) => {
+                            if(value.includes(row.username)) {
+                                return "Password can't contain the username";
+                            }
+
+                            return value.length >= 8;
+                        },
+                    },
+                ],
+            });
+        };
+        const codes = (fn) => {
+            try {
+                fn();
+            } catch (err) {
+                assert.ok(err instanceof ValidationError);
+                return err.errors.map((error) => `${error.field}:${error.code}`);
+            }
+
+            assert.fail("Didn't fail to validate!");
+        };
+
+        it("accepts valid data", function() {
+            const table = makeTable();
+
+            table.insert(1, {username: "jane", age: 30, nickname: null, tags: ["a"], password: "correct horse"});
+            assert.equal(table.get(1).role, "member");
+        });
+
+        it("checks lengths, ranges & patterns", function() {
+            const table = makeTable();
+
+            assert.deepEqual(
+                codes(() => table.insert(1, {username: "jo", age: 12, password: "correct horse"})),
+                ["username:min_length", "age:min"]
+            );
+            assert.deepEqual(
+                codes(() => table.insert(1, {username: "Josephine", age: 121, password: "correct horse"})),
+                ["username:max_length", "username:pattern", "age:max"]
+            );
+            assert.deepEqual(
+                codes(() => table.insert(1, {username: "jane", age: 30, tags: [1, 2, 3], password: "correct horse"})),
+                ["tags:max_length"]
+            );
+        });
+
+        it("checks choices & nulls", function() {
+            const table = makeTable();
+
+            assert.deepEqual(
+                codes(() => table.insert(1, {username: "jane", age: 30, role: "owner", tags: null, password: "correct horse"})),
+                ["role:choices", "tags:null"]
+            );
+        });
+
+        it("runs the custom validators", function() {
+            const table = makeTable();
+
+            assert.deepEqual(
+                codes(() => table.insert(1, {username: "jane", age: 30, password: "jane1234"})),
+                ["password:custom"]
+            );
+            assert.deepEqual(
+                codes(() => table.insert(1, {username: "jane", age: 30, password: "short"})),
+                ["password:custom"]
+            );
+        });
+
+        it("reports structured errors for updates & missing fields", function() {
+            const table = makeTable();
+            table.insert(1, {username: "jane", age: 30, password: "correct horse"});
+
+            try {
+                table.update(1, {age: 5});
+                assert.fail("Didn't fail to validate!");
+            } catch (err) {
+                assert.ok(err instanceof ValidationError);
+                assert.deepEqual(err.errors, [
+                    {"field": "age", "code": "min", "message": "'age' must be at least 13"},
+                ]);
+            }
+
+            assert.deepEqual(codes(() => table.insert(2, {username: "john"})), ["age:required", "password:required"]);
+        });
+    });
+
+    describe("unique constraints", function() {
+        const makeTable = function(store) {
+            return new LocalTable(store, "users", {
+                "fields": [
+                    {"name": "email", "type": "str", "unique": true},
+                    {"name": "firstName", "type": "str"},
+                    {"name": "lastName", "type": "str"},
+                    {"name": "slug", "type": "str", "nullable": true, "required": false},
+                ],
+                "unique": [["firstName", "lastName"], "slug"],
+            });
+        };
+        const conflict = (fn) => {
+            try {
+                fn();
+            } catch (err) {
+                assert.ok(err instanceof UniqueError);
+                return [err.fields, err.conflictingId];
+            }
+
+            assert.fail("Didn't conflict!");
+        };
+
+        it("rejects duplicate values on insert", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            table.insert(1, {email: "jane@example.com", firstName: "Jane", lastName: "Doe"});
+
+            assert.deepEqual(
+                conflict(() => table.insert(2, {email: "jane@example.com", firstName: "Janet", lastName: "Doe"})),
+                [["email"], 1]
+            );
+            assert.deepEqual(
+                conflict(() => table.insert(2, {email: "other@example.com", firstName: "Jane", lastName: "Doe"})),
+                [["firstName", "lastName"], 1]
+            );
+            assert.equal(table.count(), 1);
+
+            table.insert(2, {email: "john@example.com", firstName: "John", lastName: "Doe"});
+            assert.equal(table.count(), 2);
+        });
+
+        it("doesn't constrain missing or null values", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+
+            table.insert(1, {email: "jane@example.com", firstName: "Jane", lastName: "Doe", slug: null});
+            table.insert(2, {email: "john@example.com", firstName: "John", lastName: "Doe", slug: null});
+            table.insert(3, {email: "joe@example.com", firstName: "Joe", lastName: "Doe"});
+
+            assert.equal(table.count(), 3);
+        });
+
+        it("checks updates & frees old values", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            table.insert(1, {email: "jane@example.com", firstName: "Jane", lastName: "Doe"});
+            table.insert(2, {email: "john@example.com", firstName: "John", lastName: "Doe"});
+
+            // Updating a row with its own values is fine.
+            table.update(1, {email: "jane@example.com"});
+
+            assert.deepEqual(
+                conflict(() => table.update(2, {email: "jane@example.com"})),
+                [["email"], 1]
+            );
+
+            table.update(1, {email: "jane.doe@example.com"});
+            table.update(2, {email: "jane@example.com"});
+            table.delete(2);
+            table.insert(3, {email: "jane@example.com", firstName: "John", lastName: "Doe"});
+
+            assert.deepEqual(JSON.parse(store.getItem("users_unique_email")), {
+                '["jane.doe@example.com"]': 1,
+                '["jane@example.com"]': 3,
+            });
+        });
+
+        it("checks the rows within a batch", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            table.insert(1, {email: "jane@example.com", firstName: "Jane", lastName: "Doe"});
+
+            const summary = table.insertMany([
+                {id: 2, email: "jane@example.com", firstName: "Janet", lastName: "Doe"},
+                {id: 3, email: "john@example.com", firstName: "John", lastName: "Doe"},
+                {id: 4, email: "john@example.com", firstName: "Johnny", lastName: "Doe"},
+            ]);
+
+            assert.equal(summary.inserted, 1);
+            assert.equal(summary.skipped, 2);
+            assert.equal(summary.errors[0].error.conflictingId, 1);
+            assert.equal(summary.errors[1].error.conflictingId, 3);
+
+            const updated = table.updateWhere({lastName: {"=": "Doe"}}, {slug: "doe"});
+            assert.equal(updated.updated, 1);
+            assert.equal(updated.skipped, 1);
+        });
+
+        it("only claims a batch row's values once it passes", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            table.insert(1, {email: "jane@example.com", firstName: "Jane", lastName: "Doe"});
+
+            // The first row clashes on its name, so shouldn't hold its email.
+            const summary = table.insertMany([
+                {id: 2, email: "john@example.com", firstName: "Jane", lastName: "Doe"},
+                {id: 3, email: "john@example.com", firstName: "John", lastName: "Doe"},
+            ]);
+
+            assert.deepEqual(summary.ids, [3]);
+            assert.deepEqual(summary.errors.map((error) => error.index), [0]);
+            assert.deepEqual(summary.errors[0].error.fields, ["firstName", "lastName"]);
+        });
+
+        it("swaps values within a batch", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            table.insert(1, {email: "jane@example.com", firstName: "Jane", lastName: "Doe"});
+            table.insert(2, {email: "john@example.com", firstName: "John", lastName: "Doe"});
+
+            const summary = table.upsertMany([
+                {id: 1, email: "john@example.com"},
+                {id: 2, email: "jane@example.com"},
+            ]);
+
+            assert.equal(summary.updated, 2);
+            assert.equal(table.get(1).email, "john@example.com");
+            assert.equal(table.get(2).email, "jane@example.com");
+            assert.deepEqual(JSON.parse(store.getItem("users_unique_email")), {
+                '["john@example.com"]': 1,
+                '["jane@example.com"]': 2,
+            });
+
+            // But not when the other row keeps its value, or fails.
+            const clashing = table.upsertMany([
+                {id: 1, email: "jane@example.com"},
+                {id: 2, firstName: "Janet"},
+            ]);
+            assert.deepEqual(clashing.ids, [2]);
+            assert.equal(clashing.errors[0].error.conflictingId, 2);
+
+            const failing = table.upsertMany([
+                {id: 1, email: "jane@example.com"},
+                {id: 2, email: "john@example.com", firstName: 5},
+            ]);
+            assert.deepEqual(failing.ids, []);
+            assert.equal(failing.skipped, 2);
+            assert.equal(table.get(1).email, "john@example.com");
+        });
+
+        it("keeps the lookups for similar names apart", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "pairs", {
+                "fields": [
+                    {"name": "a", "type": "str"},
+                    {"name": "b", "type": "str"},
+                    {"name": "a+b", "type": "str"},
+                ],
+                "unique": [["a", "b"], ["a+b"]],
+            });
+            table.insert(1, {"a": "x", "b": "y", "a+b": "z"});
+
+            assert.ok(store.getItem("pairs_unique_a+b"));
+            assert.ok(store.getItem("pairs_unique_a%2Bb"));
+            table.insert(2, {"a": "x", "b": "z", "a+b": "y"});
+            assert.throws(() => table.insert(3, {"a": "w", "b": "w", "a+b": "z"}), UniqueError);
+        });
+
+        it("builds the lookups for existing tables", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "users", {
+                "fields": [
+                    {"name": "email", "type": "str"},
+                ],
+            });
+            table.insert(1, {email: "jane@example.com"});
+
+            const constrained = new LocalTable(store, "users", {
+                "fields": [
+                    {"name": "email", "type": "str", "unique": true},
+                ],
+            });
+
+            assert.throws(() => constrained.insert(2, {email: "jane@example.com"}), UniqueError);
+        });
+    });
+
+    describe("keyPrefix", function() {
+        it("namespaces the keys", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "message", "type": "str", "index": true},
+                ],
+                "keyPrefix": "app:records",
+            });
+            table.insert(1, {message: "Hello"});
+
+            assert.deepEqual(Object.keys(store._data).sort(), [
+                "app:records_detail_1",
+                "app:records_index_message",
+                "app:records_list",
+            ]);
+        });
+    });
+
+    describe("usage", function() {
+        it("counts the bytes of the table's keys & values", function() {
+            const store = new MockStorage();
+            const table = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+            });
+            store.setItem("other", "ignored");
+
+            // "records_list" + "[]"
+            assert.equal(table.usage(), (12 + 2) * 2);
+
+            table.insert(1, {message: "Hi"});
+            // "records_list" + "[1]", "records_detail_1" + '{"message":"Hi"}'
+            assert.equal(table.usage(), (12 + 3 + 16 + 16) * 2);
+        });
+    });
+
+    describe("storage quotas", function() {
+        const makeTable = function(store, options = {}) {
+            return new LocalTable(store, "records", Object.assign({
+                "fields": [
+                    {"name": "message", "type": "str", "index": true},
+                    {"name": "savedAt", "type": "timestamp"},
+                ],
+            }, options));
+        };
+
+        it("leaves the table consistent if an insert doesn't fit", function() {
+            const store = new LimitedStorage(400);
+            const table = makeTable(store);
+            table.insert(1, {message: "Hello", savedAt: 1});
+
+            const before = JSON.stringify(store._data);
+
+            assert.throws(() => table.insert(2, {message: "x".repeat(200), savedAt: 2}), StorageFullError);
+            assert.throws(() => table.update(1, {message: "x".repeat(200)}), StorageFullError);
+
+            assert.equal(JSON.stringify(store._data), before);
+            assert.deepEqual(table.all().map((row) => row.id), [1]);
+            assert.equal(table.get(1).message, "Hello");
+            assert.equal(table.filter({message: {"=": "Hello"}}).length, 1);
+        });
+
+        it("summarizes the table's size", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            table.insert(1, {message: "Hi", savedAt: 1});
+            table.insert(2, {message: "Hello there", savedAt: 2});
+            table.insert(3, {message: "Hey", savedAt: 3});
+
+            const stats = table.stats({largest: 2});
+
+            assert.equal(stats.rows, 3);
+            assert.equal(stats.bytes, table.usage());
+            // "records_detail_2" + '{"message":"Hello there","savedAt":2}'
+            assert.deepEqual(stats.largestRows, [
+                {id: 2, bytes: (16 + 37) * 2},
+                {id: 3, bytes: (16 + 29) * 2},
+            ]);
+            assert.equal(table.stats().largestRows.length, 3);
+        });
+
+        it("evicts the oldest rows to make room", function() {
+            const store = new LimitedStorage(700);
+            const table = makeTable(store, {
+                "eviction": {"field": "savedAt"},
+            });
+
+            table.insert(1, {message: "First", savedAt: 30});
+            table.insert(2, {message: "Second", savedAt: 10});
+            table.insert(3, {message: "Third", savedAt: 20});
+
+            const deleted = [];
+            table.on("delete", (event) => deleted.push(event.id));
+            table.insert(4, {message: "x".repeat(60), savedAt: 40});
+
+            assert.ok(table.exists(4));
+            assert.equal(deleted[0], 2);
+            assert.deepEqual(table.all().map((row) => row.id), table.filter({message: {"exists": true}}).map((row) => row.id));
+            assert.ok(store.used() <= 700);
+        });
+
+        it("evicts the least recently used rows", function() {
+            const store = new LimitedStorage(700);
+            const table = makeTable(store, {
+                "eviction": {"field": "savedAt", "strategy": "lru"},
+            });
+            const now = Date.now;
+            let clock = 100;
+            Date.now = () => clock++;
+
+            try {
+                table.insert(1, {message: "First"});
+                table.insert(2, {message: "Second", savedAt: 1});
+                table.insert(3, {message: "Third"});
+                assert.equal(table._getRow(2).savedAt, 101);
+
+                // Fetching a row marks it as used, without any events.
+                const updates = [];
+                table.on("update", (event) => updates.push(event));
+                assert.equal(table.get(1).savedAt, 103);
+                assert.equal(table._getRow(1).savedAt, 103);
+                assert.equal(updates.length, 0);
+
+                table.insert(4, {message: "x".repeat(60)});
+            } finally {
+                Date.now = now;
+            }
+
+            assert.ok(table.exists(4));
+            assert.ok(table.exists(1));
+            assert.ok(! table.exists(2));
+        });
+
+        it("gives up once there's nothing left to evict", function() {
+            const store = new LimitedStorage(300);
+            const table = makeTable(store, {
+                "eviction": {"field": "savedAt", "batch": 2},
+            });
+            table.insert(1, {message: "Hello", savedAt: 1});
+
+            assert.throws(() => table.insert(2, {message: "x".repeat(200), savedAt: 2}), StorageFullError);
+            assert.equal(table.count(), 0);
+        });
+
+        it("requires a valid eviction policy", function() {
+            assert.throws(() => makeTable(new MockStorage(), {"eviction": {}}), /needs a field/);
+            assert.throws(() => makeTable(new MockStorage(), {
+                "eviction": {"field": "savedAt", "strategy": "random"},
+            }), /Invalid eviction strategy 'random'/);
+        });
+    });
+
+    describe("expiry", function() {
+        const makeTable = function(store, clock, options = {}) {
+            return new LocalTable(store, "responses", Object.assign({
+                "fields": [
+                    {"name": "url", "type": "str", "index": true},
+                    {"name": "expiresAt", "type": "timestamp", "required": false, "nullable": true},
+                ],
+                "unique": [["url"]],
+                "ttl": 1000,
+                "clock": () => clock.now,
+            }, options));
+        };
+
+        it("stamps rows with when they expire", function() {
+            const clock = {now: 5000};
+            const table = makeTable(new MockStorage(), clock);
+
+            table.insert(1, {url: "/a"});
+            table.insert(2, {url: "/b", expiresAt: 9000});
+            assert.equal(table.get(1).expiresAt, 6000);
+            assert.equal(table.get(2).expiresAt, 9000);
+
+            // Writes push the expiry back.
+            clock.now = 5500;
+            table.update(1, {url: "/a2"});
+            assert.equal(table.get(1).expiresAt, 6500);
+        });
+
+        it("treats expired rows as missing", function() {
+            const clock = {now: 0};
+            const table = makeTable(new MockStorage(), clock);
+            table.insert(1, {url: "/a"});
+            table.insert(2, {url: "/b", expiresAt: 5000});
+            table.insert(3, {url: "/c", expiresAt: null});
+
+            clock.now = 1000;
+
+            assert.throws(() => table.get(1), /Couldn't find data for '1'/);
+            assert.equal(table.exists(1), false);
+            assert.equal(table.count(), 2);
+            assert.deepEqual(table.all().map((row) => row.id), [2, 3]);
+            assert.deepEqual(table.filter({url: {"=": "/a"}}), []);
+            assert.equal(table.query().count(), 2);
+            assert.equal(table.query().orderBy("url").first().id, 2);
+        });
+
+        it("lets expired rows be replaced", function() {
+            const clock = {now: 0};
+            const table = makeTable(new MockStorage(), clock);
+            table.insert(1, {url: "/a"});
+            table.insert(2, {url: "/b"});
+
+            const events = [];
+            table.on("change", (event) => events.push([event.type, event.id, event.before]));
+            clock.now = 2000;
+
+            // The expired rows' ids & unique values are free again.
+            table.insert(1, {url: "/b"});
+            table.update(3, {url: "/a"});
+            table.delete(2);
+
+            assert.deepEqual(events, [["insert", 1, null], ["insert", 3, null]]);
+            assert.deepEqual(table.all().map((row) => [row.id, row.url]), [[1, "/b"], [3, "/a"]]);
+            assert.deepEqual(table._getIds(), [1, 3]);
+        });
+
+        it("purges the expired rows in one write", function() {
+            const clock = {now: 0};
+            const store = new MockStorage();
+            const table = makeTable(store, clock);
+            table.insert(1, {url: "/a"});
+            table.insert(2, {url: "/b", expiresAt: 5000});
+            table.insert(3, {url: "/c"});
+
+            const setItem = store.setItem.bind(store);
+            const writes = [];
+            store.setItem = (key, value) => {
+                writes.push(key);
+                setItem(key, value);
+            };
+
+            clock.now = 1000;
+            assert.equal(table.purgeExpired(), 2);
+            store.setItem = setItem;
+
+            assert.deepEqual(writes.filter((key) => key === "responses_list"), ["responses_list"]);
+            assert.equal(store.getItem("responses_list"), "[2]");
+            assert.equal(store.getItem("responses_detail_1"), undefined);
+            assert.deepEqual(table.filter({url: {"in": ["/a", "/b", "/c"]}}).map((row) => row.id), [2]);
+            assert.equal(table.purgeExpired(), 0);
+        });
+
+        it("purges the expired rows when the storage is full", function() {
+            const clock = {now: 0};
+            const store = new LimitedStorage(1350);
+            const table = makeTable(store, clock);
+            table.insert(1, {url: "/a"});
+            table.insert(2, {url: "/b", expiresAt: 5000});
+
+            clock.now = 1000;
+            table.insert(3, {url: "/" + "c".repeat(150)});
+
+            assert.equal(store.getItem("responses_detail_1"), undefined);
+            assert.deepEqual(table.all().map((row) => row.id), [2, 3]);
+        });
+
+        it("supports per-row expiry without a ttl", function() {
+            const clock = {now: 0};
+            const table = makeTable(new MockStorage(), clock, {
+                "ttl": undefined,
+                "expiresField": "expiresAt",
+            });
+            table.insert(1, {url: "/a"});
+            table.insert(2, {url: "/b", expiresAt: 500});
+
+            clock.now = 1000;
+            assert.deepEqual(table.all().map((row) => row.id), [1]);
+        });
+    });
+
+    describe("soft delete", function() {
+        const makeTable = function(store, clock) {
+            return new LocalTable(store, "notes", {
+                "fields": [
+                    {"name": "title", "type": "str", "index": true},
+                ],
+                "unique": [["title"]],
+                "softDelete": true,
+                "clock": () => clock.now,
+            });
+        };
+
+        it("moves deleted rows to the trash", function() {
+            const clock = {now: 100};
+            const store = new MockStorage();
+            const table = makeTable(store, clock);
+            table.insert(1, {title: "Shopping"});
+            table.insert(2, {title: "Chores"});
+
+            const events = [];
+            table.on("change", (event) => events.push([event.type, event.id]));
+            table.delete(1);
+
+            assert.deepEqual(events, [["delete", 1]]);
+            assert.equal(table.exists(1), false);
+            assert.throws(() => table.get(1), /Couldn't find data for '1'/);
+            assert.equal(table.count(), 1);
+            assert.deepEqual(table.all().map((row) => row.id), [2]);
+            assert.deepEqual(table.filter({title: {"=": "Shopping"}}), []);
+            assert.deepEqual(table.trashed(), [{id: 1, title: "Shopping", deletedAt: 100}]);
+            assert.deepEqual(table.trashed({title: {"=": "Chores"}}), []);
+
+            // It's all still stored.
+            assert.ok(store.getItem("notes_detail_1"));
+        });
+
+        it("restores rows", function() {
+            const clock = {now: 100};
+            const table = makeTable(new MockStorage(), clock);
+            table.insert(1, {title: "Shopping"});
+            table.delete(1);
+
+            // Its unique values are kept for it.
+            assert.throws(() => table.insert(2, {title: "Shopping"}), UniqueError);
+            assert.throws(() => table.insert(1, {title: "Other"}), /'1' is in the trash/);
+            assert.throws(() => table.update(1, {title: "Other"}), /'1' is in the trash/);
+
+            const events = [];
+            table.on("change", (event) => events.push([event.type, event.id]));
+            table.restore(1);
+
+            assert.deepEqual(events, [["insert", 1]]);
+            assert.deepEqual(table.get(1), {id: 1, title: "Shopping"});
+            assert.deepEqual(table.trashed(), []);
+            assert.throws(() => table.restore(1), /'1' isn't in the trash!/);
+            assert.throws(() => table.restore(7), /'7' isn't in the trash!/);
+        });
+
+        it("ignores deleting missing rows", function() {
+            const clock = {now: 100};
+            const store = new MockStorage();
+            const table = makeTable(store, clock);
+            table.insert(1, {title: "Shopping"});
+
+            table.delete(999);
+
+            assert.equal(store.getItem("notes_detail_999"), undefined);
+            assert.deepEqual(table._getIds(), [1]);
+            assert.deepEqual(table.trashed(), []);
+
+            table.insert(999, {title: "Chores"});
+            assert.deepEqual(table.get(999), {id: 999, title: "Chores"});
+        });
+
+        it("soft deletes in bulk", function() {
+            const clock = {now: 100};
+            const table = makeTable(new MockStorage(), clock);
+            table.insertMany([{id: 1, title: "A"}, {id: 2, title: "B"}, {id: 3, title: "C"}]);
+
+            const summary = table.deleteWhere({title: {"in": ["A", "B"]}});
+
+            assert.equal(summary.deleted, 2);
+            assert.deepEqual(table.all().map((row) => row.id), [3]);
+            assert.deepEqual(table.trashed().map((row) => row.id), [1, 2]);
+        });
+
+        it("deletes rows for good", function() {
+            const clock = {now: 100};
+            const store = new MockStorage();
+            const table = makeTable(store, clock);
+            table.insert(1, {title: "A"});
+            table.insert(2, {title: "B"});
+            table.insert(3, {title: "C"});
+            table.delete(1);
+
+            table.forceDelete(1);
+            table.forceDelete(2);
+
+            assert.equal(store.getItem("notes_detail_1"), undefined);
+            assert.equal(store.getItem("notes_detail_2"), undefined);
+            assert.deepEqual(table._getIds(), [3]);
+            assert.deepEqual(table.trashed(), []);
+
+            // The ids & unique values are free again.
+            table.insert(1, {title: "A"});
+            assert.equal(table.count(), 2);
+        });
+
+        it("empties the trash", function() {
+            const clock = {now: 100};
+            const store = new MockStorage();
+            const table = makeTable(store, clock);
+            table.insertMany([{id: 1, title: "A"}, {id: 2, title: "B"}, {id: 3, title: "C"}]);
+            table.delete(1);
+            clock.now = 500;
+            table.delete(2);
+
+            clock.now = 1000;
+            assert.equal(table.emptyTrash({olderThan: 800}), 1);
+            assert.deepEqual(table.trashed().map((row) => row.id), [2]);
+            assert.equal(store.getItem("notes_detail_1"), undefined);
+
+            assert.equal(table.emptyTrash(), 1);
+            assert.deepEqual(table.trashed(), []);
+            assert.deepEqual(table._getIds(), [3]);
+        });
+    });
+
+    describe("history", function() {
+        const makeTable = function(store, clock, history = true) {
+            return new LocalTable(store, "notes", {
+                "fields": [
+                    {"name": "title", "type": "str"},
+                    {"name": "pinned", "type": "bool", "required": false},
+                ],
+                "unique": [["title"]],
+                "history": history,
+                "clock": () => clock.now,
+            });
+        };
+
+        it("records each change", function() {
+            const clock = {now: 100};
+            const table = makeTable(new MockStorage(), clock);
+            table.insert(1, {title: "Shopping"});
+            clock.now = 200;
+            table.update(1, {pinned: true});
+            clock.now = 300;
+            table.delete(1);
+
+            assert.deepEqual(table.history(1), [
+                {version: 1, action: "insert", at: 100, actor: null, before: null, after: {id: 1, title: "Shopping"}},
+                {version: 2, action: "update", at: 200, actor: null, before: {id: 1, title: "Shopping"}, after: {id: 1, title: "Shopping", pinned: true}},
+                {version: 3, action: "delete", at: 300, actor: null, before: {id: 1, title: "Shopping", pinned: true}, after: null},
+            ]);
+            assert.deepEqual(table.history(2), []);
+        });
+
+        it("records the actor", function() {
+            const clock = {now: 100};
+            const session = {user: "alice"};
+            const table = makeTable(new MockStorage(), clock, {"actor": () => session.user});
+            table.insert(1, {title: "Shopping"});
+            session.user = "bob";
+            table.update(1, {pinned: true});
+
+            assert.deepEqual(table.history(1).map((entry) => entry.actor), ["alice", "bob"]);
+
+            const fixed = makeTable(new MockStorage(), clock, {"actor": "sync"});
+            fixed.insert(1, {title: "Shopping"});
+            assert.equal(fixed.history(1)[0].actor, "sync");
+        });
+
+        it("only keeps the newest versions", function() {
+            const clock = {now: 100};
+            const table = makeTable(new MockStorage(), clock, {"limit": 3});
+            table.insert(1, {title: "v1"});
+
+            for(let version = 2; version <= 6; version++) {
+                table.update(1, {title: `v${version}`});
+            }
+
+            const history = table.history(1);
+            assert.deepEqual(history.map((entry) => entry.version), [4, 5, 6]);
+            assert.deepEqual(history.map((entry) => entry.before.title), ["v3", "v4", "v5"]);
+            assert.equal(history[2].after.title, "v6");
+        });
+
+        it("reverts to an earlier version", function() {
+            const clock = {now: 100};
+            const table = makeTable(new MockStorage(), clock);
+            table.insert(1, {title: "Shopping"});
+            table.update(1, {title: "Groceries", pinned: true});
+
+            table.revertTo(1, 1);
+            assert.deepEqual(table.get(1), {id: 1, title: "Shopping"});
+
+            // The revert is a version of its own, so can be undone too.
+            const history = table.history(1);
+            assert.deepEqual(history.map((entry) => entry.action), ["insert", "update", "update"]);
+            table.revertTo(1, 2);
+            assert.deepEqual(table.get(1), {id: 1, title: "Groceries", pinned: true});
+        });
+
+        it("brings back deleted rows", function() {
+            const clock = {now: 100};
+            const table = makeTable(new MockStorage(), clock);
+            table.insert(1, {title: "Shopping"});
+            table.delete(1);
+
+            table.revertTo(1, 1);
+            assert.deepEqual(table.get(1), {id: 1, title: "Shopping"});
+            assert.equal(table.history(1)[2].action, "insert");
+        });
+
+        it("rejects versions it can't revert to", function() {
+            const clock = {now: 100};
+            const table = makeTable(new MockStorage(), clock);
+            table.insert(1, {title: "Shopping"});
+            table.delete(1);
+            table.insert(2, {title: "Chores"});
+            table.update(2, {title: "Other"});
+
+            assert.throws(() => table.revertTo(1, 7), /Version 7 of '1' isn't in the history!/);
+            assert.throws(() => table.revertTo(1, 2), /'1' didn't exist at version 2!/);
+            assert.throws(() => table.revertTo(1, 0), /'1' didn't exist at version 0!/);
+
+            // Reverting still checks the unique constraints.
+            table.insert(3, {title: "Chores"});
+            assert.throws(() => table.revertTo(2, 1), UniqueError);
+            assert.equal(table.get(2).title, "Other");
+        });
+
+        it("doesn't record touches or writes rolled back", function() {
+            const clock = {now: 100};
+            const table = new LocalTable(new MockStorage(), "notes", {
+                "fields": [
+                    {"name": "title", "type": "str"},
+                    {"name": "usedAt", "type": "int", "required": false},
+                ],
+                "eviction": {"field": "usedAt", "strategy": "lru"},
+                "history": true,
+                "clock": () => clock.now,
+            });
+            table.insert(1, {title: "Shopping"});
+            clock.now = 200;
+            table.get(1);
+
+            assert.throws(() => table.transaction(() => {
+                table.update(1, {title: "Groceries"});
+                throw new Error("Nope");
+            }), /Nope/);
+
+            assert.deepEqual(table.history(1).map((entry) => entry.action), ["insert"]);
+            assert.equal(table.history(1)[0].after.usedAt, 200);
+        });
+
+        it("clears the history", function() {
+            const clock = {now: 100};
+            const store = new MockStorage();
+            const table = makeTable(store, clock);
+            table.insert(1, {title: "Shopping"});
+            table.insert(2, {title: "Chores"});
+            table.delete(2);
+
+            table.clearHistory(1);
+            assert.deepEqual(table.history(1), []);
+            assert.equal(table.history(2).length, 2);
+
+            table.clearHistory();
+            assert.deepEqual(table.history(2), []);
+
+            // A new history starts from the first version again.
+            table.update(1, {pinned: true});
+            assert.equal(table.history(1)[0].version, 1);
+        });
+
+        it("counts the history in the usage, & drops it", function() {
+            const clock = {now: 100};
+            const store = new MockStorage();
+            const table = makeTable(store, clock);
+            table.insert(1, {title: "Shopping"});
+            table.delete(1);
+
+            const history = store.getItem("notes_history_1");
+            assert.ok(history);
+            // "notes_history_1" + the entries, & "notes_history" + "[1]", on
+            // top of the empty table.
+            assert.equal(table.usage(), makeTable(new MockStorage(), clock).usage() + (15 + history.length) * 2 + (13 + 3) * 2);
+
+            table.drop();
+            assert.equal(store.getItem("notes_history_1"), undefined);
+            assert.equal(store.getItem("notes_history"), undefined);
+        });
+
+        it("leaves other tables' keys alone", function() {
+            for(const history of [true, false]) {
+                const store = new MockStorage();
+                const other = new LocalTable(store, "notes_history", {
+                    "fields": [
+                        {"name": "title", "type": "str"},
+                    ],
+                });
+                other.insert(1, {title: "Shopping"});
+                const otherUsage = other.usage();
+
+                const table = makeTable(store, {now: 100}, history);
+                table.insert(1, {title: "Chores"});
+                const alone = makeTable(new MockStorage(), {now: 100}, history);
+                alone.insert(1, {title: "Chores"});
+                assert.equal(table.usage(), alone.usage());
+
+                table.clearHistory();
+                table.drop();
+                assert.deepEqual(other.all(), [{id: 1, title: "Shopping"}]);
+                assert.equal(other.usage(), otherUsage);
+            }
+        });
+
+        it("takes the actor per change", function() {
+            const clock = {now: 100};
+            const table = makeTable(new MockStorage(), clock, {"actor": "sync"});
+            table.insert(1, {title: "Shopping"}, {actor: "alice"});
+            table.update(1, {pinned: true});
+            table.update(1, {pinned: false}, {actor: "bob"});
+            table.delete(1, {actor: "carol"});
+
+            assert.deepEqual(table.history(1).map((entry) => entry.actor), ["alice", "sync", "bob", "carol"]);
+        });
+
+        it("drops the history of rows removed for good", function() {
+            const clock = {now: 100};
+            const store = new MockStorage();
+            const table = new LocalTable(store, "notes", {
+                "fields": [
+                    {"name": "title", "type": "str"},
+                    {"name": "expiresAt", "type": "timestamp", "required": false},
+                ],
+                "ttl": 1000,
+                "softDelete": true,
+                "history": true,
+                "clock": () => clock.now,
+            });
+            table.insert(1, {title: "Shopping"});
+            table.insert(2, {title: "Chores", expiresAt: 5000});
+
+            // Trashed rows can still be restored, so keep theirs.
+            table.delete(2);
+            assert.equal(table.history(2).length, 2);
+            table.forceDelete(2);
+            assert.equal(store.getItem("notes_history_2"), undefined);
+
+            clock.now = 2000;
+            assert.equal(table.purgeExpired(), 1);
+            assert.equal(store.getItem("notes_history_1"), undefined);
+        });
+
+        it("only drops other rows' history to make room with eviction", function() {
+            for(const eviction of [null, {"field": "savedAt"}]) {
+                const store = new LimitedStorage(1500);
+                const table = new LocalTable(store, "notes", {
+                    "fields": [
+                        {"name": "title", "type": "str"},
+                        {"name": "savedAt", "type": "timestamp", "required": false},
+                    ],
+                    "eviction": eviction,
+                    "history": true,
+                    "clock": () => 100,
+                });
+                table.insert(1, {title: "Shopping", savedAt: 1});
+
+                for(let version = 2; version <= 6; version++) {
+                    table.update(1, {title: `Shopping ${version}`});
+                }
+
+                if(eviction === null) {
+                    // The history was asked for, so isn't thrown away.
+                    assert.throws(() => table.insert(2, {title: "x".repeat(100), savedAt: 2}), StorageFullError);
+                    assert.equal(table.history(1).length, 6);
+                    continue;
+                }
+
+                table.insert(2, {title: "x".repeat(100), savedAt: 2});
+
+                // The history goes before any rows do.
+                assert.equal(table.get(1).title, "Shopping 6");
+                assert.deepEqual(table.history(1), []);
+                assert.equal(table.history(2).length, 1);
+                assert.ok(store.used() <= 1500);
+            }
+        });
+
+        it("is off by default", function() {
+            const table = new LocalTable(new MockStorage(), "notes", {});
+            table.insert(1, {title: "Shopping"});
+
+            assert.throws(() => table.history(1), /The 'notes' table doesn't keep a history!/);
+            assert.equal(table.storage.getItem("notes_history_1"), undefined);
+        });
+
+        it("requires a valid limit", function() {
+            assert.throws(() => makeTable(new MockStorage(), {now: 100}, {"limit": 0}), /Invalid history limit '0' provided!/);
+        });
+    });
+
+    describe("revisions", function() {
+        const makeTable = function(store, options = {}) {
+            return new LocalTable(store, "notes", Object.assign({
+                "fields": [
+                    {"name": "title", "type": "str"},
+                ],
+                "revisions": true,
+            }, options));
+        };
+
+        it("goes up with each write", function() {
+            const table = makeTable(new MockStorage());
+            assert.equal(table.revisionField, "_rev");
+
+            table.insert(1, {title: "Shopping"});
+            assert.deepEqual(table.get(1), {id: 1, title: "Shopping", _rev: 1});
+
+            table.update(1, {title: "Groceries"});
+            table.upsertMany([{id: 1, title: "Food"}, {id: 2, title: "Chores"}]);
+            // The revisions are counted across the table.
+            assert.deepEqual(table.all(), [
+                {id: 1, title: "Food", _rev: 3},
+                {id: 2, title: "Chores", _rev: 4},
+            ]);
+
+            // Whatever revision the data has is ignored.
+            table.update(1, Object.assign(table.get(1), {_rev: 10}));
+            assert.equal(table.get(1)._rev, 5);
+        });
+
+        it("includes the revision in events", function() {
+            const table = makeTable(new MockStorage());
+            table.insert(1, {title: "Shopping"});
+
+            const events = [];
+            table.on("update", (event) => events.push(event));
+            table.update(1, {title: "Groceries"});
+
+            assert.equal(events[0].before._rev, 1);
+            assert.equal(events[0].after._rev, 2);
+        });
+
+        it("only updates the expected revision", function() {
+            const table = makeTable(new MockStorage());
+            table.insert(1, {title: "Shopping"});
+            const row = table.get(1);
+
+            table.update(1, {title: "Groceries"}, {expectedRevision: row._rev});
+
+            assert.throws(() => table.update(1, {title: "Food"}, {expectedRevision: row._rev}), (err) => {
+                assert.ok(err instanceof ConflictError);
+                assert.equal(err.id, 1);
+                assert.equal(err.expectedRevision, 1);
+                assert.equal(err.actualRevision, 2);
+                return true;
+            });
+            assert.deepEqual(table.get(1), {id: 1, title: "Groceries", _rev: 2});
+        });
+
+        it("treats missing rows as revision 0", function() {
+            const table = makeTable(new MockStorage());
+            table.insert(1, {title: "Shopping"});
+            table.delete(1);
+
+            assert.throws(() => table.update(1, {title: "Food"}, {expectedRevision: 1}), ConflictError);
+            table.update(1, {title: "Food"}, {expectedRevision: 0});
+            assert.deepEqual(table.get(1), {id: 1, title: "Food", _rev: 2});
+        });
+
+        it("never reuses a deleted row's revisions", function() {
+            const store = new MockStorage();
+            const table = makeTable(store);
+            table.insert(1, {title: "Shopping"});
+            const stale = table.get(1);
+
+            table.delete(1);
+            table.insert(1, {title: "Chores"});
+
+            assert.throws(() => table.update(1, {title: "Food"}, {expectedRevision: stale._rev}), ConflictError);
+            assert.equal(store.getItem("notes_revision"), "2");
+
+            // Nor goes backwards, for rows stored before the counter was.
+            store.removeItem("notes_revision");
+            table.update(1, {title: "Food"});
+            assert.equal(table.get(1)._rev, 3);
+        });
+
+        it("sees writes from other tables on the same storage", function() {
+            const store = new MockStorage();
+            const first = makeTable(store);
+            const second = makeTable(store);
+            first.insert(1, {title: "Shopping"});
+            const row = second.get(1);
+
+            first.update(1, {title: "Groceries"});
+            assert.throws(() => second.update(1, {title: "Food"}, {expectedRevision: row._rev}), ConflictError);
+        });
+
+        it("counts from 0 for existing rows", function() {
+            const store = new MockStorage();
+            makeTable(store, {"revisions": false}).insert(1, {title: "Shopping"});
+
+            const table = makeTable(store, {"revisionField": "version"});
+            assert.deepEqual(table.get(1), {id: 1, title: "Shopping"});
+            table.update(1, {title: "Groceries"}, {expectedRevision: 0});
+            assert.deepEqual(table.get(1), {id: 1, title: "Groceries", version: 1});
+        });
+
+        it("requires revisions for an expected revision", function() {
+            const table = makeTable(new MockStorage(), {"revisions": false});
+            table.insert(1, {title: "Shopping"});
+
+            assert.equal(table.revisionField, null);
+            assert.deepEqual(table.get(1), {id: 1, title: "Shopping"});
+            assert.throws(() => table.update(1, {title: "Food"}, {expectedRevision: 1}), /The 'notes' table doesn't keep revisions!/);
+        });
+    });
+
+    describe("compression", function() {
+        const makeTable = function(store, compression) {
+            return new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "message", "type": "str", "index": true},
+                ],
+                "compression": compression,
+            });
+        };
+        const message = "Hello there, how are you doing today? ".repeat(5);
+
+        it("compresses the rows & id list", function() {
+            const store = new MockStorage();
+            const table = makeTable(store, "lz-string");
+
+            for(let id = 1; id <= 40; id++) {
+                table.insert(id, {message: message});
+            }
+
+            assert.ok(store.getItem("records_detail_1").startsWith("~lz-string~"));
+            assert.ok(store.getItem("records_list").startsWith("~lz-string~"));
+
+            // Everything reads back as normal.
+            const reopened = makeTable(store, "lz-string");
+            assert.equal(reopened.count(), 40);
+            assert.deepEqual(reopened.get(7), {id: 7, message: message});
+            assert.equal(reopened.filter({message: {"=": message}}).length, 40);
+        });
+
+        it("reads existing rows, & compresses them in place", function() {
+            const store = new MockStorage();
+            const plain = makeTable(store);
+            plain.insert(1, {message: message});
+            plain.insert(2, {message: message});
+            const before = plain.usage();
+
+            const table = makeTable(store, "lz-string");
+            table.insert(3, {message: message});
+            assert.ok(store.getItem("records_detail_1").startsWith("{"));
+            assert.deepEqual(table.all().map((row) => row.message), [message, message, message]);
+
+            table.compressAll();
+            assert.ok(store.getItem("records_detail_1").startsWith("~lz-string~"));
+            assert.ok(table.usage() < before);
+            assert.deepEqual(table.get(1), {id: 1, message: message});
+
+            // Turning it back off still reads them, & can decompress them.
+            const uncompressed = makeTable(store);
+            assert.equal(uncompressed.get(3).message, message);
+            uncompressed.compressAll();
+            assert.ok(store.getItem("records_detail_3").startsWith("{"));
+            assert.equal(uncompressed.get(3).message, message);
+        });
+
+        it("uses registered codecs", function() {
+            LocalTable.registerCodec("tableTestCodec", {
+                "compress": (text) => text.replace(/Hello there/g, "\u0001"),
+                "decompress": (text) => text.replace(/\u0001/g, "Hello there"),
+            });
+
+            const store = new MockStorage();
+            const table = makeTable(store, "tableTestCodec");
+            table.insert(1, {message: message});
+
+            assert.ok(store.getItem("records_detail_1").startsWith("~tableTestCodec~"));
+            assert.equal(table.get(1).message, message);
+        });
+
+        it("requires a known codec", function() {
+            assert.throws(() => makeTable(new MockStorage(), "zstd"), /Unknown codec 'zstd'/);
+        });
+    });
+
+    describe("field types", function() {
+        const makeTable = function(store = new MockStorage()) {
+            return new LocalTable(store, "events", {
+                "fields": [
+                    {"name": "startsAt", "type": "date", "index": true},
+                    {"name": "attendees", "type": "bigint", "required": false},
+                    {"name": "tags", "type": "set", "required": false},
+                    {"name": "scores", "type": "map", "required": false},
+                    {"name": "thumbnail", "type": "bytes", "required": false},
+                    {"name": "reminders", "type": "array<date>", "required": false},
+                    {
+                        "name": "venue",
+                        "type": "obj",
+                        "required": false,
+                        "fields": [
+                            {"name": "name", "type": "str"},
+                            {"name": "openedAt", "type": "date", "required": false},
+                            {"name": "capacity", "type": "int", "default": 100},
+                        ],
+                    },
+                ],
+            });
+        };
+
+        it("round-trips the rich types", function() {
+            const store = new MockStorage();
+            makeTable(store).insert(1, {
+                startsAt: new Date("2024-05-01T18:00:00Z"),
+                attendees: 12345678901234567890n,
+                tags: new Set(["music"]),
+                scores: new Map([["jane", 5]]),
+                thumbnail: new Uint8Array([1, 2, 3]),
+                reminders: [new Date("2024-04-30T18:00:00Z")],
+                venue: {name: "Hall", openedAt: new Date("1999-01-01T00:00:00Z")},
+            });
+
+            assert.deepEqual(JSON.parse(store.getItem("events_detail_1")), {
+                startsAt: "2024-05-01T18:00:00.000Z",
+                attendees: "12345678901234567890",
+                tags: ["music"],
+                scores: [["jane", 5]],
+                thumbnail: "AQID",
+                reminders: ["2024-04-30T18:00:00.000Z"],
+                venue: {name: "Hall", openedAt: "1999-01-01T00:00:00.000Z", capacity: 100},
+            });
+
+            // A fresh table, so nothing is cached.
+            const row = makeTable(store).get(1);
+            assert.ok(row.startsAt instanceof Date);
+            assert.equal(row.startsAt.toISOString(), "2024-05-01T18:00:00.000Z");
+            assert.equal(row.attendees, 12345678901234567890n);
+            assert.ok(row.tags.has("music"));
+            assert.equal(row.scores.get("jane"), 5);
+            assert.deepEqual(row.thumbnail, new Uint8Array([1, 2, 3]));
+            assert.ok(row.reminders[0] instanceof Date);
+            assert.ok(row.venue.openedAt instanceof Date);
+        });
+
+        it("validates the rich types", function() {
+            const table = makeTable();
+
+            assert.throws(() => table.insert(1, {startsAt: "2024-05-01"}), (err) => {
+                assert.deepEqual(err.errors.map((error) => error.code), ["invalid_type"]);
+                return true;
+            });
+            assert.throws(() => table.insert(1, {startsAt: new Date(), reminders: ["tomorrow"]}), ValidationError);
+        });
+
+        it("validates the shape of objects", function() {
+            const table = makeTable();
+
+            assert.throws(() => table.insert(1, {startsAt: new Date(), venue: {capacity: "lots"}}), (err) => {
+                assert.deepEqual(
+                    err.errors.map((error) => `${error.field}:${error.code}`),
+                    ["venue.name:required", "venue.capacity:invalid_type"]
+                );
+                return true;
+            });
+            assert.throws(() => table.insert(1, {startsAt: new Date(), venue: "Hall"}), ValidationError);
+            assert.throws(() => table.insert(1, {startsAt: new Date(), venue: [{name: "Hall"}]}), ValidationError);
+        });
+
+        it("only accepts objects & arrays for plain objects", function() {
+            const table = new LocalTable(new MockStorage(), "notes", {
+                "fields": [
+                    {"name": "meta", "type": "obj"},
+                ],
+            });
+
+            table.insert(1, {meta: {pinned: true}});
+            table.insert(2, {meta: ["a", "b"]});
+            assert.throws(() => table.insert(3, {meta: 5}), ValidationError);
+            assert.throws(() => table.insert(3, {meta: "str"}), ValidationError);
+            assert.equal(table.count(), 2);
+        });
+
+        it("filters & orders dates", function() {
+            const table = makeTable();
+            table.insert(1, {startsAt: new Date("2024-05-01T00:00:00Z")});
+            table.insert(2, {startsAt: new Date("2024-03-01T00:00:00Z")});
+            table.insert(3, {startsAt: new Date("2024-04-01T00:00:00Z")});
+
+            const matching = table.filter({startsAt: {"=": new Date("2024-03-01T00:00:00Z")}});
+            assert.deepEqual(matching.map((row) => row.id), [2]);
+
+            const later = table.filter({startsAt: {">": new Date("2024-03-15T00:00:00Z")}});
+            assert.deepEqual(later.map((row) => row.id), [1, 3]);
+
+            const ordered = table.query().orderBy("startsAt").all();
+            assert.deepEqual(ordered.map((row) => row.id), [2, 3, 1]);
+        });
+
+        it("uses types registered on the class", function() {
+            LocalTable.registerFieldType("tableTestPoint", {
+                "validate": (value) => Array.isArray(value) && value.length === 2,
+                "serialize": (value) => value.join(","),
+                "deserialize": (data) => data.split(",").map(Number),
+            });
+
+            const store = new MockStorage();
+            const table = new LocalTable(store, "places", {
+                "fields": [
+                    {"name": "location", "type": "tableTestPoint"},
+                ],
+            });
+            table.insert(1, {location: [1.5, 2]});
+
+            assert.equal(store.getItem("places_detail_1"), '{"location":"1.5,2"}');
+            assert.deepEqual(table.get(1).location, [1.5, 2]);
+            assert.throws(() => table.insert(2, {location: [1]}), ValidationError);
+        });
+
+        it("uses types given to the table", function() {
+            const table = new LocalTable(new MockStorage(), "users", {
+                "fields": [
+                    {"name": "email", "type": "email"},
+                    {"name": "backups", "type": "array<email>", "required": false},
+                ],
+                "types": {
+                    "email": {"validate": (value) => typeof value === "string" && value.includes("@")},
+                },
+            });
+
+            table.insert(1, {email: "jane@example.com", backups: ["j@example.com"]});
+            assert.throws(() => table.insert(2, {email: "jane"}), ValidationError);
+            assert.throws(() => table.insert(2, {email: "jane@example.com", backups: ["jane"]}), ValidationError);
+            assert.throws(() => new LocalTable(new MockStorage(), "bad", {
+                "fields": [],
+                "types": {"email": {}},
+            }), /needs a 'validate' function/);
+        });
+
+        it("still supports the legacy fieldTypes", function() {
+            const table = new LocalTable(new MockStorage(), "users", {
+                "fields": [
+                    {"name": "email", "type": "email"},
+                ],
+            });
+            table.fieldTypes["email"] = (value) => typeof value === "string" && value.includes("@");
+
+            table.insert(1, {email: "jane@example.com"});
+            assert.throws(() => table.insert(2, {email: "jane"}), ValidationError);
+        });
+    });
+
+    describe("export & import", function() {
+        const makeTable = function(store = new MockStorage(), options = {}) {
+            return new LocalTable(store, "records", Object.assign({
+                "fields": [
+                    {"name": "message", "type": "str", "pattern": /^[A-Z]/},
+                    {"name": "createdAt", "type": "date"},
+                ],
+            }, options));
+        };
+        const fill = function(table) {
+            table.insert(1, {message: "Hello", createdAt: new Date("2024-01-01T00:00:00Z")});
+            table.insert(2, {message: "Goodbye", createdAt: new Date("2024-01-02T00:00:00Z")});
+            return table;
+        };
+
+        it("exports the schema & rows", function() {
+            const snapshot = JSON.parse(fill(makeTable()).export());
+
+            assert.equal(snapshot.table, "records");
+            assert.equal(snapshot.idField, "id");
+            assert.deepEqual(snapshot.fields[0].pattern, ["^[A-Z]", ""]);
+            assert.deepEqual(snapshot.rows, [
+                {id: 1, message: "Hello", createdAt: "2024-01-01T00:00:00.000Z"},
+                {id: 2, message: "Goodbye", createdAt: "2024-01-02T00:00:00.000Z"},
+            ]);
+        });
+
+        it("round-trips through both formats", function() {
+            for(const format of ["json", "ndjson"]) {
+                const snapshot = fill(makeTable()).export({format: format});
+                const store = new MockStorage();
+                const summary = LocalTable.import(store, snapshot);
+
+                assert.equal(summary.inserted, 2);
+                assert.deepEqual(summary.conflicts, []);
+
+                const row = makeTable(store).get(1);
+                assert.equal(row.message, "Hello");
+                assert.ok(row.createdAt instanceof Date);
+                assert.equal(summary.table.count(), 2);
+            }
+        });
+
+        it("validates every row", function() {
+            const snapshot = JSON.parse(fill(makeTable()).export());
+            snapshot.rows.push({id: 3, message: "lowercase", createdAt: "2024-01-03T00:00:00.000Z"});
+            snapshot.rows.push({id: 4, message: "Missing a date"});
+            snapshot.count = 4;
+
+            const store = new MockStorage();
+            const summary = LocalTable.import(store, snapshot);
+
+            assert.equal(summary.inserted, 2);
+            assert.equal(summary.skipped, 2);
+            assert.deepEqual(summary.errors.map((error) => error.index), [2, 3]);
+            assert.ok(summary.errors[0].error instanceof ValidationError);
+            assert.equal(makeTable(store).count(), 2);
+        });
+
+        it("replaces, merges or skips the existing rows", function() {
+            const snapshot = fill(makeTable()).export();
+            const setUp = () => {
+                const store = new MockStorage();
+                const table = makeTable(store);
+                table.insert(1, {message: "Changed", createdAt: new Date()});
+                table.insert(3, {message: "Extra", createdAt: new Date()});
+                return table;
+            };
+
+            let table = setUp();
+            let summary = LocalTable.import(null, snapshot, {table: table, mode: "replace"});
+            assert.equal(summary.table, table);
+            assert.deepEqual(table.all().map((row) => row.message), ["Hello", "Goodbye"]);
+            assert.deepEqual(summary.conflicts, []);
+
+            table = setUp();
+            summary = LocalTable.import(null, snapshot, {table: table, mode: "merge"});
+            assert.deepEqual(table.all().map((row) => row.message), ["Hello", "Extra", "Goodbye"]);
+            assert.equal(summary.inserted, 1);
+            assert.equal(summary.updated, 1);
+            assert.deepEqual(summary.conflicts, [1]);
+
+            table = setUp();
+            summary = LocalTable.import(null, snapshot, {table: table, mode: "skip-existing"});
+            assert.deepEqual(table.all().map((row) => row.message), ["Changed", "Extra", "Goodbye"]);
+            assert.equal(summary.inserted, 1);
+            assert.equal(summary.skipped, 1);
+            assert.deepEqual(summary.conflicts, [1]);
+
+            assert.throws(() => LocalTable.import(null, snapshot, {table: table, mode: "upsert"}), /Unknown import mode/);
+        });
+
+        it("leaves the storage alone given an unknown mode", function() {
+            const source = new LocalTable(new MockStorage(), "records", {
+                "fields": [
+                    {"name": "message", "type": "str"},
+                ],
+            });
+            source.insert(1, {message: "Hello"});
+            const snapshot = source.export();
+
+            const store = new MockStorage();
+            assert.throws(() => LocalTable.import(store, snapshot, {mode: "upsert"}), /Unknown import mode 'upsert'!/);
+            assert.equal(store.length, 0);
+
+            assert.throws(() => source.fromCSV("id,message\n2,Hi\n", {mode: "upsert"}), /Unknown import mode 'upsert'!/);
+            assert.equal(source.count(), 1);
+        });
+
+        it("migrates older snapshots", function() {
+            const store = new MockStorage();
+            const old = new LocalTable(store, "records", {
+                "fields": [
+                    {"name": "name", "type": "str"},
+                ],
+                "version": 1,
+            });
+            old.insert(1, {name: "Jane"});
+            const snapshot = old.export({format: "ndjson"});
+
+            const table = new LocalTable(new MockStorage(), "records", {
+                "fields": [
+                    {"name": "firstName", "type": "str"},
+                ],
+                "version": 2,
+                "migrations": {
+                    2: (migration) => migration.renameField("name", "firstName"),
+                },
+            });
+
+            LocalTable.import(null, snapshot, {table: table});
+            assert.deepEqual(table.get(1), {id: 1, firstName: "Jane"});
+
+            assert.throws(() => LocalTable.import(null, table.export(), {table: old}), /newer than the table's 1/);
+        });
+    });
+
+    describe("CSV", function() {
+        const makeTable = function() {
+            return new LocalTable(new MockStorage(), "products", {
+                "fields": [
+                    {"name": "name", "type": "str"},
+                    {"name": "price", "type": "float"},
+                    {"name": "stock", "type": "int", "default": 0},
+                    {"name": "active", "type": "bool"},
+                    {"name": "updatedAt", "type": "timestamp"},
+                    {"name": "tags", "type": "array<str>", "required": false},
+                    {"name": "notes", "type": "str", "nullable": true, "required": false},
+                ],
+            });
+        };
+
+        it("exports the rows", function() {
+            const table = makeTable();
+            table.insert(1, {name: "Widget, large", price: 9.5, stock: 3, active: true, updatedAt: 100, tags: ["a"], notes: null});
+            table.insert(2, {name: "Gadget", price: 2, active: false, updatedAt: 200});
+
+            assert.equal(table.toCSV(), [
+                "id,name,price,stock,active,updatedAt,tags,notes",
+                "1,\"Widget, large\",9.5,3,true,100,\"[\"\"a\"\"]\",",
+                "2,Gadget,2,0,false,200,,",
+                "",
+            ].join("\r\n"));
+            assert.equal(table.toCSV({fields: ["name", "price"], delimiter: ";"}), "name;price\r\nWidget, large;9.5\r\nGadget;2\r\n");
+        });
+
+        it("imports & coerces the values", function() {
+            const table = makeTable();
+            const summary = table.fromCSV([
+                "id,name,price,stock,active,updatedAt,tags,notes",
+                "1,Widget,9.50,3,yes,100,\"[\"\"a\"\"]\",",
+                "2,Gadget,2,,FALSE,2024-01-01T00:00:00Z,,Fragile",
+            ].join("\n"));
+
+            assert.equal(summary.inserted, 2);
+            assert.deepEqual(table.get(1), {id: 1, name: "Widget", price: 9.5, stock: 3, active: true, updatedAt: 100, tags: ["a"], notes: null});
+            assert.deepEqual(table.get(2), {id: 2, name: "Gadget", price: 2, stock: 0, active: false, updatedAt: 1704067200000, notes: "Fragile"});
+        });
+
+        it("round-trips", function() {
+            const table = makeTable();
+            table.insert(1, {name: "Say \"hi\"\nplease", price: 1.25, stock: 3, active: true, updatedAt: 100, tags: ["a", "b,c"], notes: null});
+
+            const copy = makeTable();
+            copy.fromCSV(table.toCSV());
+            assert.deepEqual(copy.get(1), table.get(1));
+        });
+
+        it("keeps ids that aren't plain numbers as text", function() {
+            const table = makeTable();
+            table.insert("007", {name: "Widget", price: 9.5, active: true, updatedAt: 100});
+            table.insert(8, {name: "Gadget", price: 2, active: false, updatedAt: 200});
+
+            const copy = makeTable();
+            copy.fromCSV(table.toCSV());
+            assert.equal(copy.get("007").name, "Widget");
+            assert.equal(copy.get(8).name, "Gadget");
+            assert.equal(copy.exists(7), false);
+        });
+
+        it("reports errors with line numbers", function() {
+            const table = makeTable();
+            table.insert(1, {name: "Widget", price: 9.5, active: true, updatedAt: 100});
+
+            const summary = table.fromCSV([
+                "id,name,price,stock,active,updatedAt",
+                "1,Widget,10,5,true,100",
+                "2,Gadget,cheap,1,true,100",
+                "3,\"Multi",
+                "line\",1,1,maybe,100",
+                "4,Short",
+                "5,Fine,1,1,no,100",
+            ].join("\n"));
+
+            assert.equal(summary.inserted, 1);
+            assert.equal(summary.updated, 1);
+            assert.equal(summary.skipped, 3);
+            assert.deepEqual(summary.conflicts, [1]);
+            assert.deepEqual(summary.errors.map((error) => error.line), [3, 4, 6]);
+            assert.deepEqual(summary.errors[0].error.errors.map((error) => error.field), ["price"]);
+            assert.deepEqual(summary.errors[1].error.errors.map((error) => error.field), ["active"]);
+            assert.match(summary.errors[2].error.message, /Expected 6 values on line 6, but found 2/);
+            assert.equal(table.get(1).stock, 5);
+        });
+
+        it("can skip the existing rows", function() {
+            const table = makeTable();
+            table.insert(1, {name: "Widget", price: 9.5, active: true, updatedAt: 100});
+
+            const summary = table.fromCSV("id,name,price,active,updatedAt\n1,Changed,1,true,1\n", {mode: "skip-existing"});
+            assert.equal(summary.skipped, 1);
+            assert.equal(table.get(1).name, "Widget");
+        });
+
+        it("needs a header", function() {
+            assert.throws(() => makeTable().fromCSV(""), /missing a header/);
+        });
+    });
 });
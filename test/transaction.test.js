@@ -0,0 +1,246 @@
+import assert from "assert";
+
+import { LocalTable } from "../src/table.js";
+import { Transaction, isQuotaError } from "../src/transaction.js";
+import { StorageFullError } from "../src/errors.js";
+import { MockStorage, LimitedStorage } from "./support/storage.js";
+
+const makeTable = function(store, tableName = "records") {
+    return new LocalTable(store, tableName, {
+        "fields": [
+            {"name": "message", "type": "str", "index": true},
+        ],
+    });
+};
+
+describe("isQuotaError", function() {
+    it("recognizes the browsers' quota errors", function() {
+        assert.ok(isQuotaError(new DOMException("Full", "QuotaExceededError")));
+        assert.ok(isQuotaError({"name": "NS_ERROR_DOM_QUOTA_REACHED", "code": 1014}));
+        assert.ok(isQuotaError({"name": "Error", "code": 22}));
+
+        assert.ok(! isQuotaError(new Error("QuotaExceededError")));
+        assert.ok(! isQuotaError(null));
+        assert.ok(! isQuotaError("QuotaExceededError"));
+    });
+});
+
+describe("Transaction", function() {
+    describe("getItem", function() {
+        it("sees the pending writes", function() {
+            const store = new MockStorage();
+            store.setItem("kept", "1");
+            store.setItem("removed", "2");
+
+            const txn = new Transaction(store);
+            txn.setItem("added", "3");
+            txn.removeItem("removed");
+
+            assert.equal(txn.getItem("kept"), "1");
+            assert.equal(txn.getItem("added"), "3");
+            assert.equal(txn.getItem("removed"), null);
+
+            // Nothing's been written yet.
+            assert.equal(store.getItem("added"), undefined);
+            assert.equal(store.getItem("removed"), "2");
+            assert.deepEqual(txn.touchedKeys(), ["added", "removed"]);
+        });
+    });
+
+    describe("commit", function() {
+        it("writes all the changes", function() {
+            const store = new MockStorage();
+            store.setItem("removed", "2");
+
+            const txn = new Transaction(store);
+            txn.setItem("added", "3");
+            txn.removeItem("removed");
+            txn.commit();
+
+            assert.equal(store.getItem("added"), "3");
+            assert.equal(store.getItem("removed"), undefined);
+        });
+
+        it("restores the previous values if a write fails", function() {
+            const store = new MockStorage();
+            store.setItem("first", "old");
+
+            const txn = new Transaction(store);
+            txn.setItem("first", "new");
+            txn.setItem("second", "new");
+            txn.setItem("third", "new");
+
+            const setItem = store.setItem.bind(store);
+            store.setItem = (key, value) => {
+                if(key === "third") {
+                    throw new Error("QuotaExceededError");
+                }
+
+                setItem(key, value);
+            };
+
+            assert.throws(() => txn.commit(), /QuotaExceededError/);
+            assert.equal(store.getItem("first"), "old");
+            assert.equal(store.getItem("second"), undefined);
+            // The changes are kept until rolled back.
+            assert.deepEqual(txn.touchedKeys(), ["first", "second", "third"]);
+        });
+    });
+
+    describe("byteDelta", function() {
+        it("estimates the change in bytes", function() {
+            const store = new MockStorage();
+            store.setItem("grown", "1");
+            store.setItem("removed", "22");
+
+            const txn = new Transaction(store);
+            txn.setItem("grown", "1234");
+            txn.setItem("added", "1");
+            txn.removeItem("removed");
+
+            // +3 chars, +6 chars ("added" + "1"), -9 chars ("removed" + "22")
+            assert.equal(txn.byteDelta(), (3 + 6 - 9) * 2);
+        });
+    });
+});
+
+describe("LocalTable transactions", function() {
+    it("commits all the writes", function() {
+        const store = new MockStorage();
+        const table = makeTable(store);
+        table.insert(1, {message: "Hello"});
+
+        const result = table.transaction((records) => {
+            records.insert(2, {message: "Bonjour"});
+            records.update(1, {message: "Hi"});
+
+            // Reads within the transaction see the writes.
+            assert.equal(records.count(), 2);
+            assert.equal(store.getItem("records_detail_2"), undefined);
+            return "done";
+        });
+
+        assert.equal(result, "done");
+        assert.equal(table.count(), 2);
+        assert.equal(table.get(1).message, "Hi");
+        assert.equal(table.filter({message: {"=": "Bonjour"}})[0].id, 2);
+    });
+
+    it("rolls back everything if one write fails", function() {
+        const store = new MockStorage();
+        const table = makeTable(store);
+        table.insert(1, {message: "Hello"});
+
+        const before = JSON.stringify(store._data);
+
+        assert.throws(() => table.transaction(() => {
+            table.insert(2, {message: "Bonjour"});
+            table.delete(1);
+            table.insert(3, {message: 3});
+        }), /Invalid data/);
+
+        assert.equal(JSON.stringify(store._data), before);
+        assert.equal(table.count(), 1);
+        assert.equal(table.get(1).message, "Hello");
+        assert.equal(table.filter({message: {"=": "Hello"}}).length, 1);
+    });
+
+    it("keeps the list & detail keys consistent if the storage fills up", function() {
+        const store = new MockStorage();
+        const table = makeTable(store);
+        table.insert(1, {message: "Hello"});
+
+        const before = JSON.stringify(store._data);
+        const setItem = store.setItem.bind(store);
+        store.setItem = (key, value) => {
+            if(key === "records_list") {
+                throw new Error("QuotaExceededError");
+            }
+
+            setItem(key, value);
+        };
+
+        assert.throws(() => table.transaction(() => {
+            table.insert(2, {message: "Bonjour"});
+            table.insert(3, {message: "Ohayo"});
+        }), /QuotaExceededError/);
+
+        store.setItem = setItem;
+        assert.equal(JSON.stringify(store._data), before);
+        assert.equal(table.count(), 1);
+    });
+
+    it("raises a StorageFullError if the storage fills up", function() {
+        const store = new LimitedStorage(200);
+        const table = makeTable(store);
+        table.insert(1, {message: "Hello"});
+
+        const before = JSON.stringify(store._data);
+
+        assert.throws(() => table.transaction(() => {
+            table.insert(2, {message: "A rather long message, too long to fit"});
+        }), (err) => {
+            assert.ok(err instanceof StorageFullError);
+            assert.deepEqual(err.tables, ["records"]);
+            assert.ok(err.bytes > 0);
+            assert.equal(err.cause.name, "QuotaExceededError");
+            return true;
+        });
+
+        assert.equal(JSON.stringify(store._data), before);
+        assert.equal(table.count(), 1);
+        assert.deepEqual(table.filter({message: {"=": "Hello"}}).map((row) => row.id), [1]);
+    });
+
+    it("spans several tables", function() {
+        const store = new MockStorage();
+        const records = makeTable(store, "records");
+        const notes = makeTable(store, "notes");
+
+        assert.throws(() => LocalTable.transaction([records, notes], (r, n) => {
+            r.insert(1, {message: "Hello"});
+            n.insert(1, {message: "Note"});
+            throw new Error("Nope!");
+        }), /Nope!/);
+
+        assert.equal(records.count(), 0);
+        assert.equal(notes.count(), 0);
+
+        LocalTable.transaction([records, notes], (r, n) => {
+            r.insert(1, {message: "Hello"});
+            n.insert(1, {message: "Note"});
+        });
+
+        assert.equal(records.count(), 1);
+        assert.equal(notes.count(), 1);
+    });
+
+    it("joins an outer transaction", function() {
+        const store = new MockStorage();
+        const table = makeTable(store);
+
+        assert.throws(() => table.transaction(() => {
+            table.transaction(() => table.insert(1, {message: "Hello"}));
+            throw new Error("Nope!");
+        }));
+
+        assert.equal(table.count(), 0);
+    });
+
+    it("requires the tables to share storage", function() {
+        const records = makeTable(new MockStorage(), "records");
+        const notes = makeTable(new MockStorage(), "notes");
+
+        assert.throws(() => LocalTable.transaction([records, notes], () => {}), /share the same storage/);
+    });
+
+    it("requires a synchronous function", function() {
+        const store = new MockStorage();
+        const table = makeTable(store);
+
+        assert.throws(() => table.transaction(async () => {
+            table.insert(1, {message: "Hello"});
+        }), /must be synchronous/);
+        assert.equal(table.count(), 0);
+    });
+});
@@ -0,0 +1,88 @@
+import assert from "assert";
+
+import {
+    checkFieldType,
+    registerFieldType,
+    getFieldType,
+    arrayOf,
+} from "../src/types.js";
+
+const roundTrip = (fieldType, value) => {
+    const stored = JSON.parse(JSON.stringify(fieldType.serialize(value)));
+    return fieldType.deserialize(stored);
+};
+
+describe("types", function() {
+    describe("getFieldType", function() {
+        it("round-trips dates", function() {
+            const date = new Date("2024-02-29T12:30:00.000Z");
+            const result = roundTrip(getFieldType("date"), date);
+
+            assert.ok(result instanceof Date);
+            assert.equal(result.getTime(), date.getTime());
+        });
+
+        it("round-trips BigInts", function() {
+            const value = 2n ** 70n;
+            assert.equal(roundTrip(getFieldType("bigint"), value), value);
+        });
+
+        it("round-trips sets & maps", function() {
+            const set = roundTrip(getFieldType("set"), new Set(["a", "b"]));
+            const map = roundTrip(getFieldType("map"), new Map([["a", 1], [2, "b"]]));
+
+            assert.deepEqual([...set], ["a", "b"]);
+            assert.deepEqual([...map.entries()], [["a", 1], [2, "b"]]);
+        });
+
+        it("round-trips bytes as base64", function() {
+            const bytes = new Uint8Array([0, 1, 127, 128, 255]);
+
+            assert.equal(getFieldType("bytes").serialize(bytes), "AAF/gP8=");
+            assert.deepEqual(roundTrip(getFieldType("bytes"), bytes), bytes);
+        });
+
+        it("returns null for unknown types", function() {
+            assert.equal(getFieldType("nope"), null);
+        });
+    });
+
+    describe("arrayOf", function() {
+        it("validates & converts each item", function() {
+            const dates = arrayOf(getFieldType("date"));
+            const value = [new Date(0), new Date(1000)];
+
+            assert.equal(dates.validate(value), true);
+            assert.equal(dates.validate([new Date(0), "1970-01-01"]), false);
+            assert.equal(dates.validate("nope"), false);
+            assert.deepEqual(dates.serialize(value), ["1970-01-01T00:00:00.000Z", "1970-01-01T00:00:01.000Z"]);
+            assert.deepEqual(roundTrip(dates, value), value);
+        });
+
+        it("leaves plain items alone", function() {
+            const ints = arrayOf(getFieldType("int"));
+            assert.deepEqual(roundTrip(ints, [1, 2]), [1, 2]);
+        });
+    });
+
+    describe("registerFieldType", function() {
+        it("registers a custom type", function() {
+            const email = {"validate": (value) => typeof value === "string" && value.includes("@")};
+            registerFieldType("typesTestEmail", email);
+
+            assert.equal(getFieldType("typesTestEmail"), email);
+        });
+
+        it("won't replace the built-in types", function() {
+            assert.throws(() => registerFieldType("date", {"validate": () => true}), /built-in/);
+            assert.throws(() => registerFieldType("array<int>", {"validate": () => true}), /built-in/);
+        });
+    });
+
+    describe("checkFieldType", function() {
+        it("requires the functions", function() {
+            assert.throws(() => checkFieldType("bad", {}), /needs a 'validate' function/);
+            assert.throws(() => checkFieldType("bad", {"validate": () => true, "serialize": "nope"}), /non-function 'serialize'/);
+        });
+    });
+});
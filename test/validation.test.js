@@ -6,7 +6,14 @@ import {
     isFloat,
     isBool,
     isObject,
+    isPlainObject,
     isFunction,
+    isId,
+    isDate,
+    isBigInt,
+    isSet,
+    isMap,
+    isBytes,
 } from "../src/validation.js";
 
 describe("validations", function() {
@@ -28,6 +35,11 @@ describe("validations", function() {
         it("doesn't match a float", function() {
             assert.equal(isInteger(2.5), false);
         });
+
+        it("doesn't match a non-number", function() {
+            assert.equal(isInteger("3"), false);
+            assert.equal(isInteger(null), false);
+        });
     });
 
     describe("isFloat", function() {
@@ -75,4 +87,72 @@ describe("validations", function() {
             assert.equal(isFunction({"test": "string"}), false);
         });
     });
+
+    describe("isId", function() {
+        it("matches strings & integers", function() {
+            assert.equal(isId("abc-123"), true);
+            assert.equal(isId(5), true);
+        });
+
+        it("doesn't match floats or objects", function() {
+            assert.equal(isId(2.5), false);
+            assert.equal(isId({"test": "string"}), false);
+        });
+    });
+
+    describe("isPlainObject", function() {
+        it("matches a plain object", function() {
+            assert.equal(isPlainObject({"test": "string"}), true);
+            assert.equal(isPlainObject(Object.create(null)), true);
+        });
+
+        it("doesn't match null, arrays or instances", function() {
+            assert.equal(isPlainObject(null), false);
+            assert.equal(isPlainObject([]), false);
+            assert.equal(isPlainObject(new Date()), false);
+        });
+    });
+
+    describe("isDate", function() {
+        it("matches a date", function() {
+            assert.equal(isDate(new Date()), true);
+        });
+
+        it("doesn't match an invalid date or a string", function() {
+            assert.equal(isDate(new Date("nope")), false);
+            assert.equal(isDate("2024-01-01"), false);
+        });
+    });
+
+    describe("isBigInt", function() {
+        it("matches a BigInt", function() {
+            assert.equal(isBigInt(10n), true);
+        });
+
+        it("doesn't match a number", function() {
+            assert.equal(isBigInt(10), false);
+        });
+    });
+
+    describe("isSet & isMap", function() {
+        it("match their collections", function() {
+            assert.equal(isSet(new Set()), true);
+            assert.equal(isMap(new Map()), true);
+        });
+
+        it("don't match arrays or objects", function() {
+            assert.equal(isSet([]), false);
+            assert.equal(isMap({}), false);
+        });
+    });
+
+    describe("isBytes", function() {
+        it("matches a Uint8Array", function() {
+            assert.equal(isBytes(new Uint8Array(2)), true);
+        });
+
+        it("doesn't match an array", function() {
+            assert.equal(isBytes([1, 2]), false);
+        });
+    });
 });